@@ -56,6 +56,26 @@ const HeatMapService = require('../services/heatmap-service');
 const CohortAnalysisService = require('../services/cohort-service');
 const PredictiveRiskService = require('../services/predictive-service');
 const AlertNotificationService = require('../services/alert-service');
+const ScenarioService = require('../services/scenario-service');
+const TwinHistoryService = require('../services/twin-history-service');
+const BatchScenarioService = require('../services/batch-scenario-service');
+const ScenarioTemplateService = require('../services/scenario-template-service');
+const ScenarioScheduler = require('../services/scenario-scheduler');
+const LossSimulationService = require('../services/simulation-service');
+const GoalSeekService = require('../services/goal-seek-service');
+const SensitivityService = require('../services/sensitivity-service');
+const RiskFactorService = require('../services/risk-factor-service');
+const ScenarioApprovalService = require('../services/scenario-approval-service');
+const CatastropheService = require('../services/catastrophe-service');
+const ExternalFactorService = require('../services/external-factor-service');
+const { createDefaultProviders } = require('../services/external-factor-providers');
+const ClaimModelService = require('../services/claim-model-service');
+const ClaimBacktestService = require('../services/claim-backtest-service');
+const ModelRegistryService = require('../services/model-registry-service');
+const ScoreExplanationService = require('../services/score-explanation-service');
+const DriftMonitorService = require('../services/drift-monitor-service');
+const DriftScheduler = require('../services/drift-scheduler');
+const FeatureStoreService = require('../services/feature-store-service');
 
 // =============================================================================
 // DATABASE CONFIGURATION
@@ -84,15 +104,54 @@ pool.on('error', (err) => {
 // SERVICE INITIALIZATION
 // =============================================================================
 // Initialize analytics services with shared database pool and logging
-const mlService = new MLRiskService(pool);
+const riskFactorService = new RiskFactorService(pool);
 const portfolioService = new PortfolioAnalyticsService(pool);
 const heatMapService = new HeatMapService(pool);
-const cohortService = new CohortAnalysisService(pool);
-const predictiveService = new PredictiveRiskService(pool);
+const featureStore = new FeatureStoreService(pool);
+const cohortService = new CohortAnalysisService(pool, { featureStore });
 const alertService = new AlertNotificationService(pool);
+const twinHistoryService = new TwinHistoryService(pool, { featureStore });
+const externalFactorService = new ExternalFactorService(
+  createDefaultProviders({
+    dataDir: config.getExternal().factorDataDir,
+    cacheTtlMs: config.getExternal().factorCacheTtlMs,
+    riskFactorService
+  }),
+  logger
+);
+const claimModelService = new ClaimModelService(pool, { modelDir: config.getMl().modelDir, featureStore });
+const claimBacktestService = new ClaimBacktestService(pool, claimModelService, twinHistoryService, featureStore, portfolioService.riskTiers);
+const modelRegistryService = new ModelRegistryService(pool, claimModelService, portfolioService.riskTiers);
+const predictiveService = new PredictiveRiskService(pool, { modelRegistry: modelRegistryService });
+const explanationService = new ScoreExplanationService(pool, claimModelService, { logger });
+const mlService = new MLRiskService(pool, riskFactorService, twinHistoryService, {
+  seed: config.getMl().randomSeed,
+  externalFactorService,
+  claimModelService,
+  modelRegistry: modelRegistryService,
+  explanationService,
+  logger
+});
+const scenarioService = new ScenarioService(pool, twinHistoryService, riskFactorService);
+const scenarioApprovalService = new ScenarioApprovalService(pool, scenarioService, config.getApproval());
+const batchScenarioService = new BatchScenarioService(
+  pool,
+  scenarioService,
+  cohortService.cohortDefinitions,
+  portfolioService.riskTiers,
+  scenarioApprovalService
+);
+const scenarioTemplateService = new ScenarioTemplateService(pool);
+const lossSimulationService = new LossSimulationService(pool, scenarioService);
+const goalSeekService = new GoalSeekService(scenarioService);
+const sensitivityService = new SensitivityService(scenarioService, mlService);
+const catastropheService = new CatastropheService(pool, scenarioService, heatMapService.stateCoordinates);
+const scenarioScheduler = new ScenarioScheduler(scenarioService, logger, config.getScheduler());
+const driftMonitorService = new DriftMonitorService(pool, alertService, config.getDrift());
+const driftScheduler = new DriftScheduler(driftMonitorService, logger, config.getDrift());
 
 logger.info('Analytics services initialized', {
-  services: ['ML', 'Portfolio', 'HeatMap', 'Cohort', 'Predictive', 'Alert']
+  services: ['ML', 'Portfolio', 'HeatMap', 'Cohort', 'Predictive', 'Alert', 'Scenario']
 });
 
 // =============================================================================
@@ -354,343 +413,1629 @@ app.get('/api/timeline/:id',
         code: 'TIMELINE_RETRIEVAL_FAILED'
       });
     }
-  }
+  }
+);
+
+/**
+ * POST /api/timeline/create
+ * Creates a new timeline event for a customer
+ * Used for automatic baseline timeline population
+ */
+app.post('/api/timeline/create', async (req, res) => {
+  const { customer_id, event_ts, title, details, tag } = req.body;
+  try {
+    const result = await pool.query(`
+      INSERT INTO timeline_events (customer_id, event_ts, title, details, tag)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING event_id
+    `, [customer_id, event_ts, title, details, tag]);
+    
+    res.json({ 
+      success: true, 
+      event_id: result.rows[0].event_id,
+      message: 'Timeline event created successfully'
+    });
+  } catch (e) { 
+    console.error('Timeline creation error:', e); 
+    res.status(500).json({ error: e.message }); 
+  }
+});
+
+/**
+ * DELETE /api/timeline/cleanup
+ * Administrative endpoint for cleaning broken timeline entries
+ */
+app.delete('/api/timeline/cleanup', async (req, res) => {
+  const startTime = process.hrtime();
+  try {
+    req.logger.info('Timeline cleanup started');
+    
+    const deleteQuery = `
+      DELETE FROM timeline_events 
+      WHERE details LIKE '%undefined%' 
+      OR title LIKE '%undefined%'
+    `;
+    const result = await pool.query(deleteQuery);
+    
+    const duration = process.hrtime(startTime);
+    const durationMs = Math.round(duration[0] * 1000 + duration[1] * 1e-6);
+    
+    req.logger.info('Timeline cleanup completed', { 
+      deletedRows: result.rowCount,
+      duration: `${durationMs}ms` 
+    });
+    
+    res.json({ 
+      message: 'Timeline cleanup completed',
+      deletedEvents: result.rowCount 
+    });
+  } catch (e) {
+    req.logger.error('Timeline cleanup failed', { error: e.message });
+    res.status(500).json({ 
+      error: 'Failed to cleanup timeline events',
+      code: 'TIMELINE_CLEANUP_FAILED'
+    });
+  }
+});
+
+// =============================================================================
+// SCENARIO SIMULATION API ENDPOINTS
+// =============================================================================
+
+/**
+ * Identify who initiated a change for twin version history
+ */
+function requestActor(req) {
+  const actor = req.body?.changed_by || req.get('X-User-Id');
+  return actor ? ValidationMiddleware.sanitizeString(String(actor)).slice(0, 100) : 'api';
+}
+
+/**
+ * Reviewer for approvals and rejections: the X-User-Id header only, never the body or a default.
+ * There is no authentication yet, so the header is a claim by the client and the
+ * four-eyes check built on it is advisory.
+ */
+function requestReviewer(req) {
+  const reviewer = req.get('X-User-Id');
+  return reviewer && reviewer.trim() ? ValidationMiddleware.sanitizeString(reviewer.trim()).slice(0, 100) : null;
+}
+
+/**
+ * Expand { template_id, parameters } into name + change_json so the
+ * regular scenario validators and handlers see an ordinary request
+ */
+async function resolveScenarioTemplate(req, res, next) {
+  const { template_id, parameters } = req.body;
+  if (template_id === undefined) {
+    return next();
+  }
+
+  const templateId = parseInt(template_id);
+  if (isNaN(templateId) || templateId <= 0) {
+    return res.status(400).json({
+      error: 'template_id must be a positive integer',
+      code: 'INVALID_TEMPLATE_ID'
+    });
+  }
+
+  if (parameters !== undefined && (typeof parameters !== 'object' || parameters === null || Array.isArray(parameters))) {
+    return res.status(400).json({
+      error: 'parameters must be an object of parameter values',
+      code: 'INVALID_TEMPLATE_PARAMETER'
+    });
+  }
+
+  try {
+    const rendered = await scenarioTemplateService.renderTemplate(templateId, parameters || {});
+    req.body.change_json = rendered.change_json;
+    req.body.name = req.body.name || rendered.name;
+    req.scenarioTemplate = rendered;
+    next();
+  } catch (e) {
+    req.logger.error('Scenario template resolution failed', { templateId, error: e.message });
+    res.status(e.status || 500).json({
+      error: e.status ? e.message : 'Failed to resolve scenario template',
+      code: e.code || 'TEMPLATE_RESOLUTION_FAILED'
+    });
+  }
+}
+
+/**
+ * Shared handler for dry-run scenario previews
+ * Runs the scenario impact math without writing scenarios, twins or timeline
+ */
+async function previewScenarioHandler(req, res) {
+  const { customer_id, name, change_json } = req.validatedScenario;
+  try {
+    req.logger.info('Scenario preview requested', { customer_id });
+
+    const preview = await scenarioService.previewScenario(customer_id, change_json, name);
+
+    req.logger.info('Scenario preview completed', {
+      customer_id,
+      riskDelta: preview.delta.risk_score
+    });
+
+    res.json(preview);
+  } catch (e) {
+    req.logger.error('Scenario preview failed', { customer_id, error: e.message });
+    res.status(e.status || 500).json({
+      error: e.status ? e.message : 'Failed to preview scenario',
+      code: e.code || 'SCENARIO_PREVIEW_FAILED'
+    });
+  }
+}
+
+/**
+ * POST /api/scenario/preview
+ * Dry-run scenario: returns before/after risk, claim probability,
+ * expected loss and premium effect without mutating any data
+ */
+app.post('/api/scenario/preview',
+  resolveScenarioTemplate,
+  ValidationMiddleware.validateScenarioPreview,
+  previewScenarioHandler
+);
+
+/**
+ * POST /api/scenario
+ * Enhanced scenario creation with comprehensive validation
+ * Pass ?dryRun=true to preview the impact instead of applying it
+ * Pass template_id + parameters instead of change_json to use a saved template
+ * Pass a future effective_at to schedule the scenario instead of applying it now
+ */
+app.post('/api/scenario',
+  resolveScenarioTemplate,
+  ValidationMiddleware.validateScenarioData,
+  async (req, res) => {
+    if (req.query.dryRun === 'true') {
+      return previewScenarioHandler(req, res);
+    }
+
+    const startTime = process.hrtime();
+    try {
+      const { customer_id, name, change_json, effective_at } = req.validatedScenario;
+      const options = {
+        changedBy: requestActor(req),
+        templateId: req.scenarioTemplate?.template_id || null
+      };
+      
+      req.logger.info('Scenario creation started', { customer_id, name, effective_at });
+
+      // Large projected risk changes are stored as drafts for review instead of applying
+      const draft = await scenarioApprovalService.createDraftIfRequired(customer_id, name, change_json, {
+        ...options,
+        effectiveAt: effective_at
+      });
+      if (draft) {
+        req.logger.info('Scenario requires approval', {
+          customer_id,
+          scenarioId: draft.scenario.scenario_id,
+          riskDelta: draft.projected_impact.delta.risk_score
+        });
+        return res.status(202).json({
+          ...draft.scenario,
+          approval_required: true,
+          approval_reason: draft.reason,
+          projected_impact: draft.projected_impact
+        });
+      }
+      
+      // Future-dated scenarios are stored as pending for the scheduler;
+      // otherwise scenario insert, twin update and timeline event commit together
+      const { scenario } = effective_at
+        ? await scenarioService.scheduleScenario(customer_id, name, change_json, effective_at, options)
+        : await scenarioService.applyScenario(customer_id, name, change_json, options);
+      
+      const duration = process.hrtime(startTime);
+      const durationMs = Math.round(duration[0] * 1000 + duration[1] * 1e-6);
+      
+      req.logger.info('Scenario created successfully', { 
+        customer_id, 
+        scenarioId: scenario.scenario_id,
+        duration: `${durationMs}ms` 
+      });
+      
+      res.json(scenario);
+    } catch (e) {
+      req.logger.error('Scenario creation failed', { 
+        customer_id: req.validatedScenario?.customer_id, 
+        error: e.message 
+      });
+      res.status(e.status || 500).json({ 
+        error: e.status ? e.message : 'Failed to create scenario',
+        code: e.code || 'SCENARIO_CREATION_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/scenario/compare
+ * Evaluates several change_json candidates for one customer without
+ * persisting anything and returns them ranked side by side
+ */
+app.post('/api/scenario/compare',
+  ValidationMiddleware.validateScenarioComparison,
+  async (req, res) => {
+    const { customer_id, candidates, rank_by } = req.validatedComparison;
+    try {
+      req.logger.info('Scenario comparison requested', { customer_id, candidates: candidates.length, rank_by });
+
+      const comparison = await scenarioService.compareScenarios(customer_id, candidates, rank_by);
+      res.json(comparison);
+    } catch (e) {
+      req.logger.error('Scenario comparison failed', { customer_id, error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to compare scenarios',
+        code: e.code || 'SCENARIO_COMPARISON_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/scenario/goal-seek
+ * Finds the smallest deductible / state / vehicle-use change that brings a
+ * metric to the target; the returned change_json can go straight to
+ * /api/scenario/preview or /api/scenario
+ */
+app.post('/api/scenario/goal-seek',
+  ValidationMiddleware.validateGoalSeek,
+  async (req, res) => {
+    const { customer_id, ...goal } = req.validatedGoalSeek;
+    try {
+      req.logger.info('Goal-seek started', { customer_id, metric: goal.metric, target: goal.target, levers: goal.levers });
+
+      const result = await goalSeekService.seek(customer_id, goal);
+
+      req.logger.info('Goal-seek completed', { customer_id, reachable: result.reachable });
+
+      res.json(result);
+    } catch (e) {
+      req.logger.error('Goal-seek failed', { customer_id, error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to run goal-seek',
+        code: e.code || 'GOAL_SEEK_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/scenario/simulate
+ * Monte Carlo annual loss distribution before and after a scenario
+ * Pass seed to reproduce a previous run exactly
+ */
+app.post('/api/scenario/simulate',
+  ValidationMiddleware.validateScenarioSimulation,
+  async (req, res) => {
+    const { customer_id, change_json, iterations, seed } = req.validatedSimulation;
+    try {
+      req.logger.info('Scenario simulation started', { customer_id, iterations, seed });
+
+      const simulation = await lossSimulationService.simulateScenario(customer_id, change_json, { iterations, seed });
+
+      req.logger.info('Scenario simulation completed', {
+        customer_id,
+        seed: simulation.seed,
+        p99Shift: simulation.shift.p99
+      });
+
+      res.json(simulation);
+    } catch (e) {
+      req.logger.error('Scenario simulation failed', { customer_id, error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to simulate scenario',
+        code: e.code || 'SCENARIO_SIMULATION_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/scenario/batch
+ * Previews (default) or applies one change_json to every customer matching
+ * a state / risk tier / cohort key / segment filter, with aggregate impact
+ */
+app.post('/api/scenario/batch',
+  ValidationMiddleware.validateBatchScenario,
+  async (req, res) => {
+    const startTime = process.hrtime();
+    const { name, changeJson, filter, mode } = req.validatedBatch;
+    try {
+      req.logger.info('Batch scenario started', { name, mode, filter });
+
+      const result = await batchScenarioService.runBatchScenario({
+        name,
+        changeJson,
+        filter,
+        mode,
+        changedBy: requestActor(req)
+      });
+
+      const duration = process.hrtime(startTime);
+      const durationMs = Math.round(duration[0] * 1000 + duration[1] * 1e-6);
+
+      req.logger.info('Batch scenario completed', {
+        mode,
+        affected: result.affected_customers,
+        skipped: result.skipped_customers.length,
+        duration: `${durationMs}ms`
+      });
+
+      res.json(result);
+    } catch (e) {
+      req.logger.error('Batch scenario failed', { name, mode, error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to run batch scenario',
+        code: e.code || 'BATCH_SCENARIO_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/scenario/:id/revert
+ * Restores the twin and customer location that preceded an applied scenario
+ * and writes a compensating timeline event
+ */
+app.post('/api/scenario/:id/revert',
+  ValidationMiddleware.validateScenarioId,
+  async (req, res) => {
+    const scenarioId = req.validatedScenarioId;
+    try {
+      req.logger.info('Scenario revert started', { scenarioId });
+
+      const result = await scenarioService.revertScenario(scenarioId, requestActor(req));
+
+      req.logger.info('Scenario reverted', {
+        scenarioId,
+        customer_id: result.customer_id,
+        restoredVersion: result.reverted.to_version
+      });
+
+      res.json(result);
+    } catch (e) {
+      req.logger.error('Scenario revert failed', { scenarioId, error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to revert scenario',
+        code: e.code || 'SCENARIO_REVERT_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/twin/:id/sensitivity
+ * Tornado chart data: risk score and expected loss swing when each scenario
+ * and ML input moves by ±perturbation (default 0.1), largest swing first
+ */
+app.get('/api/twin/:id/sensitivity',
+  ValidationMiddleware.validateCustomerId,
+  ValidationMiddleware.validateSensitivityParams,
+  async (req, res) => {
+    const customerId = req.validatedCustomerId;
+    try {
+      const analysis = await sensitivityService.analyzeTwin(customerId, {
+        perturbation: req.validatedPerturbation
+      });
+      res.json(analysis);
+    } catch (e) {
+      req.logger.error('Sensitivity analysis failed', { customerId, error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to run sensitivity analysis',
+        code: e.code || 'SENSITIVITY_ANALYSIS_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/scenarios/pending
+ * Scheduled scenarios awaiting their effective date (?customer_id= to filter)
+ */
+app.get('/api/scenarios/pending', async (req, res) => {
+  try {
+    const customerId = req.query.customer_id ? parseInt(req.query.customer_id) : null;
+    if (customerId !== null && (isNaN(customerId) || customerId <= 0)) {
+      return res.status(400).json({
+        error: 'customer_id must be a positive integer',
+        code: 'INVALID_CUSTOMER_ID'
+      });
+    }
+
+    const scenarios = await scenarioService.getPendingScenarios(customerId);
+    res.json({ scenarios, count: scenarios.length });
+  } catch (e) {
+    req.logger.error('Pending scenario retrieval failed', { error: e.message });
+    res.status(500).json({
+      error: 'Failed to retrieve pending scenarios',
+      code: 'PENDING_SCENARIOS_FAILED'
+    });
+  }
+});
+
+/**
+ * POST /api/scenario/:id/cancel
+ * Cancels a scheduled scenario before its effective date
+ */
+app.post('/api/scenario/:id/cancel',
+  ValidationMiddleware.validateScenarioId,
+  async (req, res) => {
+    const scenarioId = req.validatedScenarioId;
+    try {
+      const scenario = await scenarioService.cancelScenario(scenarioId, requestActor(req));
+
+      req.logger.info('Scheduled scenario cancelled', { scenarioId, customer_id: scenario.customer_id });
+
+      res.json(scenario);
+    } catch (e) {
+      req.logger.error('Scenario cancellation failed', { scenarioId, error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to cancel scenario',
+        code: e.code || 'SCENARIO_CANCEL_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * Shared handler for scenario approval workflow transitions
+ */
+function scenarioTransitionHandler(action) {
+  return async (req, res) => {
+    const scenarioId = req.validatedScenarioId;
+    try {
+      const reviewing = action === 'approve' || action === 'reject';
+      const result = await scenarioApprovalService.transition(scenarioId, action, {
+        actor: reviewing ? requestReviewer(req) : requestActor(req),
+        comment: req.validatedReview.comment
+      });
+
+      req.logger.info('Scenario workflow transition', {
+        scenarioId,
+        action,
+        status: result.scenario.status
+      });
+
+      res.json(result);
+    } catch (e) {
+      req.logger.error('Scenario workflow transition failed', { scenarioId, action, error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : `Failed to ${action} scenario`,
+        code: e.code || 'SCENARIO_TRANSITION_FAILED'
+      });
+    }
+  };
+}
+
+/**
+ * POST /api/scenario/:id/submit
+ * Send a draft scenario for review
+ */
+app.post('/api/scenario/:id/submit',
+  ValidationMiddleware.validateScenarioId,
+  ValidationMiddleware.validateScenarioReview,
+  scenarioTransitionHandler('submit')
+);
+
+/**
+ * POST /api/scenario/:id/approve
+ * Approve a submitted scenario (reviewer must differ from the requester)
+ */
+app.post('/api/scenario/:id/approve',
+  ValidationMiddleware.validateScenarioId,
+  ValidationMiddleware.validateScenarioReview,
+  scenarioTransitionHandler('approve')
+);
+
+/**
+ * POST /api/scenario/:id/reject
+ * Reject a submitted scenario; a comment is required
+ */
+app.post('/api/scenario/:id/reject',
+  ValidationMiddleware.validateScenarioId,
+  ValidationMiddleware.validateScenarioReview,
+  scenarioTransitionHandler('reject')
+);
+
+/**
+ * POST /api/scenario/:id/reopen
+ * Return a rejected scenario to draft so it can be resubmitted
+ */
+app.post('/api/scenario/:id/reopen',
+  ValidationMiddleware.validateScenarioId,
+  ValidationMiddleware.validateScenarioReview,
+  scenarioTransitionHandler('reopen')
+);
+
+/**
+ * POST /api/scenario/:id/apply
+ * Apply an approved scenario (or hand it to the scheduler if effective_at is in the future)
+ */
+app.post('/api/scenario/:id/apply',
+  ValidationMiddleware.validateScenarioId,
+  ValidationMiddleware.validateScenarioReview,
+  scenarioTransitionHandler('apply')
+);
+
+/**
+ * GET /api/scenario/:id/reviews
+ * Workflow history of a scenario with reviewer comments
+ */
+app.get('/api/scenario/:id/reviews',
+  ValidationMiddleware.validateScenarioId,
+  async (req, res) => {
+    const scenarioId = req.validatedScenarioId;
+    try {
+      res.json(await scenarioApprovalService.getReviews(scenarioId));
+    } catch (e) {
+      req.logger.error('Scenario review history failed', { scenarioId, error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to retrieve scenario reviews',
+        code: e.code || 'SCENARIO_REVIEWS_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/scenarios/review
+ * Review queue; ?status=draft,submitted,approved,rejected (default submitted), ?customer_id= to filter
+ */
+app.get('/api/scenarios/review', async (req, res) => {
+  try {
+    const customerId = req.query.customer_id ? parseInt(req.query.customer_id) : null;
+    if (customerId !== null && (isNaN(customerId) || customerId <= 0)) {
+      return res.status(400).json({
+        error: 'customer_id must be a positive integer',
+        code: 'INVALID_CUSTOMER_ID'
+      });
+    }
+
+    const statuses = req.query.status ? String(req.query.status).split(',') : ['submitted'];
+    const invalid = statuses.filter(status => !scenarioApprovalService.reviewStatuses.includes(status));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: `status must be one of: ${scenarioApprovalService.reviewStatuses.join(', ')}`,
+        code: 'INVALID_SCENARIO_STATUS'
+      });
+    }
+
+    const scenarios = await scenarioApprovalService.listScenarios({ statuses, customerId });
+    res.json({ statuses, scenarios, count: scenarios.length });
+  } catch (e) {
+    req.logger.error('Scenario review queue failed', { error: e.message });
+    res.status(500).json({
+      error: 'Failed to retrieve scenario review queue',
+      code: 'SCENARIO_REVIEW_QUEUE_FAILED'
+    });
+  }
+});
+
+/**
+ * GET /api/twin/:id/history
+ * Versioned history of every risk twin state with the change that produced it
+ */
+app.get('/api/twin/:id/history',
+  ValidationMiddleware.validateCustomerId,
+  async (req, res) => {
+    try {
+      const customerId = req.validatedCustomerId;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+      const versions = await twinHistoryService.getHistory(customerId, limit);
+      res.json({ customer_id: customerId, versions });
+    } catch (e) {
+      req.logger.error('Twin history retrieval failed', {
+        customerId: req.validatedCustomerId,
+        error: e.message
+      });
+      res.status(500).json({
+        error: 'Failed to retrieve twin history',
+        code: 'TWIN_HISTORY_FAILED'
+      });
+    }
+  }
+);
+
+// =============================================================================
+// SCENARIO TEMPLATE API ENDPOINTS
+// =============================================================================
+
+/**
+ * Shared error response for template endpoints
+ */
+function templateErrorResponse(req, res, e, fallbackMessage, fallbackCode) {
+  req.logger.error(fallbackMessage, { templateId: req.validatedTemplateId, error: e.message });
+  res.status(e.status || 500).json({
+    error: e.status ? e.message : fallbackMessage,
+    code: e.code || fallbackCode
+  });
+}
+
+/**
+ * GET /api/scenario-templates
+ * Active templates; ?includeInactive=true also lists retired ones
+ */
+app.get('/api/scenario-templates', async (req, res) => {
+  try {
+    const templates = await scenarioTemplateService.listTemplates({
+      includeInactive: req.query.includeInactive === 'true'
+    });
+    res.json({ templates, count: templates.length });
+  } catch (e) {
+    templateErrorResponse(req, res, e, 'Failed to list scenario templates', 'TEMPLATE_LIST_FAILED');
+  }
+});
+
+/**
+ * GET /api/scenario-templates/:id
+ */
+app.get('/api/scenario-templates/:id',
+  ValidationMiddleware.validateTemplateId,
+  async (req, res) => {
+    try {
+      res.json(await scenarioTemplateService.getTemplate(req.validatedTemplateId));
+    } catch (e) {
+      templateErrorResponse(req, res, e, 'Failed to retrieve scenario template', 'TEMPLATE_RETRIEVAL_FAILED');
+    }
+  }
+);
+
+/**
+ * POST /api/scenario-templates
+ * Create a template; it must render to a valid change_json with sample values
+ */
+app.post('/api/scenario-templates',
+  ValidationMiddleware.validateScenarioTemplate,
+  async (req, res) => {
+    try {
+      const template = await scenarioTemplateService.createTemplate(req.validatedTemplate);
+      req.logger.info('Scenario template created', { templateId: template.template_id, name: template.name });
+      res.status(201).json(template);
+    } catch (e) {
+      templateErrorResponse(req, res, e, 'Failed to create scenario template', 'TEMPLATE_CREATION_FAILED');
+    }
+  }
+);
+
+/**
+ * PUT /api/scenario-templates/:id
+ * Replace a template definition
+ */
+app.put('/api/scenario-templates/:id',
+  ValidationMiddleware.validateTemplateId,
+  ValidationMiddleware.validateScenarioTemplate,
+  async (req, res) => {
+    try {
+      const template = await scenarioTemplateService.updateTemplate(req.validatedTemplateId, req.validatedTemplate);
+      req.logger.info('Scenario template updated', { templateId: template.template_id });
+      res.json(template);
+    } catch (e) {
+      templateErrorResponse(req, res, e, 'Failed to update scenario template', 'TEMPLATE_UPDATE_FAILED');
+    }
+  }
+);
+
+/**
+ * DELETE /api/scenario-templates/:id
+ * Retires the template; scenarios created from it keep their template_id
+ */
+app.delete('/api/scenario-templates/:id',
+  ValidationMiddleware.validateTemplateId,
+  async (req, res) => {
+    try {
+      const template = await scenarioTemplateService.deleteTemplate(req.validatedTemplateId);
+      req.logger.info('Scenario template retired', { templateId: template.template_id });
+      res.json(template);
+    } catch (e) {
+      templateErrorResponse(req, res, e, 'Failed to delete scenario template', 'TEMPLATE_DELETE_FAILED');
+    }
+  }
+);
+
+// =============================================================================
+// RISK FACTOR ADMIN API ENDPOINTS
+// =============================================================================
+
+/**
+ * Shared error response for risk factor endpoints
+ */
+function riskFactorErrorResponse(req, res, e, fallbackMessage, fallbackCode) {
+  req.logger.error(fallbackMessage, { versionId: req.validatedFactorVersionId, error: e.message });
+  res.status(e.status || 500).json({
+    error: e.status ? e.message : fallbackMessage,
+    code: e.code || fallbackCode
+  });
+}
+
+/**
+ * GET /api/admin/risk-factors
+ * Factor table currently used by scenarios and ML scoring
+ */
+app.get('/api/admin/risk-factors', async (req, res) => {
+  try {
+    res.json(await riskFactorService.getActiveVersion());
+  } catch (e) {
+    riskFactorErrorResponse(req, res, e, 'Failed to retrieve risk factors', 'FACTOR_RETRIEVAL_FAILED');
+  }
+});
+
+/**
+ * GET /api/admin/risk-factors/versions
+ * All factor versions, newest first
+ */
+app.get('/api/admin/risk-factors/versions', async (req, res) => {
+  try {
+    const versions = await riskFactorService.listVersions();
+    res.json({ versions, count: versions.length });
+  } catch (e) {
+    riskFactorErrorResponse(req, res, e, 'Failed to list risk factor versions', 'FACTOR_VERSION_LIST_FAILED');
+  }
+});
+
+/**
+ * GET /api/admin/risk-factors/versions/:id
+ */
+app.get('/api/admin/risk-factors/versions/:id',
+  ValidationMiddleware.validateFactorVersionId,
+  async (req, res) => {
+    try {
+      res.json(await riskFactorService.getVersion(req.validatedFactorVersionId));
+    } catch (e) {
+      riskFactorErrorResponse(req, res, e, 'Failed to retrieve risk factor version', 'FACTOR_VERSION_RETRIEVAL_FAILED');
+    }
+  }
+);
+
+/**
+ * POST /api/admin/risk-factors/versions
+ * New version copied from base_version_id (default: active) with changes applied
+ */
+app.post('/api/admin/risk-factors/versions',
+  ValidationMiddleware.validateRiskFactorVersion,
+  async (req, res) => {
+    try {
+      const version = await riskFactorService.createVersion({
+        ...req.validatedFactorVersion,
+        createdBy: requestActor(req)
+      });
+      req.logger.info('Risk factor version created', { versionId: version.version_id, active: version.is_active });
+      res.status(201).json(version);
+    } catch (e) {
+      riskFactorErrorResponse(req, res, e, 'Failed to create risk factor version', 'FACTOR_VERSION_CREATION_FAILED');
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/risk-factors/states/:state
+ * Edit one state's factors; recorded as a new version
+ */
+app.put('/api/admin/risk-factors/states/:state',
+  ValidationMiddleware.validateStateFactorUpdate,
+  async (req, res) => {
+    try {
+      const version = await riskFactorService.createVersion({
+        ...req.validatedFactorVersion,
+        createdBy: requestActor(req)
+      });
+      req.logger.info('State risk factors updated', { state: req.params.state, versionId: version.version_id });
+      res.json(version);
+    } catch (e) {
+      riskFactorErrorResponse(req, res, e, 'Failed to update state risk factors', 'FACTOR_UPDATE_FAILED');
+    }
+  }
+);
+
+/**
+ * POST /api/admin/risk-factors/versions/:id/activate
+ * Switch calculations to an existing version (use an older id to roll back)
+ */
+app.post('/api/admin/risk-factors/versions/:id/activate',
+  ValidationMiddleware.validateFactorVersionId,
+  async (req, res) => {
+    try {
+      const version = await riskFactorService.activateVersion(req.validatedFactorVersionId);
+      req.logger.info('Risk factor version activated', { versionId: version.version_id });
+      res.json(version);
+    } catch (e) {
+      riskFactorErrorResponse(req, res, e, 'Failed to activate risk factor version', 'FACTOR_VERSION_ACTIVATION_FAILED');
+    }
+  }
+);
+
+// =============================================================================
+// ML RISK ANALYSIS API ENDPOINTS  
+// =============================================================================
+
+/**
+ * POST /api/risk/recalculate
+ * Enhanced ML risk recalculation with proper error handling
+ * mode=preview (default) only returns the result; mode=commit writes the new score to the twin,
+ * its history and the timeline. Pass seed to reproduce the simulated external factors.
+ */
+app.post('/api/risk/recalculate',
+  async (req, res) => {
+    const startTime = process.hrtime();
+    try {
+      const { customer_id, seed, mode = 'preview' } = req.body;
+      
+      if (!customer_id) {
+        return res.status(400).json({ 
+          error: 'Customer ID is required in request body',
+          code: 'MISSING_CUSTOMER_ID'
+        });
+      }
+      
+      const customerId = parseInt(customer_id);
+      if (isNaN(customerId) || customerId <= 0) {
+        return res.status(400).json({ 
+          error: 'Invalid customer ID format. Must be a positive integer.',
+          code: 'INVALID_CUSTOMER_ID'
+        });
+      }
+      
+      if (seed !== undefined && seed !== null && (!Number.isInteger(seed) || seed < 0 || seed > 4294967295)) {
+        return res.status(400).json({ 
+          error: 'seed must be an integer between 0 and 4294967295',
+          code: 'INVALID_SEED'
+        });
+      }
+      
+      if (!['commit', 'preview'].includes(mode)) {
+        return res.status(400).json({ 
+          error: 'mode must be either preview or commit',
+          code: 'INVALID_RECALCULATION_MODE'
+        });
+      }
+      
+      req.logger.info('ML risk recalculation started', { customerId, seed, mode });
+      
+      const mlResult = await mlService.recalculateRisk(customerId, { seed, mode, changedBy: requestActor(req) });
+      
+      const duration = process.hrtime(startTime);
+      const durationMs = Math.round(duration[0] * 1000 + duration[1] * 1e-6);
+      
+      req.logger.info('ML risk recalculation completed', { 
+        customerId,
+        calculationId: mlResult.calculation_id,
+        mode,
+        seed: mlResult.seed,
+        duration: `${durationMs}ms` 
+      });
+      
+      res.json(mlResult);
+    } catch (e) {
+      req.logger.error('ML risk recalculation failed', { 
+        customerId: req.body?.customer_id, 
+        error: e.message 
+      });
+      res.status(e.status || 500).json({ 
+        error: e.status ? e.message : 'Failed to recalculate risk score',
+        code: e.code || 'ML_RECALCULATION_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/risk/external-factors/:stateCode
+ * Current external factors for a state and the provider that supplied each one
+ * (simulated values use the given seed, or a fresh one)
+ */
+app.get('/api/risk/external-factors/:stateCode', async (req, res) => {
+  const stateCode = String(req.params.stateCode).toUpperCase();
+  try {
+    if (!ValidationMiddleware.validateStateCode(stateCode)) {
+      return res.status(400).json({
+        error: 'Invalid state code format',
+        code: 'INVALID_STATE_CODE'
+      });
+    }
+
+    const requestedSeed = req.query.seed !== undefined ? Number(req.query.seed) : null;
+    if (requestedSeed !== null && (!Number.isInteger(requestedSeed) || requestedSeed < 0 || requestedSeed > 4294967295)) {
+      return res.status(400).json({
+        error: 'seed must be an integer between 0 and 4294967295',
+        code: 'INVALID_SEED'
+      });
+    }
+
+    const seed = mlService.resolveSeed(requestedSeed);
+    const factorTable = await mlService.getFactorTable();
+    const { factors, sources } = await mlService.collectExternalFactors(
+      stateCode,
+      factorTable,
+      mlService.createRandomStreams(seed).factors,
+      mlService.clock()
+    );
+
+    res.json({
+      state: stateCode,
+      seed,
+      external_factors: factors,
+      sources,
+      providers: externalFactorService.describe()
+    });
+  } catch (e) {
+    req.logger.error('Failed to load external factors', { stateCode, error: e.message });
+    res.status(500).json({
+      error: 'Failed to load external factors',
+      code: 'EXTERNAL_FACTORS_FAILED'
+    });
+  }
+});
+
+/**
+ * GET /api/risk/calculations/:id
+ * Stored ML recalculation: input snapshot (factors, temporal adjustment, seed) and result
+ */
+app.get('/api/risk/calculations/:id',
+  ValidationMiddleware.validateCalculationId,
+  async (req, res) => {
+    try {
+      const calculation = await mlService.getCalculation(req.validatedCalculationId);
+      res.json(calculation);
+    } catch (e) {
+      req.logger.error('Failed to fetch risk calculation', { calculationId: req.validatedCalculationId, error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to fetch risk calculation',
+        code: e.code || 'CALCULATION_FETCH_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/risk/calculations/:id/replay
+ * Reruns a stored ML recalculation from its snapshot and reports any field that differs
+ */
+app.post('/api/risk/calculations/:id/replay',
+  ValidationMiddleware.validateCalculationId,
+  async (req, res) => {
+    try {
+      const replay = await mlService.replayCalculation(req.validatedCalculationId);
+
+      req.logger.info('Risk calculation replayed', {
+        calculationId: replay.calculation_id,
+        matches: replay.matches
+      });
+
+      res.json(replay);
+    } catch (e) {
+      req.logger.error('Risk calculation replay failed', { calculationId: req.validatedCalculationId, error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to replay risk calculation',
+        code: e.code || 'CALCULATION_REPLAY_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/risk/calculations/:id/explanation
+ * Factor attribution and reason codes stored with an ML recalculation
+ */
+app.get('/api/risk/calculations/:id/explanation',
+  ValidationMiddleware.validateCalculationId,
+  async (req, res) => {
+    try {
+      const explanation = await explanationService.getCalculationExplanation(req.validatedCalculationId);
+      res.json(explanation);
+    } catch (e) {
+      req.logger.error('Failed to fetch calculation explanation', { calculationId: req.validatedCalculationId, error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to fetch score explanation',
+        code: e.code || 'EXPLANATION_FETCH_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/risk/explanations/:id
+ * Explanation of the customer's latest committed ML score: baseline, additive
+ * contribution per factor and reason codes ranked by impact
+ */
+app.get('/api/risk/explanations/:id',
+  ValidationMiddleware.validateCustomerId,
+  async (req, res) => {
+    try {
+      const explanation = await explanationService.getLatestExplanation(req.validatedCustomerId);
+      res.json(explanation);
+    } catch (e) {
+      req.logger.error('Failed to fetch score explanation', { customerId: req.validatedCustomerId, error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to fetch score explanation',
+        code: e.code || 'EXPLANATION_FETCH_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/risk/explanations/:id/history?limit=20&include_previews=true
+ * Stored explanations for a customer, newest first
+ */
+app.get('/api/risk/explanations/:id/history',
+  ValidationMiddleware.validateCustomerId,
+  async (req, res) => {
+    try {
+      const limit = req.query.limit !== undefined ? Number(req.query.limit) : 20;
+      if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        return res.status(400).json({
+          error: 'limit must be an integer between 1 and 100',
+          code: 'INVALID_LIMIT'
+        });
+      }
+
+      const explanations = await explanationService.listExplanations(req.validatedCustomerId, {
+        limit,
+        includePreviews: req.query.include_previews === 'true'
+      });
+      res.json({ customer_id: req.validatedCustomerId, explanations });
+    } catch (e) {
+      req.logger.error('Failed to list score explanations', { customerId: req.validatedCustomerId, error: e.message });
+      res.status(500).json({
+        error: 'Failed to list score explanations',
+        code: 'EXPLANATION_FETCH_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/risk/explanations/:id/changes?from=12&to=15
+ * Why the score changed between two stored explanations (default: the last two committed scores)
+ */
+app.get('/api/risk/explanations/:id/changes',
+  ValidationMiddleware.validateCustomerId,
+  async (req, res) => {
+    try {
+      const [fromId, toId] = ['from', 'to'].map(key => (req.query[key] !== undefined ? Number(req.query[key]) : null));
+      if ([fromId, toId].some(id => id !== null && (!Number.isInteger(id) || id <= 0))) {
+        return res.status(400).json({
+          error: 'from and to must be explanation IDs (positive integers)',
+          code: 'INVALID_EXPLANATION_ID'
+        });
+      }
+
+      const change = await explanationService.explainChange(req.validatedCustomerId, { fromId, toId });
+      res.json(change);
+    } catch (e) {
+      req.logger.error('Failed to explain score change', { customerId: req.validatedCustomerId, error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to explain score change',
+        code: e.code || 'EXPLANATION_CHANGE_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/risk/trend/:id
+ * Returns ML-powered risk trend analysis and predictions
+ * Includes forecasting and confidence intervals
+ */
+app.get('/api/risk/trend/:id', async (req, res) => {
+  try {
+    const customerId = req.params.id;
+    const trendData = await mlService.getRiskTrend(customerId);
+    res.json(trendData);
+  } catch (e) { 
+    console.error('Risk trend error:', e); 
+    res.status(500).json({ error: e.message }); 
+  }
+});
+
+// =============================================================================
+// CLAIM MODEL API ENDPOINTS
+// =============================================================================
+
+/**
+ * POST /api/models/claim/train
+ * Trains the claim-probability model on historical claims and makes it the current model
+ * Returns train and holdout AUC / Brier / log loss
+ */
+app.post('/api/models/claim/train',
+  ValidationMiddleware.validateClaimModelTraining,
+  async (req, res) => {
+    try {
+      req.logger.info('Claim model training started', req.validatedTraining);
+
+      const model = await claimModelService.train({ ...req.validatedTraining, trainedBy: requestActor(req) });
+
+      req.logger.info('Claim model training completed', {
+        modelId: model.model_id,
+        holdoutAuc: model.metrics.holdout ? model.metrics.holdout.auc : null
+      });
+
+      res.status(201).json(model);
+    } catch (e) {
+      req.logger.error('Claim model training failed', { error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to train claim model',
+        code: e.code || 'CLAIM_MODEL_TRAINING_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/models/claim
+ * Current claim model: features, coefficients, training window and metrics
+ */
+app.get('/api/models/claim', async (req, res) => {
+  try {
+    const model = await claimModelService.getCurrentModel();
+    res.json(model);
+  } catch (e) {
+    req.logger.error('Failed to fetch claim model', { error: e.message });
+    res.status(e.status || 500).json({
+      error: e.status ? e.message : 'Failed to fetch claim model',
+      code: e.code || 'CLAIM_MODEL_FETCH_FAILED'
+    });
+  }
+});
+
+/**
+ * GET /api/models/claim/score/:id
+ * Scores one customer with the current claim model as of now
+ */
+app.get('/api/models/claim/score/:id',
+  ValidationMiddleware.validateCustomerId,
+  async (req, res) => {
+    try {
+      const score = await claimModelService.scoreCustomer(req.validatedCustomerId);
+      if (!score) {
+        return res.status(404).json({
+          error: 'No claim model has been trained yet',
+          code: 'CLAIM_MODEL_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        customer_id: req.validatedCustomerId,
+        model_id: score.model_id,
+        claim_prob: parseFloat(score.claim_prob.toFixed(4)),
+        features: Object.fromEntries(score.feature_names.map((name, j) => [name, score.features[j]])),
+        scored_at: score.scored_at
+      });
+    } catch (e) {
+      req.logger.error('Claim model scoring failed', { customerId: req.validatedCustomerId, error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to score customer',
+        code: e.code || 'CLAIM_MODEL_SCORING_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/models/claim/backtest?from=2023-01-01&to=2024-10-01&step_months=3&bins=10&slice_by=state
+ * Backtests the twins' next12m_claim_prob against losses in the following 12 months:
+ * calibration buckets, Brier, log loss, AUC and lift / gain, optionally per state, line or risk tier
+ */
+app.get('/api/models/claim/backtest',
+  ValidationMiddleware.validateClaimBacktest,
+  async (req, res) => {
+    try {
+      const backtest = await claimBacktestService.run(req.validatedBacktest);
+      res.json(backtest);
+    } catch (e) {
+      req.logger.error('Claim probability backtest failed', { error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to backtest claim probabilities',
+        code: e.code || 'CLAIM_BACKTEST_FAILED'
+      });
+    }
+  }
+);
+
+// =============================================================================
+// MODEL REGISTRY API ENDPOINTS
+// =============================================================================
+
+/**
+ * GET /api/models/registry
+ * Registered model versions (optionally one family) with status, metrics and shadow score counts
+ */
+app.get('/api/models/registry', async (req, res) => {
+  try {
+    const family = req.query.family || null;
+    if (family && !modelRegistryService.families[family]) {
+      return res.status(400).json({
+        error: 'family must be either risk_score or claim_probability',
+        code: 'INVALID_MODEL_FAMILY'
+      });
+    }
+
+    const versions = await modelRegistryService.listVersions({ family });
+    res.json({ families: modelRegistryService.families, versions });
+  } catch (e) {
+    req.logger.error('Failed to list model versions', { error: e.message });
+    res.status(500).json({
+      error: 'Failed to list model versions',
+      code: 'MODEL_REGISTRY_FETCH_FAILED'
+    });
+  }
+});
+
+/**
+ * POST /api/models/registry
+ * Register a model version; shadow=true makes it a challenger scored on every recalculation
+ */
+app.post('/api/models/registry',
+  ValidationMiddleware.validateModelRegistration,
+  async (req, res) => {
+    try {
+      const modelVersion = await modelRegistryService.registerVersion({
+        ...req.validatedModelVersion,
+        registeredBy: requestActor(req)
+      });
+
+      req.logger.info('Model version registered', {
+        modelVersionId: modelVersion.model_version_id,
+        family: modelVersion.model_family,
+        version: modelVersion.version,
+        status: modelVersion.status
+      });
+
+      res.status(201).json(modelVersion);
+    } catch (e) {
+      req.logger.error('Model registration failed', { error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to register model version',
+        code: e.code || 'MODEL_REGISTRATION_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/models/registry/compare
+ * Champion vs challenger report: score distributions, differences and disagreement rates
+ * over the recalculations where both were scored
+ */
+app.get('/api/models/registry/compare',
+  ValidationMiddleware.validateModelComparison,
+  async (req, res) => {
+    try {
+      const report = await modelRegistryService.compare(req.validatedModelComparison);
+      res.json(report);
+    } catch (e) {
+      req.logger.error('Model comparison failed', { ...req.validatedModelComparison, error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to compare models',
+        code: e.code || 'MODEL_COMPARISON_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/models/registry/scores/:id
+ * Champion and challenger outputs stored for one ML recalculation
+ */
+app.get('/api/models/registry/scores/:id',
+  ValidationMiddleware.validateCalculationId,
+  async (req, res) => {
+    try {
+      const scores = await modelRegistryService.getCalculationScores(req.validatedCalculationId);
+      res.json({ calculation_id: req.validatedCalculationId, scores });
+    } catch (e) {
+      req.logger.error('Failed to fetch model scores', { calculationId: req.validatedCalculationId, error: e.message });
+      res.status(500).json({
+        error: 'Failed to fetch model scores',
+        code: 'MODEL_SCORES_FETCH_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/models/registry/:id
+ * One registered model version
+ */
+app.get('/api/models/registry/:id',
+  ValidationMiddleware.validateModelVersionId,
+  async (req, res) => {
+    try {
+      const modelVersion = await modelRegistryService.getVersion(req.validatedModelVersionId);
+      res.json(modelVersion);
+    } catch (e) {
+      req.logger.error('Failed to fetch model version', { modelVersionId: req.validatedModelVersionId, error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to fetch model version',
+        code: e.code || 'MODEL_VERSION_FETCH_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * Shared handler for model registry status changes
+ */
+function modelTransitionHandler(action) {
+  return async (req, res) => {
+    const modelVersionId = req.validatedModelVersionId;
+    try {
+      const result = await modelRegistryService.transition(modelVersionId, action, { actor: requestActor(req) });
+
+      req.logger.info('Model version status changed', {
+        modelVersionId,
+        action,
+        status: result.model_version.status,
+        previousChampion: result.previous_champion ? result.previous_champion.model_version_id : null
+      });
+
+      res.json(result);
+    } catch (e) {
+      req.logger.error('Model version status change failed', { modelVersionId, action, error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : `Failed to ${action} model version`,
+        code: e.code || 'MODEL_TRANSITION_FAILED'
+      });
+    }
+  };
+}
+
+/**
+ * POST /api/models/registry/:id/promote
+ * Make a version the champion of its family (the previous champion is retired)
+ */
+app.post('/api/models/registry/:id/promote',
+  ValidationMiddleware.validateModelVersionId,
+  modelTransitionHandler('promote')
 );
 
 /**
- * POST /api/timeline/create
- * Creates a new timeline event for a customer
- * Used for automatic baseline timeline population
+ * POST /api/models/registry/:id/shadow
+ * Start scoring a version as a challenger on every recalculation
  */
-app.post('/api/timeline/create', async (req, res) => {
-  const { customer_id, event_ts, title, details, tag } = req.body;
+app.post('/api/models/registry/:id/shadow',
+  ValidationMiddleware.validateModelVersionId,
+  modelTransitionHandler('shadow')
+);
+
+/**
+ * POST /api/models/registry/:id/retire
+ * Stop using a registered or challenger version
+ */
+app.post('/api/models/registry/:id/retire',
+  ValidationMiddleware.validateModelVersionId,
+  modelTransitionHandler('retire')
+);
+
+// =============================================================================
+// SCORE DRIFT MONITORING API ENDPOINTS
+// =============================================================================
+
+/**
+ * GET /api/monitoring/drift?limit=30
+ * Drift history: one entry per distribution snapshot with overall PSI / KS and breach count
+ */
+app.get('/api/monitoring/drift', async (req, res) => {
   try {
-    const result = await pool.query(`
-      INSERT INTO timeline_events (customer_id, event_ts, title, details, tag)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING event_id
-    `, [customer_id, event_ts, title, details, tag]);
-    
-    res.json({ 
-      success: true, 
-      event_id: result.rows[0].event_id,
-      message: 'Timeline event created successfully'
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 30;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 365) {
+      return res.status(400).json({
+        error: 'limit must be an integer between 1 and 365',
+        code: 'INVALID_LIMIT'
+      });
+    }
+
+    const snapshots = await driftMonitorService.listSnapshots({ limit });
+    res.json({
+      thresholds: {
+        psi: driftMonitorService.psiThreshold,
+        ks: driftMonitorService.ksThreshold,
+        min_group_size: driftMonitorService.minGroupSize
+      },
+      snapshots
+    });
+  } catch (e) {
+    req.logger.error('Failed to list drift snapshots', { error: e.message });
+    res.status(500).json({
+      error: 'Failed to list drift snapshots',
+      code: 'DRIFT_HISTORY_FAILED'
     });
-  } catch (e) { 
-    console.error('Timeline creation error:', e); 
-    res.status(500).json({ error: e.message }); 
   }
 });
 
 /**
- * DELETE /api/timeline/cleanup
- * Administrative endpoint for cleaning broken timeline entries
+ * POST /api/monitoring/drift/run
+ * Take a distribution snapshot now and compare it with the reference
  */
-app.delete('/api/timeline/cleanup', async (req, res) => {
-  const startTime = process.hrtime();
+app.post('/api/monitoring/drift/run', async (req, res) => {
   try {
-    req.logger.info('Timeline cleanup started');
-    
-    const deleteQuery = `
-      DELETE FROM timeline_events 
-      WHERE details LIKE '%undefined%' 
-      OR title LIKE '%undefined%'
-    `;
-    const result = await pool.query(deleteQuery);
-    
-    const duration = process.hrtime(startTime);
-    const durationMs = Math.round(duration[0] * 1000 + duration[1] * 1e-6);
-    
-    req.logger.info('Timeline cleanup completed', { 
-      deletedRows: result.rowCount,
-      duration: `${durationMs}ms` 
-    });
-    
-    res.json({ 
-      message: 'Timeline cleanup completed',
-      deletedEvents: result.rowCount 
+    const result = await driftMonitorService.runSnapshot({ source: 'manual', takenBy: requestActor(req) });
+
+    req.logger.info('Score distribution snapshot taken', {
+      snapshotId: result.snapshot_id,
+      breaches: result.breach_count,
+      alertId: result.alert_id
     });
+
+    res.status(201).json(result);
   } catch (e) {
-    req.logger.error('Timeline cleanup failed', { error: e.message });
-    res.status(500).json({ 
-      error: 'Failed to cleanup timeline events',
-      code: 'TIMELINE_CLEANUP_FAILED'
+    req.logger.error('Drift snapshot failed', { error: e.message });
+    res.status(500).json({
+      error: 'Failed to take drift snapshot',
+      code: 'DRIFT_SNAPSHOT_FAILED'
     });
   }
 });
 
-// =============================================================================
-// SCENARIO SIMULATION API ENDPOINTS
-// =============================================================================
-
 /**
- * Apply scenario impact to customer risk profile
- * Updates risk_twins table with recalculated values based on scenario changes
+ * GET /api/monitoring/drift/:id?include_distributions=true
+ * One snapshot with PSI / KS per metric for every group (overall, state, segment)
  */
-async function applyScenarioImpact(customerId, changeJson) {
-  try {
-    // Get current customer data
-    const customerResult = await pool.query('SELECT * FROM get_twin($1);', [customerId]);
-    const customer = customerResult.rows[0];
-    
-    if (!customer) {
-      throw new Error('Customer not found');
-    }
-    
-    let newRiskScore = customer.base_risk_score;
-    let newClaimProb = customer.next12m_claim_prob;
-    let newExpectedLoss = customer.next12m_expected_loss;
-    
-    // Apply state change impact
-    if (changeJson.move_state) {
-      const stateRiskFactors = {
-        'FL': 1.15, 'CA': 1.12, 'TX': 1.08, 'NY': 1.10, 'IL': 1.05,
-        'PA': 1.02, 'OH': 0.98, 'GA': 1.06, 'NC': 1.04, 'MI': 1.01,
-        'NJ': 1.09, 'VA': 1.03, 'WA': 1.00, 'AZ': 1.07, 'MA': 1.11,
-        'TN': 0.99, 'IN': 0.97, 'MO': 0.96, 'MD': 1.08, 'WI': 0.95
-      };
-      
-      const newStateFactor = stateRiskFactors[changeJson.move_state] || 1.0;
-      const currentStateFactor = stateRiskFactors[customer.state] || 1.0;
-      const stateAdjustment = newStateFactor / currentStateFactor;
-      
-      newRiskScore *= stateAdjustment;
-      newClaimProb *= stateAdjustment;
-      newExpectedLoss *= stateAdjustment;
-      
-      // Update customer location in customers table
-      await pool.query(
-        'UPDATE customers SET state = $1 WHERE customer_id = $2',
-        [changeJson.move_state, customerId]
-      );
-    }
-    
-    // Apply deductible change impact
-    if (changeJson.increase_deductible || changeJson.decrease_deductible) {
-      const deductibleChange = changeJson.increase_deductible || -changeJson.decrease_deductible;
-      const deductibleImpactFactor = 1 - (deductibleChange * 0.0001); // $1000 deductible ≈ 10% risk reduction
-      
-      newRiskScore *= deductibleImpactFactor;
-      newClaimProb *= deductibleImpactFactor;
-      newExpectedLoss *= deductibleImpactFactor;
+app.get('/api/monitoring/drift/:id',
+  ValidationMiddleware.validateDriftSnapshotId,
+  async (req, res) => {
+    try {
+      const snapshot = await driftMonitorService.getSnapshot(req.validatedDriftSnapshotId, {
+        includeDistributions: req.query.include_distributions === 'true'
+      });
+      res.json(snapshot);
+    } catch (e) {
+      req.logger.error('Failed to fetch drift snapshot', { snapshotId: req.validatedDriftSnapshotId, error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to fetch drift snapshot',
+        code: e.code || 'DRIFT_SNAPSHOT_FETCH_FAILED'
+      });
     }
-    
-    // Ensure values stay within reasonable bounds
-    newRiskScore = Math.max(0, Math.min(100, newRiskScore));
-    newClaimProb = Math.max(0, Math.min(1, newClaimProb));
-    newExpectedLoss = Math.max(0, newExpectedLoss);
-    
-    // Update risk_twins table with new calculated values
-    await pool.query(`
-      UPDATE risk_twins 
-      SET base_risk_score = $1, 
-          next12m_claim_prob = $2, 
-          next12m_expected_loss = $3, 
-          updated_at = NOW()
-      WHERE customer_id = $4
-    `, [newRiskScore, newClaimProb, newExpectedLoss, customerId]);
-    
-    const impactSummary = {
-      beforeRiskScore: customer.base_risk_score,
-      afterRiskScore: parseFloat(newRiskScore.toFixed(1)),
-      beforeDeductible: changeJson.before_deductible,
-      afterDeductible: changeJson.final_deductible
-    };
-
-    console.log(`Scenario impact applied for customer ${customerId}:`, {
-      riskScore: `${impactSummary.beforeRiskScore} → ${impactSummary.afterRiskScore}`,
-      claimProb: `${(customer.next12m_claim_prob * 100).toFixed(1)}% → ${(newClaimProb * 100).toFixed(1)}%`,
-      expectedLoss: `$${customer.next12m_expected_loss} → $${newExpectedLoss.toFixed(0)}`
-    });
-
-    return impactSummary;
-
-  } catch (error) {
-    console.error('Error applying scenario impact:', error);
-    throw error;
   }
-}
+);
 
 /**
- * POST /api/scenario
- * Enhanced scenario creation with comprehensive validation
+ * POST /api/monitoring/drift/:id/reference
+ * Compare future snapshots against this one (re-baseline after an expected shift)
  */
-app.post('/api/scenario',
-  ValidationMiddleware.validateScenarioData,
+app.post('/api/monitoring/drift/:id/reference',
+  ValidationMiddleware.validateDriftSnapshotId,
   async (req, res) => {
-    const startTime = process.hrtime();
     try {
-      const { customer_id, name, change_json } = req.validatedScenario;
-      
-      req.logger.info('Scenario creation started', { customer_id, name });
-      
-      // Insert scenario
-      const scenarioQuery = `
-        INSERT INTO scenarios (customer_id, name, change_json, applied_at)
-        VALUES ($1, $2, $3, NOW())
-        RETURNING *
-      `;
-      const scenarioResult = await pool.query(scenarioQuery, [customer_id, name, JSON.stringify(change_json)]);
-      const scenario = scenarioResult.rows[0];
-      
-      // Apply scenario changes to customer risk profile
-
-      let impact = null;
-      if (!change_json.no_change) {
-        impact = await applyScenarioImpact(customer_id, change_json);
-      }
-      
-      // Generate business-focused timeline entry
-      let timelineTitle = '📅 What-if Scenario Applied';
-
-      // Build a concise, non-duplicative details string
-      let timelineParts = [];
-
-      if (change_json.move_state) {
-        timelineParts.push(`Relocated to ${change_json.move_state}`);
-      }
-
-      // Handle deductible modifications with explicit before / after amounts
-      if (change_json.increase_deductible) {
-        timelineTitle = `💰 Deductible Adjustment - Est. Premium Impact: -$${Math.round(change_json.increase_deductible * 0.15)}/year`;
-        timelineParts.push(`Increased deductible by $${change_json.increase_deductible}`);
-      } else if (change_json.decrease_deductible) {
-        timelineTitle = `💰 Deductible Adjustment +$${Math.round(change_json.decrease_deductible * 0.15)}/year est.`;
-        timelineParts.push(`Decreased deductible by $${change_json.decrease_deductible}`);
-      } else {
-        // Default description falls back to scenario name (when not purely deductible change)
-        timelineParts.push(`Applied scenario: ${name}`);
-      }
+      const snapshot = await driftMonitorService.setReference(req.validatedDriftSnapshotId);
 
-      // Append before/after metrics for storyboard display
-      if (impact) {
-        timelineParts.push(`Risk: ${impact.beforeRiskScore.toFixed(1)}→${impact.afterRiskScore.toFixed(1)}`);
-        if (impact.beforeDeductible !== undefined && impact.afterDeductible !== undefined) {
-          timelineParts.push(`Prev deductible: $${impact.beforeDeductible}`);
-          timelineParts.push(`Current deductible: $${impact.afterDeductible}`);
-        }
-      }
+      req.logger.info('Drift reference snapshot changed', { snapshotId: snapshot.snapshot_id, actor: requestActor(req) });
 
-      const timelineDetails = timelineParts.join(' | ');
-      
-      // Create timeline event
-      const timelineQuery = `
-        INSERT INTO timeline_events (customer_id, title, details, event_ts, tag)
-        VALUES ($1, $2, $3, NOW(), 'scenario')
-      `;
-      await pool.query(timelineQuery, [customer_id, timelineTitle, timelineDetails]);
-      
-      const duration = process.hrtime(startTime);
-      const durationMs = Math.round(duration[0] * 1000 + duration[1] * 1e-6);
-      
-      req.logger.info('Scenario created successfully', { 
-        customer_id, 
-        scenarioId: scenario.scenario_id,
-        duration: `${durationMs}ms` 
-      });
-      
-      res.json(scenario);
+      res.json(snapshot);
     } catch (e) {
-      req.logger.error('Scenario creation failed', { 
-        customer_id: req.validatedScenario?.customer_id, 
-        error: e.message 
-      });
-      res.status(500).json({ 
-        error: 'Failed to create scenario',
-        code: 'SCENARIO_CREATION_FAILED'
+      req.logger.error('Failed to set drift reference', { snapshotId: req.validatedDriftSnapshotId, error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to set drift reference',
+        code: e.code || 'DRIFT_REFERENCE_FAILED'
       });
     }
   }
 );
 
 // =============================================================================
-// ML RISK ANALYSIS API ENDPOINTS  
+// FEATURE STORE API ENDPOINTS
 // =============================================================================
 
 /**
- * POST /api/risk/recalculate
- * Enhanced ML risk recalculation with proper error handling
+ * GET /api/features?as_of=2025-06-30
+ * Every customer's stored features as of a date (latest when as_of is omitted)
  */
-app.post('/api/risk/recalculate',
+app.get('/api/features',
+  ValidationMiddleware.validateFeatureQuery,
   async (req, res) => {
-    const startTime = process.hrtime();
     try {
-      const { customer_id } = req.body;
-      
-      if (!customer_id) {
-        return res.status(400).json({ 
-          error: 'Customer ID is required in request body',
-          code: 'MISSING_CUSTOMER_ID'
-        });
-      }
-      
-      const customerId = parseInt(customer_id);
-      if (isNaN(customerId) || customerId <= 0) {
-        return res.status(400).json({ 
-          error: 'Invalid customer ID format. Must be a positive integer.',
-          code: 'INVALID_CUSTOMER_ID'
-        });
-      }
-      
-      req.logger.info('ML risk recalculation started', { customerId });
-      
-      const mlResult = await mlService.recalculateRisk(customerId);
-      
-      if (mlResult && mlResult.risk_calculation) {
-        const calc = mlResult.risk_calculation;
-        
-        // Create premium-focused timeline entry
-        const premiumImpact = calc.new_score > calc.original_score ? 
-          `+$${Math.round((calc.new_score - calc.original_score) * 45)}` : 
-          `-$${Math.round((calc.original_score - calc.new_score) * 45)}`;
-        
-        const timelineTitle = `🤖 AI Risk Assessment Update`;
-        const timelineDetails = `Risk Score: ${calc.original_score}→${calc.new_score} | Premium Impact: ${premiumImpact}/year | Confidence: ${(calc.confidence * 100).toFixed(1)}%`;
-        
-        await pool.query(
-          'INSERT INTO timeline_events (customer_id, title, details, event_ts, tag) VALUES ($1, $2, $3, NOW(), $4)',
-          [customerId, timelineTitle, timelineDetails, 'ml_update']
-        );
-      }
-      
-      const duration = process.hrtime(startTime);
-      const durationMs = Math.round(duration[0] * 1000 + duration[1] * 1e-6);
-      
-      req.logger.info('ML risk recalculation completed', { 
-        customerId,
-        duration: `${durationMs}ms` 
+      const features = await featureStore.getPortfolioFeatures({ asOf: req.validatedAsOf });
+      res.json({
+        as_of: req.validatedAsOf ? req.validatedAsOf.toISOString() : null,
+        customers: features.length,
+        features
       });
-      
-      res.json(mlResult);
     } catch (e) {
-      req.logger.error('ML risk recalculation failed', { 
-        customerId: req.body?.customer_id, 
-        error: e.message 
+      req.logger.error('Failed to read feature store', { error: e.message });
+      res.status(500).json({
+        error: 'Failed to read feature store',
+        code: 'FEATURE_STORE_FETCH_FAILED'
       });
-      res.status(500).json({ 
-        error: 'Failed to recalculate risk score',
-        code: 'ML_RECALCULATION_FAILED'
+    }
+  }
+);
+
+/**
+ * POST /api/features/refresh
+ * Re-derives features for all (or the listed) customers and stores the ones that changed.
+ * Run after loading claims or policies; twin changes refresh the store themselves.
+ */
+app.post('/api/features/refresh',
+  ValidationMiddleware.validateFeatureRefresh,
+  async (req, res) => {
+    try {
+      const result = await featureStore.refresh({ customerIds: req.validatedFeatureRefresh.customerIds, source: 'refresh' });
+
+      req.logger.info('Feature store refreshed', { customers: result.customers, written: result.written, actor: requestActor(req) });
+
+      res.json(result);
+    } catch (e) {
+      req.logger.error('Feature store refresh failed', { error: e.message });
+      res.status(500).json({
+        error: 'Failed to refresh feature store',
+        code: 'FEATURE_STORE_REFRESH_FAILED'
       });
     }
   }
 );
 
 /**
- * GET /api/risk/trend/:id
- * Returns ML-powered risk trend analysis and predictions
- * Includes forecasting and confidence intervals
+ * POST /api/features/backfill
+ * Seeds the store with one row per recorded twin history version, as of its recorded time
  */
-app.get('/api/risk/trend/:id', async (req, res) => {
+app.post('/api/features/backfill', async (req, res) => {
   try {
-    const customerId = req.params.id;
-    const trendData = await mlService.getRiskTrend(customerId);
-    res.json(trendData);
-  } catch (e) { 
-    console.error('Risk trend error:', e); 
-    res.status(500).json({ error: e.message }); 
+    const result = await featureStore.backfillFromHistory(twinHistoryService);
+
+    req.logger.info('Feature store backfilled from twin history', { ...result, actor: requestActor(req) });
+
+    res.json(result);
+  } catch (e) {
+    req.logger.error('Feature store backfill failed', { error: e.message });
+    res.status(500).json({
+      error: 'Failed to backfill feature store',
+      code: 'FEATURE_STORE_BACKFILL_FAILED'
+    });
   }
 });
 
+/**
+ * GET /api/features/:id?as_of=2025-06-30T12:00:00Z
+ * A customer's features as they were stored at as_of (latest when omitted)
+ */
+app.get('/api/features/:id',
+  ValidationMiddleware.validateCustomerId,
+  ValidationMiddleware.validateFeatureQuery,
+  async (req, res) => {
+    try {
+      const features = await featureStore.getCustomerFeatures(req.validatedCustomerId, { asOf: req.validatedAsOf });
+      res.json(features);
+    } catch (e) {
+      req.logger.error('Failed to fetch customer features', { customerId: req.validatedCustomerId, error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to fetch customer features',
+        code: e.code || 'FEATURE_STORE_FETCH_FAILED'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/features/:id/history?limit=50
+ * Stored feature rows for a customer, newest first
+ */
+app.get('/api/features/:id/history',
+  ValidationMiddleware.validateCustomerId,
+  async (req, res) => {
+    try {
+      const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50;
+      if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({
+          error: 'limit must be an integer between 1 and 500',
+          code: 'INVALID_LIMIT'
+        });
+      }
+
+      const history = await featureStore.getFeatureHistory(req.validatedCustomerId, { limit });
+      res.json({ customer_id: req.validatedCustomerId, history });
+    } catch (e) {
+      req.logger.error('Failed to fetch feature history', { customerId: req.validatedCustomerId, error: e.message });
+      res.status(500).json({
+        error: 'Failed to fetch feature history',
+        code: 'FEATURE_STORE_FETCH_FAILED'
+      });
+    }
+  }
+);
+
 // =============================================================================
 // PORTFOLIO ANALYTICS API ENDPOINTS
 // =============================================================================
@@ -806,6 +2151,52 @@ app.get('/api/heatmap/state/:stateCode', async (req, res) => {
   }
 });
 
+// =============================================================================
+// CATASTROPHE STRESS TEST API ENDPOINTS
+// =============================================================================
+
+/**
+ * GET /api/catastrophe/events
+ * Preset catastrophe event footprints available to the stress test
+ */
+app.get('/api/catastrophe/events', (req, res) => {
+  res.json({ events: catastropheService.listEvents() });
+});
+
+/**
+ * POST /api/catastrophe/stress-test
+ * Applies a preset or custom event footprint to every affected customer's policies
+ * Returns gross loss by state and line, impacted customers and the top exposures
+ */
+app.post('/api/catastrophe/stress-test',
+  ValidationMiddleware.validateCatastropheEvent,
+  async (req, res) => {
+    const { top, ...eventSpec } = req.validatedCatastrophe;
+    try {
+      req.logger.info('Catastrophe stress test started', {
+        event: eventSpec.event || 'custom',
+        areas: eventSpec.footprint ? eventSpec.footprint.length : null
+      });
+
+      const result = await catastropheService.runStressTest(eventSpec, { top });
+
+      req.logger.info('Catastrophe stress test completed', {
+        event: result.event,
+        impactedCustomers: result.impacted_customers,
+        grossLoss: result.gross_loss
+      });
+
+      res.json(result);
+    } catch (e) {
+      req.logger.error('Catastrophe stress test failed', { event: eventSpec.event, error: e.message });
+      res.status(e.status || 500).json({
+        error: e.status ? e.message : 'Failed to run catastrophe stress test',
+        code: e.code || 'CATASTROPHE_STRESS_TEST_FAILED'
+      });
+    }
+  }
+);
+
 // =============================================================================
 // CUSTOMER COHORT ANALYSIS API ENDPOINTS
 // =============================================================================
@@ -1120,6 +2511,27 @@ app.listen(PORT, () => {
   console.log('  • Customer Cohort Analysis Service');
   console.log('  • Predictive Risk Modeling Service');
   console.log('  • Alert & Notification Service');
+
+  if (config.getScheduler().enabled) {
+    scenarioScheduler.start();
+    console.log(`⏰ Scenario scheduler running every ${config.getScheduler().intervalMs / 1000}s`);
+  }
+
+  if (config.getDrift().enabled) {
+    driftScheduler.start();
+    console.log(`📉 Score drift snapshots every ${config.getDrift().intervalMs / 3600000}h`);
+  }
+
+  // Bring the feature store up to date (claims and policies may have been loaded while stopped)
+  // so the cohort analyses read every customer
+  featureStore.refresh({ source: 'refresh' }).catch(error => {
+    logger.warn('Feature store refresh at startup failed', { error: error.message });
+  });
+
+  // Fit the explanation surrogate before the first recalculation needs it
+  explanationService.refreshSurrogate().catch(error => {
+    logger.warn('Explanation surrogate warm-up failed', { error: error.message });
+  });
   console.log(`🌐 Frontend UI available at: http://localhost:${PORT}`);
   console.log(`🔗 API Documentation: http://localhost:${PORT}/docs/`);
 });
\ No newline at end of file
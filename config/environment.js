@@ -10,6 +10,23 @@
 const fs = require('fs');
 const path = require('path');
 
+// Optional unsigned 32-bit integer seed. Anything else is rejected rather than falling back,
+// so a typo never leaves every run on one hidden seed.
+const parseSeedSetting = (name, value) => {
+  if (value === undefined || value.trim() === '') return null;
+  const seed = Number(value);
+  if (!/^\d+$/.test(value.trim()) || seed > 0xffffffff) {
+    throw new Error(`${name} must be an integer between 0 and 4294967295, got "${value}"`);
+  }
+  return seed;
+};
+
+// Numeric setting where 0 is meaningful (`parseFloat(value) || fallback` would replace it)
+const parseNumberSetting = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
 class EnvironmentConfig {
   constructor() {
     this.loadEnvironment();
@@ -73,11 +90,48 @@ class EnvironmentConfig {
         requestTimeout: parseInt(process.env.REQUEST_TIMEOUT) || 30000
       },
 
+      // Background Jobs
+      scheduler: {
+        enabled: process.env.SCENARIO_SCHEDULER_ENABLED !== 'false',
+        intervalMs: parseInt(process.env.SCENARIO_SCHEDULER_INTERVAL_MS) || 60000, // 1 minute
+        batchSize: parseInt(process.env.SCENARIO_SCHEDULER_BATCH_SIZE) || 100
+      },
+
+      // Score drift monitoring (see services/drift-monitor-service.js)
+      drift: {
+        enabled: process.env.DRIFT_MONITOR_ENABLED !== 'false',
+        intervalMs: parseInt(process.env.DRIFT_MONITOR_INTERVAL_MS) || 24 * 60 * 60 * 1000, // daily
+        psiThreshold: parseFloat(process.env.DRIFT_PSI_THRESHOLD) || 0.25,
+        ksThreshold: parseFloat(process.env.DRIFT_KS_THRESHOLD) || 0.1,
+        // State / segment groups smaller than this are reported but never alert
+        minGroupSize: parseInt(process.env.DRIFT_MIN_GROUP_SIZE) || 30
+      },
+
+      // Scenario Review Workflow
+      approval: {
+        enabled: process.env.SCENARIO_APPROVAL_ENABLED !== 'false',
+        // Scenarios moving the risk score by more than this many points need review
+        // (0 sends every scenario that moves the score to review)
+        riskDeltaThreshold: parseNumberSetting(process.env.SCENARIO_APPROVAL_RISK_DELTA, 10),
+        allowSelfApproval: process.env.SCENARIO_APPROVAL_ALLOW_SELF === 'true'
+      },
+
+      // ML Risk Scoring
+      ml: {
+        // Fixed seed makes every recalculation draw the same simulated factors (tests, demos)
+        randomSeed: parseSeedSetting('ML_RANDOM_SEED', process.env.ML_RANDOM_SEED),
+        // Trained claim model artifacts (see services/claim-model-service.js)
+        modelDir: process.env.ML_MODEL_DIR || path.join(__dirname, '..', 'data', 'models')
+      },
+
       // External Services
       external: {
         redisUrl: process.env.REDIS_URL || null,
         monitoringUrl: process.env.MONITORING_URL || null,
-        sentryDsn: process.env.SENTRY_DSN || null
+        sentryDsn: process.env.SENTRY_DSN || null,
+        // Local CSV/JSON datasets for the ML external factors (see services/external-factor-providers.js)
+        factorDataDir: process.env.EXTERNAL_FACTOR_DATA_DIR || path.join(__dirname, '..', 'data', 'external-factors'),
+        factorCacheTtlMs: parseInt(process.env.EXTERNAL_FACTOR_CACHE_TTL_MS) || 60000 // 1 minute
       }
     };
   }
@@ -129,6 +183,22 @@ class EnvironmentConfig {
     return this.config.external;
   }
 
+  getScheduler() {
+    return this.config.scheduler;
+  }
+
+  getApproval() {
+    return this.config.approval;
+  }
+
+  getMl() {
+    return this.config.ml;
+  }
+
+  getDrift() {
+    return this.config.drift;
+  }
+
   isDevelopment() {
     return this.config.server.nodeEnv === 'development';
   }
@@ -8,6 +8,12 @@
  */
 
 const validator = require('validator');
+const {
+  vehicleUseFactors,
+  homeTypeFactors,
+  policyLineProfiles,
+  coverageLimitBounds
+} = require('../services/scenario-factors');
 
 class ValidationMiddleware {
   // Validate customer ID parameter
@@ -33,6 +39,66 @@ class ValidationMiddleware {
     next();
   }
 
+  // Validate scenario ID parameter
+  static validateScenarioId(req, res, next) {
+    const scenarioId = parseInt(req.params.id);
+    if (isNaN(scenarioId) || scenarioId <= 0) {
+      return res.status(400).json({ 
+        error: 'Invalid scenario ID format. Must be a positive integer.',
+        code: 'INVALID_SCENARIO_ID'
+      });
+    }
+
+    req.validatedScenarioId = scenarioId;
+    next();
+  }
+
+  // Validate reviewer comment on scenario workflow transitions
+  static validateScenarioReview(req, res, next) {
+    const { comment } = req.body || {};
+
+    if (comment !== undefined && comment !== null && (typeof comment !== 'string' || comment.length > 1000)) {
+      return res.status(400).json({
+        error: 'comment must be a string of at most 1000 characters',
+        code: 'INVALID_REVIEW_COMMENT'
+      });
+    }
+
+    req.validatedReview = {
+      comment: comment && comment.trim() ? ValidationMiddleware.sanitizeString(comment) : null
+    };
+
+    next();
+  }
+
+  // Validate scenario template ID parameter
+  static validateTemplateId(req, res, next) {
+    const templateId = parseInt(req.params.id);
+    if (isNaN(templateId) || templateId <= 0) {
+      return res.status(400).json({ 
+        error: 'Invalid template ID format. Must be a positive integer.',
+        code: 'INVALID_TEMPLATE_ID'
+      });
+    }
+
+    req.validatedTemplateId = templateId;
+    next();
+  }
+
+  // Validate stored ML calculation ID parameter
+  static validateCalculationId(req, res, next) {
+    const calculationId = parseInt(req.params.id);
+    if (isNaN(calculationId) || calculationId <= 0) {
+      return res.status(400).json({
+        error: 'Invalid calculation ID format. Must be a positive integer.',
+        code: 'INVALID_CALCULATION_ID'
+      });
+    }
+
+    req.validatedCalculationId = calculationId;
+    next();
+  }
+
   // Validate high-risk query parameters
   static validateHighRiskParams(req, res, next) {
     const { threshold, limit } = req.query;
@@ -64,6 +130,24 @@ class ValidationMiddleware {
     next();
   }
 
+  // Validate sensitivity analysis query parameters
+  static validateSensitivityParams(req, res, next) {
+    const { perturbation } = req.query;
+
+    if (perturbation !== undefined) {
+      const value = parseFloat(perturbation);
+      if (isNaN(value) || value <= 0 || value > 1) {
+        return res.status(400).json({ 
+          error: 'perturbation must be a fraction greater than 0 and at most 1 (e.g. 0.1 for ±10%)',
+          code: 'INVALID_PERTURBATION'
+        });
+      }
+      req.validatedPerturbation = value;
+    }
+
+    next();
+  }
+
   // Validate scenario data
   static validateScenarioData(req, res, next) {
     const { customer_id, name, change_json } = req.body;
@@ -103,38 +187,1027 @@ class ValidationMiddleware {
     const sanitizedName = validator.escape(name.trim());
 
     // Validate change_json
-    if (!change_json || typeof change_json !== 'object') {
+    const changeError = ValidationMiddleware.validateChangeJson(change_json);
+    if (changeError) {
+      return res.status(400).json(changeError);
+    }
+
+    // Optional future effective date; the scenario is then scheduled instead of applied
+    const { effective_at } = req.body;
+    let effectiveAt = null;
+    if (effective_at !== undefined && effective_at !== null) {
+      if (typeof effective_at !== 'string' || !validator.isISO8601(effective_at)) {
+        return res.status(400).json({ 
+          error: 'effective_at must be an ISO 8601 date or timestamp',
+          code: 'INVALID_EFFECTIVE_AT'
+        });
+      }
+
+      effectiveAt = new Date(effective_at);
+      if (effectiveAt <= new Date()) {
+        return res.status(400).json({ 
+          error: 'effective_at must be in the future; omit it to apply the scenario now',
+          code: 'INVALID_EFFECTIVE_AT'
+        });
+      }
+    }
+
+    req.validatedScenario = {
+      customer_id: customerIdNum,
+      name: sanitizedName,
+      change_json,
+      effective_at: effectiveAt
+    };
+
+    next();
+  }
+
+  // Validate dry-run scenario preview (name is optional)
+  static validateScenarioPreview(req, res, next) {
+    const { customer_id, name, change_json } = req.body;
+
+    const customerIdNum = parseInt(customer_id);
+    if (!customer_id || isNaN(customerIdNum) || customerIdNum <= 0) {
+      return res.status(400).json({ 
+        error: 'customer_id is required and must be a positive integer',
+        code: 'INVALID_CUSTOMER_ID'
+      });
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || name.length > 255)) {
+      return res.status(400).json({ 
+        error: 'Scenario name must be a string of less than 255 characters',
+        code: 'INVALID_SCENARIO_NAME'
+      });
+    }
+
+    const changeError = ValidationMiddleware.validateChangeJson(change_json);
+    if (changeError) {
+      return res.status(400).json(changeError);
+    }
+
+    req.validatedScenario = {
+      customer_id: customerIdNum,
+      name: name ? validator.escape(name.trim()) : null,
+      change_json
+    };
+
+    next();
+  }
+
+  // Validate side-by-side scenario comparison for one customer
+  static validateScenarioComparison(req, res, next) {
+    const { customer_id, candidates, rank_by } = req.body;
+
+    const customerIdNum = parseInt(customer_id);
+    if (!customer_id || isNaN(customerIdNum) || customerIdNum <= 0) {
+      return res.status(400).json({ 
+        error: 'customer_id is required and must be a positive integer',
+        code: 'INVALID_CUSTOMER_ID'
+      });
+    }
+
+    if (!Array.isArray(candidates) || candidates.length < 2 || candidates.length > 10) {
+      return res.status(400).json({ 
+        error: 'candidates must be an array of 2 to 10 scenarios',
+        code: 'INVALID_CANDIDATES'
+      });
+    }
+
+    for (const candidate of candidates) {
+      if (!candidate || typeof candidate !== 'object') {
+        return res.status(400).json({ 
+          error: 'Each candidate must be an object with a change_json',
+          code: 'INVALID_CANDIDATES'
+        });
+      }
+      if (candidate.name !== undefined && (typeof candidate.name !== 'string' || candidate.name.length > 255)) {
+        return res.status(400).json({ 
+          error: 'Candidate name must be a string of less than 255 characters',
+          code: 'INVALID_SCENARIO_NAME'
+        });
+      }
+      const changeError = ValidationMiddleware.validateChangeJson(candidate.change_json);
+      if (changeError) {
+        return res.status(400).json(changeError);
+      }
+    }
+
+    const rankBy = rank_by || 'risk_score';
+    const validRankings = ['risk_score', 'claim_prob', 'expected_loss', 'premium'];
+    if (!validRankings.includes(rankBy)) {
+      return res.status(400).json({ 
+        error: `rank_by must be one of: ${validRankings.join(', ')}`,
+        code: 'INVALID_RANK_BY'
+      });
+    }
+
+    req.validatedComparison = {
+      customer_id: customerIdNum,
+      candidates: candidates.map(candidate => ({
+        name: candidate.name ? validator.escape(candidate.name.trim()) : undefined,
+        change_json: candidate.change_json
+      })),
+      rank_by: rankBy
+    };
+
+    next();
+  }
+
+  // Validate Monte Carlo scenario simulation request
+  static validateScenarioSimulation(req, res, next) {
+    const { customer_id, change_json, iterations, seed } = req.body;
+
+    const customerIdNum = parseInt(customer_id);
+    if (!customer_id || isNaN(customerIdNum) || customerIdNum <= 0) {
+      return res.status(400).json({ 
+        error: 'customer_id is required and must be a positive integer',
+        code: 'INVALID_CUSTOMER_ID'
+      });
+    }
+
+    const changeError = ValidationMiddleware.validateChangeJson(change_json);
+    if (changeError) {
+      return res.status(400).json(changeError);
+    }
+
+    const iterationCount = iterations === undefined ? 10000 : parseInt(iterations);
+    if (isNaN(iterationCount) || iterationCount < 100 || iterationCount > 100000) {
+      return res.status(400).json({ 
+        error: 'iterations must be an integer between 100 and 100000',
+        code: 'INVALID_ITERATIONS'
+      });
+    }
+
+    if (seed !== undefined && seed !== null && (!Number.isInteger(seed) || seed < 0 || seed > 4294967295)) {
+      return res.status(400).json({ 
+        error: 'seed must be an integer between 0 and 4294967295',
+        code: 'INVALID_SEED'
+      });
+    }
+
+    req.validatedSimulation = {
+      customer_id: customerIdNum,
+      change_json,
+      iterations: iterationCount,
+      seed: seed === undefined ? null : seed
+    };
+
+    next();
+  }
+
+  // Validate goal-seek request (target metric + allowed levers)
+  static validateGoalSeek(req, res, next) {
+    const { customer_id, metric, target, levers, max_deductible_increase, allowed_states } = req.body;
+
+    const customerIdNum = parseInt(customer_id);
+    if (!customer_id || isNaN(customerIdNum) || customerIdNum <= 0) {
+      return res.status(400).json({ 
+        error: 'customer_id is required and must be a positive integer',
+        code: 'INVALID_CUSTOMER_ID'
+      });
+    }
+
+    const metricRanges = {
+      risk_score: { min: 0, max: 100 },
+      claim_prob: { min: 0, max: 1 },
+      expected_loss: { min: 0, max: Infinity }
+    };
+    if (!metricRanges[metric]) {
+      return res.status(400).json({ 
+        error: `metric must be one of: ${Object.keys(metricRanges).join(', ')}`,
+        code: 'INVALID_GOAL_METRIC'
+      });
+    }
+
+    const targetValue = parseFloat(target);
+    if (isNaN(targetValue) || targetValue < metricRanges[metric].min || targetValue > metricRanges[metric].max) {
+      return res.status(400).json({ 
+        error: `target for ${metric} must be a number between ${metricRanges[metric].min} and ${metricRanges[metric].max}`,
+        code: 'INVALID_GOAL_TARGET'
+      });
+    }
+
+    const validLevers = ['deductible', 'state', 'vehicle_use'];
+    const leverList = levers === undefined ? validLevers : levers;
+    if (!Array.isArray(leverList) || leverList.length === 0 || leverList.some(lever => !validLevers.includes(lever))) {
+      return res.status(400).json({ 
+        error: `levers must be a non-empty array of: ${validLevers.join(', ')}`,
+        code: 'INVALID_GOAL_LEVERS'
+      });
+    }
+
+    let maxIncrease;
+    if (max_deductible_increase !== undefined) {
+      maxIncrease = parseFloat(max_deductible_increase);
+      if (isNaN(maxIncrease) || maxIncrease < 0 || maxIncrease > 10000) {
+        return res.status(400).json({ 
+          error: 'max_deductible_increase must be between 0 and 10000',
+          code: 'INVALID_DEDUCTIBLE'
+        });
+      }
+    }
+
+    if (allowed_states !== undefined && (!Array.isArray(allowed_states) ||
+      allowed_states.some(state => !ValidationMiddleware.validateStateCode(state)))) {
+      return res.status(400).json({ 
+        error: 'allowed_states must be an array of state codes',
+        code: 'INVALID_STATE_CODE'
+      });
+    }
+
+    req.validatedGoalSeek = {
+      customer_id: customerIdNum,
+      metric,
+      target: targetValue,
+      levers: [...new Set(leverList)],
+      maxDeductibleIncrease: maxIncrease,
+      allowedStates: allowed_states || null
+    };
+
+    next();
+  }
+
+  // Validate batch scenario request (cohort filter + change_json)
+  static validateBatchScenario(req, res, next) {
+    const { name, change_json, filter, mode } = req.body;
+
+    if (!name || typeof name !== 'string' || name.length > 255) {
+      return res.status(400).json({ 
+        error: 'Scenario name is required and must be a string of less than 255 characters',
+        code: 'INVALID_SCENARIO_NAME'
+      });
+    }
+
+    const changeError = ValidationMiddleware.validateChangeJson(change_json);
+    if (changeError) {
+      return res.status(400).json(changeError);
+    }
+
+    const batchMode = mode || 'preview';
+    if (!['preview', 'apply'].includes(batchMode)) {
+      return res.status(400).json({ 
+        error: 'mode must be either preview or apply',
+        code: 'INVALID_BATCH_MODE'
+      });
+    }
+
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+      return res.status(400).json({ 
+        error: 'filter is required and must be an object',
+        code: 'INVALID_BATCH_FILTER'
+      });
+    }
+
+    const states = filter.state === undefined ? [] : [].concat(filter.state);
+    if (states.some(state => !ValidationMiddleware.validateStateCode(state))) {
       return res.status(400).json({ 
+        error: 'Invalid state code format in filter',
+        code: 'INVALID_STATE_CODE'
+      });
+    }
+
+    req.validatedBatch = {
+      name: validator.escape(name.trim()),
+      changeJson: change_json,
+      filter,
+      mode: batchMode
+    };
+
+    next();
+  }
+
+  // Validate scenario template definition (placeholders are checked by the template service)
+  static validateScenarioTemplate(req, res, next) {
+    const { name, description, name_template, change_template, parameters, is_active } = req.body;
+
+    if (!name || typeof name !== 'string' || name.length > 255) {
+      return res.status(400).json({ 
+        error: 'Template name is required and must be a string of less than 255 characters',
+        code: 'INVALID_TEMPLATE_NAME'
+      });
+    }
+
+    if (description !== undefined && typeof description !== 'string') {
+      return res.status(400).json({ 
+        error: 'description must be a string',
+        code: 'INVALID_TEMPLATE_DESCRIPTION'
+      });
+    }
+
+    if (name_template !== undefined && (typeof name_template !== 'string' || name_template.length > 255)) {
+      return res.status(400).json({ 
+        error: 'name_template must be a string of less than 255 characters',
+        code: 'INVALID_TEMPLATE_NAME'
+      });
+    }
+
+    if (!change_template || typeof change_template !== 'object' || Array.isArray(change_template)) {
+      return res.status(400).json({ 
+        error: 'change_template is required and must be an object',
+        code: 'INVALID_CHANGE_TEMPLATE'
+      });
+    }
+
+    if (parameters !== undefined && !Array.isArray(parameters)) {
+      return res.status(400).json({ 
+        error: 'parameters must be an array',
+        code: 'INVALID_TEMPLATE_PARAMETER'
+      });
+    }
+
+    req.validatedTemplate = {
+      name: validator.escape(name.trim()),
+      description: description ? ValidationMiddleware.sanitizeString(description) : null,
+      // Escaped when the rendered name goes through validateScenarioData
+      name_template: name_template ? name_template.trim() : null,
+      change_template,
+      parameters: parameters || [],
+      is_active: is_active !== false
+    };
+
+    next();
+  }
+
+  // Validate catastrophe stress test (preset event key or custom footprint)
+  static validateCatastropheEvent(req, res, next) {
+    const { event, name, footprint, top } = req.body;
+
+    const topCount = top === undefined ? 10 : parseInt(top);
+    if (isNaN(topCount) || topCount < 1 || topCount > 100) {
+      return res.status(400).json({
+        error: 'top must be an integer between 1 and 100',
+        code: 'INVALID_TOP_EXPOSURES'
+      });
+    }
+
+    if (event !== undefined) {
+      if (typeof event !== 'string' || footprint !== undefined) {
+        return res.status(400).json({
+          error: 'event must be a preset event key and cannot be combined with footprint',
+          code: 'INVALID_CATASTROPHE_EVENT'
+        });
+      }
+      req.validatedCatastrophe = { event, top: topCount };
+      return next();
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || name.length > 255)) {
+      return res.status(400).json({
+        error: 'name must be a string of less than 255 characters',
+        code: 'INVALID_EVENT_NAME'
+      });
+    }
+
+    if (!Array.isArray(footprint) || footprint.length === 0 || footprint.length > 100) {
+      return res.status(400).json({
+        error: 'Either event or a footprint array of 1 to 100 areas is required',
+        code: 'INVALID_FOOTPRINT'
+      });
+    }
+
+    for (const area of footprint) {
+      if (!area || typeof area !== 'object' || !ValidationMiddleware.validateStateCode(area.state)) {
+        return res.status(400).json({
+          error: 'Each footprint area needs a two-letter state code',
+          code: 'INVALID_STATE_CODE'
+        });
+      }
+
+      if (area.zips !== undefined && (!Array.isArray(area.zips) || area.zips.some(zip => !/^\d{3}(\d{2})?$/.test(zip)))) {
+        return res.status(400).json({
+          error: 'zips must be an array of 5-digit ZIP codes or 3-digit ZIP prefixes',
+          code: 'INVALID_FOOTPRINT_ZIPS'
+        });
+      }
+
+      const ratios = area.damage_ratios;
+      if (!ratios || typeof ratios !== 'object' || Array.isArray(ratios)) {
+        return res.status(400).json({
+          error: 'Each footprint area needs damage_ratios keyed by policy line',
+          code: 'INVALID_DAMAGE_RATIOS'
+        });
+      }
+
+      const lines = Object.keys(ratios);
+      if (lines.some(line => !policyLineProfiles[line])) {
+        return res.status(400).json({
+          error: `damage_ratios lines must be one of: ${Object.keys(policyLineProfiles).join(', ')}`,
+          code: 'INVALID_POLICY_LINE'
+        });
+      }
+
+      if (lines.some(line => typeof ratios[line] !== 'number' || ratios[line] < 0 || ratios[line] > 1) ||
+          !lines.some(line => ratios[line] > 0)) {
+        return res.status(400).json({
+          error: 'Damage ratios must be numbers between 0 and 1, with at least one above 0',
+          code: 'INVALID_DAMAGE_RATIOS'
+        });
+      }
+    }
+
+    req.validatedCatastrophe = {
+      name: name ? validator.escape(name.trim()) : null,
+      footprint: footprint.map(area => ({
+        state: area.state,
+        zips: area.zips || [],
+        damage_ratios: area.damage_ratios
+      })),
+      top: topCount
+    };
+
+    next();
+  }
+
+  // Validate claim model training options
+  static validateClaimModelTraining(req, res, next) {
+    const { lookback_years, holdout_fraction, l2, iterations, seed } = req.body || {};
+
+    const lookbackYears = lookback_years === undefined ? 5 : lookback_years;
+    if (!Number.isInteger(lookbackYears) || lookbackYears < 1 || lookbackYears > 20) {
+      return res.status(400).json({
+        error: 'lookback_years must be an integer between 1 and 20',
+        code: 'INVALID_LOOKBACK_YEARS'
+      });
+    }
+
+    const holdoutFraction = holdout_fraction === undefined ? 0.25 : holdout_fraction;
+    if (typeof holdoutFraction !== 'number' || holdoutFraction < 0 || holdoutFraction > 0.5) {
+      return res.status(400).json({
+        error: 'holdout_fraction must be a number between 0 and 0.5',
+        code: 'INVALID_HOLDOUT_FRACTION'
+      });
+    }
+
+    const regularization = l2 === undefined ? 0.1 : l2;
+    if (typeof regularization !== 'number' || regularization < 0 || regularization > 10) {
+      return res.status(400).json({
+        error: 'l2 must be a number between 0 and 10',
+        code: 'INVALID_REGULARIZATION'
+      });
+    }
+
+    const iterationCount = iterations === undefined ? 2000 : iterations;
+    if (!Number.isInteger(iterationCount) || iterationCount < 100 || iterationCount > 20000) {
+      return res.status(400).json({
+        error: 'iterations must be an integer between 100 and 20000',
+        code: 'INVALID_ITERATIONS'
+      });
+    }
+
+    if (seed !== undefined && seed !== null && (!Number.isInteger(seed) || seed < 0 || seed > 4294967295)) {
+      return res.status(400).json({
+        error: 'seed must be an integer between 0 and 4294967295',
+        code: 'INVALID_SEED'
+      });
+    }
+
+    req.validatedTraining = {
+      lookbackYears,
+      holdoutFraction,
+      l2: regularization,
+      iterations: iterationCount,
+      seed: seed === undefined ? null : seed
+    };
+
+    next();
+  }
+
+  // Validate claim probability backtest query parameters (ISO cutoff dates, step, buckets, slice)
+  static validateClaimBacktest(req, res, next) {
+    const { from, to, step_months, bins, slice_by } = req.query;
+
+    const isoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+    if ((from !== undefined && !isoDate(from)) || (to !== undefined && !isoDate(to))) {
+      return res.status(400).json({
+        error: 'from and to must be dates in YYYY-MM-DD format',
+        code: 'INVALID_BACKTEST_WINDOW'
+      });
+    }
+
+    const stepMonths = step_months !== undefined ? Number(step_months) : 3;
+    if (!Number.isInteger(stepMonths) || stepMonths < 1 || stepMonths > 12) {
+      return res.status(400).json({
+        error: 'step_months must be an integer between 1 and 12',
+        code: 'INVALID_STEP_MONTHS'
+      });
+    }
+
+    const bucketCount = bins !== undefined ? Number(bins) : 10;
+    if (!Number.isInteger(bucketCount) || bucketCount < 2 || bucketCount > 50) {
+      return res.status(400).json({
+        error: 'bins must be an integer between 2 and 50',
+        code: 'INVALID_BINS'
+      });
+    }
+
+    if (slice_by !== undefined && !['state', 'line', 'tier'].includes(slice_by)) {
+      return res.status(400).json({
+        error: 'slice_by must be one of: state, line, tier',
+        code: 'INVALID_SLICE'
+      });
+    }
+
+    req.validatedBacktest = {
+      from: from || null,
+      to: to || null,
+      stepMonths,
+      bins: bucketCount,
+      sliceBy: slice_by || null
+    };
+    next();
+  }
+
+  // Validate model registry version ID parameter
+  static validateModelVersionId(req, res, next) {
+    const modelVersionId = parseInt(req.params.id);
+    if (isNaN(modelVersionId) || modelVersionId <= 0) {
+      return res.status(400).json({
+        error: 'Invalid model version ID format. Must be a positive integer.',
+        code: 'INVALID_MODEL_VERSION_ID'
+      });
+    }
+
+    req.validatedModelVersionId = modelVersionId;
+    next();
+  }
+
+  // Validate a model version registration: risk_score versions carry weight overrides,
+  // claim_probability versions the ID of a trained claim model artifact
+  static validateModelRegistration(req, res, next) {
+    const { family, version, description, parameters, artifact_id, metrics, shadow } = req.body || {};
+
+    if (!['risk_score', 'claim_probability'].includes(family)) {
+      return res.status(400).json({
+        error: 'family must be either risk_score or claim_probability',
+        code: 'INVALID_MODEL_FAMILY'
+      });
+    }
+
+    if (typeof version !== 'string' || !/^[A-Za-z0-9._-]{1,64}$/.test(version)) {
+      return res.status(400).json({
+        error: 'version is required: up to 64 letters, digits, dots, dashes or underscores',
+        code: 'INVALID_MODEL_VERSION'
+      });
+    }
+
+    if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 500)) {
+      return res.status(400).json({
+        error: 'description must be a string of at most 500 characters',
+        code: 'INVALID_MODEL_DESCRIPTION'
+      });
+    }
+
+    if (family === 'risk_score') {
+      if (parameters !== undefined && (typeof parameters !== 'object' || parameters === null || Array.isArray(parameters) ||
+          Object.values(parameters).some(value => typeof value !== 'number' || !isFinite(value) || value < 0))) {
+        return res.status(400).json({
+          error: 'parameters must be an object of non-negative numbers',
+          code: 'INVALID_MODEL_PARAMETERS'
+        });
+      }
+      if (parameters && parameters.smoothing_factor !== undefined && parameters.smoothing_factor > 1) {
+        return res.status(400).json({
+          error: 'smoothing_factor must be between 0 and 1',
+          code: 'INVALID_MODEL_PARAMETERS'
+        });
+      }
+    } else if (typeof artifact_id !== 'string' || !/^[a-z0-9-]+$/.test(artifact_id)) {
+      return res.status(400).json({
+        error: 'artifact_id of a trained claim model is required for claim_probability models',
+        code: 'MISSING_ARTIFACT_ID'
+      });
+    }
+
+    if (metrics !== undefined && metrics !== null && (typeof metrics !== 'object' || Array.isArray(metrics))) {
+      return res.status(400).json({
+        error: 'metrics must be an object',
+        code: 'INVALID_MODEL_METRICS'
+      });
+    }
+
+    if (shadow !== undefined && typeof shadow !== 'boolean') {
+      return res.status(400).json({
+        error: 'shadow must be a boolean',
+        code: 'INVALID_SHADOW_FLAG'
+      });
+    }
+
+    req.validatedModelVersion = {
+      family,
+      version,
+      description: description ? validator.escape(description.trim()) : null,
+      parameters: family === 'risk_score' ? parameters || {} : null,
+      artifactId: family === 'claim_probability' ? artifact_id : null,
+      metrics: metrics || null,
+      status: shadow ? 'challenger' : 'registered'
+    };
+
+    next();
+  }
+
+  // Validate champion vs challenger comparison query parameters
+  static validateModelComparison(req, res, next) {
+    const { family = 'risk_score', challenger_id, days, tolerance } = req.query;
+
+    if (!['risk_score', 'claim_probability'].includes(family)) {
+      return res.status(400).json({
+        error: 'family must be either risk_score or claim_probability',
+        code: 'INVALID_MODEL_FAMILY'
+      });
+    }
+
+    const challengerId = challenger_id !== undefined ? Number(challenger_id) : null;
+    if (challengerId !== null && (!Number.isInteger(challengerId) || challengerId <= 0)) {
+      return res.status(400).json({
+        error: 'challenger_id must be a positive integer',
+        code: 'INVALID_MODEL_VERSION_ID'
+      });
+    }
+
+    const periodDays = days !== undefined ? Number(days) : 30;
+    if (!Number.isInteger(periodDays) || periodDays < 1 || periodDays > 365) {
+      return res.status(400).json({
+        error: 'days must be an integer between 1 and 365',
+        code: 'INVALID_COMPARISON_PERIOD'
+      });
+    }
+
+    const threshold = tolerance !== undefined ? Number(tolerance) : null;
+    if (threshold !== null && (!isFinite(threshold) || threshold <= 0)) {
+      return res.status(400).json({
+        error: 'tolerance must be a positive number',
+        code: 'INVALID_TOLERANCE'
+      });
+    }
+
+    req.validatedModelComparison = {
+      family,
+      challengerId,
+      days: periodDays,
+      tolerance: threshold,
+      includePreviews: req.query.include_previews === 'true'
+    };
+    next();
+  }
+
+  // Validate drift snapshot ID parameter
+  static validateDriftSnapshotId(req, res, next) {
+    const snapshotId = parseInt(req.params.id);
+    if (isNaN(snapshotId) || snapshotId <= 0) {
+      return res.status(400).json({
+        error: 'Invalid drift snapshot ID format. Must be a positive integer.',
+        code: 'INVALID_DRIFT_SNAPSHOT_ID'
+      });
+    }
+
+    req.validatedDriftSnapshotId = snapshotId;
+    next();
+  }
+
+  // Validate the optional as_of query parameter of feature store lookups (ISO date or timestamp)
+  static validateFeatureQuery(req, res, next) {
+    const { as_of } = req.query;
+
+    const asOf = as_of !== undefined ? new Date(as_of) : null;
+    if (asOf !== null && (typeof as_of !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(as_of) || isNaN(asOf.getTime()))) {
+      return res.status(400).json({
+        error: 'as_of must be an ISO date or timestamp',
+        code: 'INVALID_AS_OF'
+      });
+    }
+
+    req.validatedAsOf = asOf;
+    next();
+  }
+
+  // Validate a feature store refresh (all customers, or the listed ones)
+  static validateFeatureRefresh(req, res, next) {
+    const { customer_ids } = req.body || {};
+
+    if (customer_ids !== undefined && (!Array.isArray(customer_ids) || customer_ids.length === 0 || customer_ids.length > 1000 ||
+        customer_ids.some(id => !Number.isInteger(id) || id <= 0))) {
+      return res.status(400).json({
+        error: 'customer_ids must be a list of 1 to 1000 positive integers',
+        code: 'INVALID_CUSTOMER_IDS'
+      });
+    }
+
+    req.validatedFeatureRefresh = { customerIds: customer_ids || null };
+    next();
+  }
+
+  // Validate risk factor version ID parameter
+  static validateFactorVersionId(req, res, next) {
+    const versionId = parseInt(req.params.id);
+    if (isNaN(versionId) || versionId <= 0) {
+      return res.status(400).json({
+        error: 'Invalid risk factor version ID format. Must be a positive integer.',
+        code: 'INVALID_FACTOR_VERSION_ID'
+      });
+    }
+
+    req.validatedFactorVersionId = versionId;
+    next();
+  }
+
+  // Validate a new risk factor version: label plus a list of state factor changes
+  static validateRiskFactorVersion(req, res, next) {
+    const { label, notes, base_version_id, changes, activate } = req.body;
+
+    if (!label || typeof label !== 'string' || label.length > 255) {
+      return res.status(400).json({
+        error: 'label is required and must be a string of less than 255 characters',
+        code: 'INVALID_FACTOR_VERSION_LABEL'
+      });
+    }
+
+    if (notes !== undefined && typeof notes !== 'string') {
+      return res.status(400).json({
+        error: 'notes must be a string',
+        code: 'INVALID_FACTOR_VERSION_NOTES'
+      });
+    }
+
+    let baseVersionId = null;
+    if (base_version_id !== undefined && base_version_id !== null) {
+      baseVersionId = parseInt(base_version_id);
+      if (isNaN(baseVersionId) || baseVersionId <= 0) {
+        return res.status(400).json({
+          error: 'base_version_id must be a positive integer',
+          code: 'INVALID_FACTOR_VERSION_ID'
+        });
+      }
+    }
+
+    if (!Array.isArray(changes) || changes.length === 0 || changes.length > 500) {
+      return res.status(400).json({
+        error: 'changes must be a non-empty array of at most 500 state factor changes',
+        code: 'INVALID_FACTOR_CHANGES'
+      });
+    }
+
+    const validatedChanges = [];
+    for (const change of changes) {
+      const result = ValidationMiddleware.validateRiskFactorChange(change);
+      if (result.error) {
+        return res.status(400).json(result);
+      }
+      validatedChanges.push(result.change);
+    }
+
+    if (activate !== undefined && typeof activate !== 'boolean') {
+      return res.status(400).json({
+        error: 'activate must be a boolean',
+        code: 'INVALID_FACTOR_VERSION_ACTIVATE'
+      });
+    }
+
+    req.validatedFactorVersion = {
+      label: validator.escape(label.trim()),
+      notes: notes ? ValidationMiddleware.sanitizeString(notes) : null,
+      baseVersionId,
+      changes: validatedChanges,
+      activate: activate !== false
+    };
+
+    next();
+  }
+
+  // Validate a single-state edit (PUT /api/admin/risk-factors/states/:state);
+  // it becomes a new version with one change
+  static validateStateFactorUpdate(req, res, next) {
+    const { label, notes, activate } = req.body;
+    const state = String(req.params.state || '').toUpperCase();
+
+    const result = ValidationMiddleware.validateRiskFactorChange({ ...req.body, state });
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    if (label !== undefined && (typeof label !== 'string' || label.length > 255)) {
+      return res.status(400).json({
+        error: 'label must be a string of less than 255 characters',
+        code: 'INVALID_FACTOR_VERSION_LABEL'
+      });
+    }
+
+    if (notes !== undefined && typeof notes !== 'string') {
+      return res.status(400).json({
+        error: 'notes must be a string',
+        code: 'INVALID_FACTOR_VERSION_NOTES'
+      });
+    }
+
+    req.validatedFactorVersion = {
+      label: label ? validator.escape(label.trim()) : `Update ${state}${result.change.line ? ` ${result.change.line}` : ''} factors`,
+      notes: notes ? ValidationMiddleware.sanitizeString(notes) : null,
+      baseVersionId: null,
+      changes: [result.change],
+      activate: activate !== false
+    };
+
+    next();
+  }
+
+  // Validate one state factor change
+  // Returns { change } or an error payload
+  static validateRiskFactorChange(change) {
+    if (!change || typeof change !== 'object' || Array.isArray(change)) {
+      return {
+        error: 'Each change must be an object',
+        code: 'INVALID_FACTOR_CHANGES'
+      };
+    }
+
+    const { state, line, relocation_factor, unemployment_rate, natural_disasters } = change;
+
+    if (typeof state !== 'string' || !ValidationMiddleware.validateStateCode(state)) {
+      return {
+        error: 'Invalid state code format',
+        code: 'INVALID_STATE_CODE'
+      };
+    }
+
+    if (line !== undefined && line !== null && !policyLineProfiles[line]) {
+      return {
+        error: `line must be one of: ${Object.keys(policyLineProfiles).join(', ')}`,
+        code: 'INVALID_POLICY_LINE'
+      };
+    }
+
+    if (relocation_factor === undefined && unemployment_rate === undefined && natural_disasters === undefined) {
+      return {
+        error: `Change for ${state} must set relocation_factor, unemployment_rate or natural_disasters`,
+        code: 'INVALID_FACTOR_CHANGES'
+      };
+    }
+
+    const validated = { state };
+    if (line) validated.line = line;
+
+    if (relocation_factor !== undefined) {
+      const factor = parseFloat(relocation_factor);
+      if (isNaN(factor) || factor <= 0 || factor > 3) {
+        return {
+          error: 'relocation_factor must be greater than 0 and at most 3',
+          code: 'INVALID_RELOCATION_FACTOR'
+        };
+      }
+      validated.relocation_factor = factor;
+    }
+
+    if (unemployment_rate !== undefined) {
+      if (line) {
+        return {
+          error: 'unemployment_rate applies to the whole state and cannot be set per line',
+          code: 'INVALID_FACTOR_CHANGES'
+        };
+      }
+      const rate = parseFloat(unemployment_rate);
+      if (isNaN(rate) || rate < 0 || rate > 1) {
+        return {
+          error: 'unemployment_rate must be between 0 and 1',
+          code: 'INVALID_UNEMPLOYMENT_RATE'
+        };
+      }
+      validated.unemployment_rate = rate;
+    }
+
+    if (natural_disasters !== undefined) {
+      if (line) {
+        return {
+          error: 'natural_disasters applies to the whole state and cannot be set per line',
+          code: 'INVALID_FACTOR_CHANGES'
+        };
+      }
+      if (!Array.isArray(natural_disasters) || natural_disasters.length > 20 ||
+          !natural_disasters.every(risk => typeof risk === 'string' && /^[a-z_]{1,50}$/.test(risk))) {
+        return {
+          error: 'natural_disasters must be an array of lowercase hazard names (e.g. "hurricane")',
+          code: 'INVALID_NATURAL_DISASTERS'
+        };
+      }
+      validated.natural_disasters = natural_disasters;
+    }
+
+    return { change: validated };
+  }
+
+  // Validate a scenario change_json body
+  // Returns an error payload, or null when the changes are valid
+  static validateChangeJson(change_json) {
+    if (!change_json || typeof change_json !== 'object' || Array.isArray(change_json)) {
+      return { 
         error: 'change_json is required and must be an object',
         code: 'INVALID_CHANGE_JSON'
-      });
+      };
     }
 
     // Validate specific scenario changes
     if (change_json.move_state && !ValidationMiddleware.validateStateCode(change_json.move_state)) {
-      return res.status(400).json({ 
+      return { 
         error: 'Invalid state code format',
         code: 'INVALID_STATE_CODE'
-      });
+      };
     }
 
     if (change_json.increase_deductible !== undefined) {
       const deductible = parseFloat(change_json.increase_deductible);
       if (isNaN(deductible) || deductible < 0 || deductible > 10000) {
-        return res.status(400).json({ 
+        return { 
           error: 'Deductible increase must be between 0 and 10000',
           code: 'INVALID_DEDUCTIBLE'
-        });
+        };
       }
     }
 
-    req.validatedScenario = {
-      customer_id: customerIdNum,
-      name: sanitizedName,
-      change_json
-    };
+    if (change_json.decrease_deductible !== undefined) {
+      const deductible = parseFloat(change_json.decrease_deductible);
+      if (isNaN(deductible) || deductible < 0 || deductible > 10000) {
+        return { 
+          error: 'Deductible decrease must be between 0 and 10000',
+          code: 'INVALID_DEDUCTIBLE'
+        };
+      }
+    }
 
-    next();
+    if (change_json.restore_deductible !== undefined) {
+      const deductible = parseFloat(change_json.restore_deductible);
+      if (isNaN(deductible) || deductible < 0 || deductible > 10000) {
+        return { 
+          error: 'Restored deductible must be between 0 and 10000',
+          code: 'INVALID_DEDUCTIBLE'
+        };
+      }
+    }
+
+    // Amounts are computed from the policy record, so only one deductible change makes sense
+    const deductibleChanges = ['increase_deductible', 'decrease_deductible', 'restore_deductible']
+      .filter(key => change_json[key] !== undefined);
+    if (deductibleChanges.length > 1) {
+      return {
+        error: `Only one deductible change is allowed per scenario (got ${deductibleChanges.join(', ')})`,
+        code: 'CONFLICTING_DEDUCTIBLE_CHANGE'
+      };
+    }
+
+    if (change_json.deductible_line !== undefined && !policyLineProfiles[change_json.deductible_line]) {
+      return {
+        error: `deductible_line must be one of: ${Object.keys(policyLineProfiles).join(', ')}`,
+        code: 'INVALID_POLICY_LINE'
+      };
+    }
+
+    if (change_json.move_zip !== undefined && !/^\d{5}$/.test(String(change_json.move_zip))) {
+      return { 
+        error: 'move_zip must be a 5-digit ZIP code',
+        code: 'INVALID_ZIP_CODE'
+      };
+    }
+
+    if (change_json.change_vehicle_use !== undefined && !vehicleUseFactors[change_json.change_vehicle_use]) {
+      return { 
+        error: `change_vehicle_use must be one of: ${Object.keys(vehicleUseFactors).join(', ')}`,
+        code: 'INVALID_VEHICLE_USE'
+      };
+    }
+
+    if (change_json.change_home_type !== undefined && !homeTypeFactors[change_json.change_home_type]) {
+      return { 
+        error: `change_home_type must be one of: ${Object.keys(homeTypeFactors).join(', ')}`,
+        code: 'INVALID_HOME_TYPE'
+      };
+    }
+
+    if (change_json.change_coverage_limit !== undefined) {
+      const { line, new_limit } = change_json.change_coverage_limit || {};
+      const limit = parseFloat(new_limit);
+      if (!policyLineProfiles[line] || isNaN(limit) || limit < coverageLimitBounds.min || limit > coverageLimitBounds.max) {
+        return { 
+          error: `change_coverage_limit requires a valid line and new_limit between ${coverageLimitBounds.min} and ${coverageLimitBounds.max}`,
+          code: 'INVALID_COVERAGE_LIMIT'
+        };
+      }
+    }
+
+    for (const key of ['add_policy_line', 'drop_policy_line']) {
+      if (change_json[key] !== undefined && !policyLineProfiles[change_json[key]]) {
+        return { 
+          error: `${key} must be one of: ${Object.keys(policyLineProfiles).join(', ')}`,
+          code: 'INVALID_POLICY_LINE'
+        };
+      }
+    }
+
+    if (change_json.add_policy_line && change_json.add_policy_line === change_json.drop_policy_line) {
+      return { 
+        error: 'Cannot add and drop the same policy line in one scenario',
+        code: 'CONFLICTING_POLICY_LINE_CHANGE'
+      };
+    }
+
+    return null;
   }
 
   // Validate cohort analysis parameters
@@ -4,6 +4,8 @@
 class AlertNotificationService {
   constructor(pool) {
     this.pool = pool;
+    this.schemaReady = null;
+    this.raisedAlertWindowDays = 7; // Raised alerts stay in the analysis this long
     
     // Alert configurations and thresholds
     this.alertTypes = {
@@ -31,6 +33,12 @@ class AlertNotificationService {
         threshold: 0.2,
         severity: 'low',
         description: 'Market conditions showing increased volatility'
+      },
+      // Raised by the drift monitor, which holds its own PSI / KS thresholds
+      score_drift: {
+        threshold: null,
+        severity: 'medium',
+        description: 'Score distribution shifted away from the reference snapshot'
       }
     };
 
@@ -68,6 +76,10 @@ class AlertNotificationService {
       const marketAlerts = await this.checkMarketConditions();
       alerts.push(...marketAlerts);
 
+      // Alerts raised by background monitors
+      const raisedAlerts = await this.checkRaisedAlerts();
+      alerts.push(...raisedAlerts);
+
       // Prioritize and categorize alerts
       const categorizedAlerts = this.categorizeAlerts(alerts);
       
@@ -302,6 +314,74 @@ class AlertNotificationService {
     return marketAlerts;
   }
 
+  // Alerts pushed by background jobs (e.g. score drift) rather than derived from current data
+  async ensureSchema() {
+    if (!this.schemaReady) {
+      this.schemaReady = this.pool.query(`
+        CREATE TABLE IF NOT EXISTS raised_alerts (
+          alert_id SERIAL PRIMARY KEY,
+          alert_type TEXT NOT NULL,
+          severity TEXT NOT NULL,
+          title TEXT NOT NULL,
+          description TEXT,
+          details JSONB NOT NULL DEFAULT '{}'::jsonb,
+          recommended_actions JSONB NOT NULL DEFAULT '[]'::jsonb,
+          triggered_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+        CREATE INDEX IF NOT EXISTS idx_raised_alerts_triggered ON raised_alerts (triggered_at DESC);
+      `).catch(error => {
+        this.schemaReady = null;
+        throw error;
+      });
+    }
+    return this.schemaReady;
+  }
+
+  // Record an alert so it shows up in the alert analysis for the next raisedAlertWindowDays
+  async raiseAlert({ alertType, severity = null, title, description, details = {}, recommendedActions = [] }) {
+    if (!this.alertTypes[alertType]) {
+      throw new Error(`Unknown alert type: ${alertType}`);
+    }
+
+    await this.ensureSchema();
+
+    const result = await this.pool.query(`
+      INSERT INTO raised_alerts (alert_type, severity, title, description, details, recommended_actions)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [
+      alertType,
+      severity || this.alertTypes[alertType].severity,
+      title,
+      description,
+      JSON.stringify(details),
+      JSON.stringify(recommendedActions)
+    ]);
+    return result.rows[0];
+  }
+
+  async checkRaisedAlerts() {
+    await this.ensureSchema();
+
+    const result = await this.pool.query(`
+      SELECT * FROM raised_alerts
+      WHERE triggered_at >= NOW() - $1::int * INTERVAL '1 day'
+      ORDER BY triggered_at DESC
+    `, [this.raisedAlertWindowDays]);
+
+    return result.rows.map(alert => ({
+      alert_id: `${alert.alert_type}_${alert.alert_id}`,
+      alert_type: alert.alert_type,
+      severity: alert.severity,
+      title: alert.title,
+      description: alert.description,
+      ...alert.details,
+      triggered_at: new Date(alert.triggered_at).toISOString(),
+      recommended_actions: alert.recommended_actions,
+      urgency_level: alert.severity
+    }));
+  }
+
   // Categorize alerts by severity
   categorizeAlerts(alerts) {
     const categorized = {
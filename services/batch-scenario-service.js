@@ -0,0 +1,280 @@
+// Batch Scenario Service
+// Previews or applies one scenario across a filtered cohort of the portfolio
+
+const ServiceError = require('../utils/service-error');
+const { withTransaction } = require('../utils/transaction');
+
+class BatchScenarioService {
+  constructor(pool, scenarioService, cohortDefinitions, riskTiers, approvalService) {
+    this.pool = pool;
+    this.scenarioService = scenarioService;
+    this.cohortDefinitions = cohortDefinitions;
+    this.riskTiers = riskTiers;
+    this.approvalService = approvalService;
+
+    // Guard against accidentally rewriting the whole book in one request
+    this.maxBatchSize = 1000;
+  }
+
+  // Preview (default) or apply a scenario to every customer matching the filter
+  async runBatchScenario({ name, changeJson, filter = {}, mode = 'preview', changedBy = null }) {
+    await this.scenarioService.ensureSchema();
+
+    const twins = await this.findCustomers(filter);
+    if (twins.length > this.maxBatchSize) {
+      throw new ServiceError(
+        `Filter matches ${twins.length} customers; narrow it to at most ${this.maxBatchSize}`,
+        400,
+        'BATCH_TOO_LARGE'
+      );
+    }
+
+    const policiesByCustomer = await this.scenarioService.getPoliciesForCustomers(twins.map(twin => twin.customer_id));
+    const factorTable = await this.scenarioService.getFactorTable();
+
+    // Evaluate every match with the single-customer impact engine
+    const results = [];
+    const skipped = [];
+    twins.forEach(twin => {
+      try {
+        const impact = this.scenarioService.calculateScenarioImpact(
+          twin,
+          changeJson,
+          policiesByCustomer.get(twin.customer_id) || [],
+          factorTable
+        );
+        results.push({ twin, impact });
+      } catch (error) {
+        if (!(error instanceof ServiceError)) throw error;
+        skipped.push({ customer_id: twin.customer_id, name: twin.name, reason: error.message, code: error.code });
+      }
+    });
+
+    let scenarioIds = [];
+    let draftScenarioIds = [];
+    if (mode === 'apply' && results.length > 0) {
+      await this.approvalService.ensureSchema();
+
+      // All-or-nothing: a failure on any customer rolls back the whole batch.
+      // Customers whose projected change needs review get a draft instead.
+      ({ scenarioIds, draftScenarioIds } = await withTransaction(this.pool, async (client) => {
+        const applied = [];
+        const drafts = [];
+        for (const { twin, impact } of results) {
+          if (this.approvalService.requiresApproval(impact)) {
+            const { scenario } = await this.approvalService.createDraft(
+              client, twin.customer_id, name, changeJson, impact, { changedBy }
+            );
+            drafts.push(scenario.scenario_id);
+          } else {
+            const { scenario } = await this.scenarioService.applyScenarioInTransaction(
+              client, twin.customer_id, name, changeJson, { changedBy }
+            );
+            applied.push(scenario.scenario_id);
+          }
+        }
+        return { scenarioIds: applied, draftScenarioIds: drafts };
+      }));
+    }
+
+    return {
+      mode,
+      applied: mode === 'apply',
+      name,
+      change_json: changeJson,
+      filter,
+      factor_version_id: factorTable.version_id,
+      matched_customers: twins.length,
+      affected_customers: results.length,
+      skipped_customers: skipped,
+      aggregate_impact: this.aggregateImpact(results),
+      customers: results.map(({ twin, impact }) => ({
+        customer_id: twin.customer_id,
+        name: twin.name,
+        before: impact.before,
+        after: impact.after,
+        delta: impact.delta,
+        premium_impact: impact.premium_impact
+      })),
+      scenario_ids: scenarioIds,
+      draft_scenario_ids: draftScenarioIds,
+      generated_at: new Date().toISOString()
+    };
+  }
+
+  // Translate the filter into SQL over customers + risk_twins
+  async findCustomers(filter) {
+    const conditions = [];
+    const params = [];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    if (filter.state) {
+      const states = Array.isArray(filter.state) ? filter.state : [filter.state];
+      conditions.push(`c.state = ANY(${addParam(states)}::text[])`);
+    }
+
+    if (filter.risk_tier) {
+      const tier = this.riskTiers[filter.risk_tier];
+      if (!tier) {
+        throw new ServiceError(`Unknown risk tier. Must be one of: ${Object.keys(this.riskTiers).join(', ')}`, 400, 'INVALID_RISK_TIER');
+      }
+      conditions.push(`CAST(rt.base_risk_score AS NUMERIC) >= ${addParam(tier.min)}`);
+      if (tier.max < 100) {
+        conditions.push(`CAST(rt.base_risk_score AS NUMERIC) < ${addParam(tier.max)}`);
+      }
+    }
+
+    if (filter.segment) {
+      conditions.push(`c.risk_segment = ${addParam(filter.segment)}`);
+    }
+
+    if (filter.cohort_key) {
+      conditions.push(this.buildCohortCondition(filter.cohort_key, addParam));
+    }
+
+    if (conditions.length === 0 && filter.all !== true) {
+      throw new ServiceError('Filter must include state, risk_tier, segment or cohort_key (or all: true)', 400, 'MISSING_BATCH_FILTER');
+    }
+
+    const result = await this.pool.query(`
+      SELECT
+        c.customer_id, c.name, c.state, c.city, c.zip,
+        c.vehicle_use, c.home_type, c.risk_segment,
+        rt.base_risk_score, rt.next12m_claim_prob, rt.next12m_expected_loss, rt.updated_at
+      FROM customers c
+      JOIN risk_twins rt ON c.customer_id = rt.customer_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY c.customer_id
+    `, params);
+
+    return result.rows;
+  }
+
+  // SQL condition for a cohort key from CohortAnalysisService.cohortDefinitions
+  buildCohortCondition(cohortKey, addParam) {
+    const cohortType = Object.keys(this.cohortDefinitions)
+      .find(type => this.cohortDefinitions[type][cohortKey]);
+
+    if (!cohortType) {
+      throw new ServiceError(`Unknown cohort key: ${cohortKey}`, 400, 'INVALID_COHORT_KEY');
+    }
+
+    const definition = this.cohortDefinitions[cohortType][cohortKey];
+
+    switch (cohortType) {
+      case 'risk_based':
+        return `(CAST(rt.base_risk_score AS NUMERIC) >= ${addParam(definition.min)} AND CAST(rt.base_risk_score AS NUMERIC) ${definition.max >= 100 ? '<=' : '<'} ${addParam(definition.max)})`;
+
+      case 'geographic':
+        return `c.state = ANY(${addParam(definition.states)}::text[])`;
+
+      case 'policy_vintage': {
+        // Lower bound is the previous bucket's upper bound
+        const buckets = Object.values(this.cohortDefinitions.policy_vintage).map(bucket => bucket.months);
+        const index = buckets.indexOf(definition.months);
+        const minMonths = index > 0 ? buckets[index - 1] : 0;
+        return `c.customer_id IN (
+          SELECT customer_id FROM policies
+          GROUP BY customer_id
+          HAVING EXTRACT(YEAR FROM AGE(NOW(), MIN(start_date))) * 12 + EXTRACT(MONTH FROM AGE(NOW(), MIN(start_date)))
+            >= ${addParam(minMonths)}
+          AND EXTRACT(YEAR FROM AGE(NOW(), MIN(start_date))) * 12 + EXTRACT(MONTH FROM AGE(NOW(), MIN(start_date)))
+            < ${addParam(definition.months)}
+        )`;
+      }
+
+      case 'claim_behavior': {
+        // The highest bucket ("2+") is open-ended
+        const maxClaims = Math.max(...Object.values(this.cohortDefinitions.claim_behavior).map(bucket => bucket.claims));
+        const operator = definition.claims >= maxClaims ? '>=' : '=';
+        return `(SELECT COUNT(*) FROM claims cl WHERE cl.customer_id = c.customer_id) ${operator} ${addParam(definition.claims)}`;
+      }
+
+      default:
+        throw new ServiceError(`Cohort type ${cohortType} cannot be used as a batch filter`, 400, 'INVALID_COHORT_KEY');
+    }
+  }
+
+  // Portfolio-level effect of the batch on the affected customers
+  aggregateImpact(results) {
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+    const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+    const beforeLoss = sum(results.map(({ impact }) => impact.before.expected_loss));
+    const afterLoss = sum(results.map(({ impact }) => impact.after.expected_loss));
+    const count = results.length || 1;
+
+    return {
+      total_expected_loss: {
+        before: round(beforeLoss),
+        after: round(afterLoss),
+        delta: round(afterLoss - beforeLoss),
+        delta_pct: beforeLoss > 0 ? round((afterLoss - beforeLoss) / beforeLoss * 100, 1) : 0
+      },
+      avg_risk_score: {
+        before: round(sum(results.map(({ impact }) => impact.before.risk_score)) / count, 1),
+        after: round(sum(results.map(({ impact }) => impact.after.risk_score)) / count, 1)
+      },
+      total_premium_impact: sum(results.map(({ impact }) => impact.premium_impact)),
+      tier_distribution: this.tierDistribution(results),
+      state_concentration: this.stateConcentration(results, beforeLoss, afterLoss)
+    };
+  }
+
+  getTier(score) {
+    const tierKey = Object.keys(this.riskTiers).find(key => {
+      const tier = this.riskTiers[key];
+      return score >= tier.min && (score < tier.max || tier.max >= 100);
+    });
+    return tierKey || 'CRITICAL';
+  }
+
+  tierDistribution(results) {
+    const distribution = {};
+    Object.keys(this.riskTiers).forEach(key => {
+      distribution[key] = { label: this.riskTiers[key].label, before: 0, after: 0 };
+    });
+
+    results.forEach(({ impact }) => {
+      distribution[this.getTier(impact.before.risk_score)].before++;
+      distribution[this.getTier(impact.after.risk_score)].after++;
+    });
+
+    return distribution;
+  }
+
+  stateConcentration(results, beforeTotal, afterTotal) {
+    const states = {};
+    const entry = (state) => {
+      if (!states[state]) {
+        states[state] = { state, customers_before: 0, customers_after: 0, expected_loss_before: 0, expected_loss_after: 0 };
+      }
+      return states[state];
+    };
+
+    results.forEach(({ impact }) => {
+      const before = entry(impact.before.state);
+      before.customers_before++;
+      before.expected_loss_before += impact.before.expected_loss;
+
+      const after = entry(impact.after.state);
+      after.customers_after++;
+      after.expected_loss_after += impact.after.expected_loss;
+    });
+
+    return Object.values(states)
+      .map(state => ({
+        ...state,
+        expected_loss_before: parseFloat(state.expected_loss_before.toFixed(2)),
+        expected_loss_after: parseFloat(state.expected_loss_after.toFixed(2)),
+        share_before: beforeTotal > 0 ? parseFloat((state.expected_loss_before / beforeTotal).toFixed(4)) : 0,
+        share_after: afterTotal > 0 ? parseFloat((state.expected_loss_after / afterTotal).toFixed(4)) : 0
+      }))
+      .sort((a, b) => b.expected_loss_after - a.expected_loss_after);
+  }
+}
+
+module.exports = BatchScenarioService;
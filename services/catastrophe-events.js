@@ -0,0 +1,28 @@
+// Catastrophe Event Footprints
+// Preset events for the portfolio stress test. Each area is a state, optionally
+// narrowed to 5-digit ZIPs or ZIP3 prefixes, with a damage ratio per policy line
+// (share of the coverage limit destroyed before the deductible).
+
+const catastropheEvents = {
+  gulf_hurricane_cat4: {
+    name: 'Category 4 hurricane - Gulf Coast',
+    peril: 'hurricane',
+    footprint: [
+      { state: 'TX', zips: ['773', '774', '775', '776'], damage_ratios: { home: 0.30, renters: 0.20, auto: 0.10 } },
+      { state: 'LA', zips: ['700', '701', '703', '704', '705', '706'], damage_ratios: { home: 0.35, renters: 0.25, auto: 0.12 } },
+      { state: 'MS', zips: ['394', '395'], damage_ratios: { home: 0.30, renters: 0.20, auto: 0.10 } },
+      { state: 'AL', zips: ['365', '366'], damage_ratios: { home: 0.20, renters: 0.12, auto: 0.06 } },
+      { state: 'FL', zips: ['324', '325'], damage_ratios: { home: 0.15, renters: 0.10, auto: 0.05 } }
+    ]
+  },
+  la_earthquake: {
+    name: 'Major earthquake - Los Angeles',
+    peril: 'earthquake',
+    footprint: [
+      { state: 'CA', zips: ['900', '902', '903', '904', '905', '906', '907', '908', '910', '911', '912', '913', '914', '915', '916', '917', '918'], damage_ratios: { home: 0.25, renters: 0.15, auto: 0.03 } },
+      { state: 'CA', zips: ['925', '926', '927', '928', '930', '935'], damage_ratios: { home: 0.08, renters: 0.05, auto: 0.01 } }
+    ]
+  }
+};
+
+module.exports = { catastropheEvents };
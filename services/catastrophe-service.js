@@ -0,0 +1,219 @@
+// Catastrophe Stress Test Service
+// Applies an event footprint to every in-force policy in it and aggregates the portfolio loss
+
+const ServiceError = require('../utils/service-error');
+const { policyLineProfiles } = require('./scenario-factors');
+const { catastropheEvents } = require('./catastrophe-events');
+
+class CatastropheService {
+  constructor(pool, scenarioService, stateCoordinates) {
+    this.pool = pool;
+    this.scenarioService = scenarioService;
+    this.stateCoordinates = stateCoordinates;
+
+    this.defaultTopExposures = 10;
+  }
+
+  listEvents() {
+    return Object.keys(catastropheEvents).map(key => ({
+      event: key,
+      name: catastropheEvents[key].name,
+      peril: catastropheEvents[key].peril,
+      states: [...new Set(catastropheEvents[key].footprint.map(area => area.state))],
+      footprint: catastropheEvents[key].footprint
+    }));
+  }
+
+  // Preset event by key, or a custom { name, footprint }
+  resolveEvent({ event = null, name = null, footprint = null }) {
+    if (event) {
+      const preset = catastropheEvents[event];
+      if (!preset) {
+        throw new ServiceError(
+          `Unknown catastrophe event. Must be one of: ${Object.keys(catastropheEvents).join(', ')}`,
+          400,
+          'UNKNOWN_CATASTROPHE_EVENT'
+        );
+      }
+      return { event, ...preset };
+    }
+
+    footprint.forEach(area => {
+      if (!this.stateCoordinates[area.state]) {
+        throw new ServiceError(`Unknown state in footprint: ${area.state}`, 400, 'UNKNOWN_STATE');
+      }
+    });
+    return { event: 'custom', name: name || 'Custom catastrophe event', peril: null, footprint };
+  }
+
+  // Ground-up and gross (after deductible) loss for every in-force policy in the footprint.
+  // Read-only: nothing is written to policies, twins or the timeline.
+  async runStressTest(eventSpec, { top = this.defaultTopExposures } = {}) {
+    await this.scenarioService.ensureSchema();
+
+    const event = this.resolveEvent(eventSpec);
+    const states = [...new Set(event.footprint.map(area => area.state))];
+
+    const customerResult = await this.pool.query(`
+      SELECT c.customer_id, c.name, c.state, c.zip,
+        rt.base_risk_score, rt.next12m_claim_prob, rt.next12m_expected_loss
+      FROM customers c
+      JOIN risk_twins rt ON c.customer_id = rt.customer_id
+      WHERE c.state = ANY($1::text[])
+      ORDER BY c.customer_id
+    `, [states]);
+
+    const inFootprint = customerResult.rows
+      .map(customer => ({ customer, area: this.matchArea(event.footprint, customer) }))
+      .filter(({ area }) => area);
+
+    const policiesByCustomer = await this.scenarioService.getPoliciesForCustomers(
+      inFootprint.map(({ customer }) => customer.customer_id)
+    );
+
+    const byState = {};
+    const byLine = {};
+    const customers = [];
+    let defaultedLimits = 0;
+
+    inFootprint.forEach(({ customer, area }) => {
+      const policyLosses = (policiesByCustomer.get(customer.customer_id) || []).map(policy => {
+        const limit = policy.coverage_limit || (policyLineProfiles[policy.line] ? policyLineProfiles[policy.line].default_limit : 0);
+        if (!policy.coverage_limit) defaultedLimits++;
+
+        const damageRatio = area.damage_ratios[policy.line] || 0;
+        const groundUp = limit * damageRatio;
+        const gross = Math.min(limit, Math.max(0, groundUp - (policy.deductible || 0)));
+
+        return {
+          policy_id: policy.policy_id,
+          line: policy.line,
+          coverage_limit: limit,
+          limit_estimated: !policy.coverage_limit,
+          deductible: policy.deductible,
+          damage_ratio: damageRatio,
+          ground_up_loss: groundUp,
+          gross_loss: gross
+        };
+      });
+
+      const exposure = policyLosses.reduce((sum, policy) => sum + policy.coverage_limit, 0);
+      const groundUp = policyLosses.reduce((sum, policy) => sum + policy.ground_up_loss, 0);
+      const gross = policyLosses.reduce((sum, policy) => sum + policy.gross_loss, 0);
+
+      const stateTotals = byState[customer.state] || (byState[customer.state] = this.emptyTotals());
+      stateTotals.customers++;
+      stateTotals.exposure += exposure;
+      stateTotals.ground_up_loss += groundUp;
+      stateTotals.gross_loss += gross;
+      if (gross > 0) stateTotals.impacted_customers++;
+
+      policyLosses.forEach(policy => {
+        const lineTotals = byLine[policy.line] || (byLine[policy.line] = { policies: 0, impacted_policies: 0, exposure: 0, ground_up_loss: 0, gross_loss: 0 });
+        lineTotals.policies++;
+        lineTotals.exposure += policy.coverage_limit;
+        lineTotals.ground_up_loss += policy.ground_up_loss;
+        lineTotals.gross_loss += policy.gross_loss;
+        if (policy.gross_loss > 0) lineTotals.impacted_policies++;
+      });
+
+      customers.push({ customer, exposure, groundUp, gross, policyLosses });
+    });
+
+    const totals = customers.reduce((sum, { exposure, groundUp, gross }) => ({
+      exposure: sum.exposure + exposure,
+      ground_up_loss: sum.ground_up_loss + groundUp,
+      gross_loss: sum.gross_loss + gross
+    }), { exposure: 0, ground_up_loss: 0, gross_loss: 0 });
+
+    const topExposures = customers
+      .filter(({ gross }) => gross > 0)
+      .sort((a, b) => b.gross - a.gross)
+      .slice(0, top)
+      .map(({ customer, exposure, gross, policyLosses }) => this.formatExposure(customer, exposure, gross, policyLosses));
+
+    return {
+      event: event.event,
+      name: event.name,
+      peril: event.peril,
+      footprint: event.footprint,
+      customers_in_footprint: customers.length,
+      impacted_customers: customers.filter(({ gross }) => gross > 0).length,
+      total_insured_value: this.round(totals.exposure),
+      ground_up_loss: this.round(totals.ground_up_loss),
+      gross_loss: this.round(totals.gross_loss),
+      loss_to_insured_value: totals.exposure > 0 ? parseFloat((totals.gross_loss / totals.exposure).toFixed(4)) : 0,
+      policies_with_default_limit: defaultedLimits,
+      by_state: Object.keys(byState)
+        .map(state => ({
+          state,
+          state_name: this.stateCoordinates[state]?.name || state,
+          lat: this.stateCoordinates[state]?.lat,
+          lng: this.stateCoordinates[state]?.lng,
+          ...this.roundTotals(byState[state])
+        }))
+        .sort((a, b) => b.gross_loss - a.gross_loss),
+      by_line: Object.keys(byLine)
+        .map(line => ({ line, ...this.roundTotals(byLine[line]) }))
+        .sort((a, b) => b.gross_loss - a.gross_loss),
+      top_exposures: topExposures,
+      generated_at: new Date().toISOString()
+    };
+  }
+
+  // Footprint area covering the customer. ZIP-specific areas win over
+  // state-wide ones; among equals the first listed applies.
+  matchArea(footprint, customer) {
+    const zip = customer.zip ? String(customer.zip) : '';
+    const inState = footprint.filter(area => area.state === customer.state);
+
+    const zipMatch = inState.find(area => area.zips && area.zips.some(code => zip.startsWith(code)));
+    if (zipMatch) return zipMatch;
+
+    return inState.find(area => !area.zips || area.zips.length === 0) || null;
+  }
+
+  // Event loss next to the twin's normal annual expectation
+  formatExposure(customer, exposure, gross, policyLosses) {
+    const expectedLoss = parseFloat(customer.next12m_expected_loss);
+    return {
+      customer_id: customer.customer_id,
+      name: customer.name,
+      state: customer.state,
+      zip: customer.zip,
+      total_insured_value: this.round(exposure),
+      gross_loss: this.round(gross),
+      twin: {
+        risk_score: parseFloat(customer.base_risk_score),
+        claim_prob: parseFloat(customer.next12m_claim_prob),
+        expected_loss: expectedLoss,
+        // How many years of expected losses the event represents
+        event_to_expected_loss: expectedLoss > 0 ? parseFloat((gross / expectedLoss).toFixed(1)) : null
+      },
+      policies: policyLosses.map(policy => ({
+        ...policy,
+        ground_up_loss: this.round(policy.ground_up_loss),
+        gross_loss: this.round(policy.gross_loss)
+      }))
+    };
+  }
+
+  emptyTotals() {
+    return { customers: 0, impacted_customers: 0, exposure: 0, ground_up_loss: 0, gross_loss: 0 };
+  }
+
+  roundTotals(totals) {
+    return {
+      ...totals,
+      exposure: this.round(totals.exposure),
+      ground_up_loss: this.round(totals.ground_up_loss),
+      gross_loss: this.round(totals.gross_loss)
+    };
+  }
+
+  round(value) {
+    return parseFloat(value.toFixed(2));
+  }
+}
+
+module.exports = CatastropheService;
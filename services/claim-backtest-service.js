@@ -0,0 +1,219 @@
+// Claim Probability Backtest Service
+// Joins the claim probabilities the twins carried at past cutoff dates to the losses that actually
+// occurred in the following 12 months, and reports calibration, Brier / log loss, AUC and lift,
+// overall and per state, line or risk tier
+
+const ServiceError = require('../utils/service-error');
+const { evaluate, calibrationCurve, liftTable } = require('./claim-model');
+const { policiesExposed } = require('./claim-features');
+
+class ClaimBacktestService {
+  constructor(pool, claimModelService, twinHistoryService, featureStore, riskTiers) {
+    this.pool = pool;
+    this.claimModelService = claimModelService;
+    this.twinHistoryService = twinHistoryService;
+    this.featureStore = featureStore;
+    this.riskTiers = riskTiers;
+
+    this.outcomeWindowMonths = 12;
+  }
+
+  // Cutoffs every stepMonths from `from` up to and including `to` (ISO dates)
+  cutoffDates(from, to, stepMonths) {
+    const cutoffs = [];
+    const start = new Date(`${from}T00:00:00Z`);
+    const end = new Date(`${to}T00:00:00Z`);
+    for (let step = 0; ; step++) {
+      const cutoff = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + step * stepMonths, start.getUTCDate()));
+      if (cutoff > end) break;
+      cutoffs.push(cutoff.toISOString().split('T')[0]);
+    }
+    return cutoffs;
+  }
+
+  // The prediction each twin carried on each cutoff date (source):
+  // - history: the latest version recorded at or before the cutoff;
+  // - baseline: before the first tracked change, the baseline version, if the twin values it
+  //   holds were already written by then (twin_updated_at);
+  // - twin: for twins that never changed, their current values if written by then.
+  // Twins whose values on a cutoff cannot be dated have no prediction for it.
+  // Customer attributes come from the feature store (loadAttributes).
+  async loadPredictions(cutoffs) {
+    await this.twinHistoryService.ensureSchema();
+
+    const result = await this.pool.query(`
+      SELECT to_char(c.cutoff, 'YYYY-MM-DD') AS cutoff, rt.customer_id,
+             (CASE WHEN h.source IS NULL THEN rt.base_risk_score ELSE h.base_risk_score END)::float AS base_risk_score,
+             (CASE WHEN h.source IS NULL THEN rt.next12m_claim_prob ELSE h.next12m_claim_prob END)::float AS claim_prob,
+             COALESCE(h.source, 'twin') AS source
+      FROM unnest($1::date[]) AS c(cutoff)
+      CROSS JOIN risk_twins rt
+      LEFT JOIN LATERAL (
+        SELECT base_risk_score, next12m_claim_prob,
+               CASE WHEN recorded_at <= c.cutoff THEN 'history' ELSE 'baseline' END AS source
+        FROM risk_twin_history
+        WHERE customer_id = rt.customer_id
+          AND (recorded_at <= c.cutoff
+            OR (change_source = 'baseline' AND (customer_snapshot->>'twin_updated_at')::timestamp <= c.cutoff))
+        ORDER BY version_no DESC
+        LIMIT 1
+      ) h ON TRUE
+      WHERE (h.source IS NOT NULL
+          OR (rt.updated_at <= c.cutoff
+            AND NOT EXISTS (SELECT 1 FROM risk_twin_history x WHERE x.customer_id = rt.customer_id)))
+        AND (CASE WHEN h.source IS NULL THEN rt.next12m_claim_prob ELSE h.next12m_claim_prob END) IS NOT NULL
+    `, [cutoffs]);
+    return result.rows;
+  }
+
+  // Customer attributes (state...) as of each cutoff, from the feature store:
+  // Map cutoff -> Map customer_id -> stored row
+  async loadAttributes(cutoffs) {
+    const snapshots = await Promise.all(cutoffs.map(cutoff => this.featureStore.getPortfolioFeatures({ asOf: cutoff })));
+    return new Map(cutoffs.map((cutoff, i) => [cutoff, new Map(snapshots[i].map(row => [row.customer_id, row]))]));
+  }
+
+  // Backtest over cutoffs from `from` to `to`. `to` defaults to 12 months before now (the latest
+  // cutoff whose outcome window has closed) and `from` to two years before `to`.
+  async run({ from = null, to = null, stepMonths = 3, bins = 10, sliceBy = null } = {}) {
+    const asOf = this.claimModelService.clock();
+    const latestCutoff = new Date(asOf);
+    latestCutoff.setUTCMonth(latestCutoff.getUTCMonth() - this.outcomeWindowMonths);
+    const latest = latestCutoff.toISOString().split('T')[0];
+
+    const windowTo = to || latest;
+    if (windowTo > latest) {
+      throw new ServiceError(
+        `Outcome window still open: the latest cutoff that can be backtested is ${latest}`,
+        400,
+        'BACKTEST_WINDOW_OPEN'
+      );
+    }
+    let windowFrom = from;
+    if (!windowFrom) {
+      const start = new Date(`${windowTo}T00:00:00Z`);
+      start.setUTCFullYear(start.getUTCFullYear() - 2);
+      windowFrom = start.toISOString().split('T')[0];
+    }
+    if (windowFrom > windowTo) {
+      throw new ServiceError('from must not be after to', 400, 'INVALID_BACKTEST_WINDOW');
+    }
+
+    const cutoffs = this.cutoffDates(windowFrom, windowTo, stepMonths);
+    const [predictions, attributes, portfolio] = await Promise.all([
+      this.loadPredictions(cutoffs),
+      this.loadAttributes(cutoffs),
+      this.claimModelService.loadPortfolio()
+    ]);
+    const entries = new Map(portfolio.map(entry => [entry.customer.customer_id, entry]));
+
+    // Outcome: any loss in the 12 months after the cutoff. Predictions for customers
+    // without a policy exposed during that window are dropped, as in model training.
+    // Customers with no stored features by the cutoff use their current state.
+    let notExposed = 0;
+    const rows = predictions.map(prediction => {
+      const entry = entries.get(prediction.customer_id);
+      if (!entry) return null;
+
+      const cutoff = new Date(`${prediction.cutoff}T00:00:00Z`);
+      const windowEnd = new Date(cutoff);
+      windowEnd.setUTCMonth(windowEnd.getUTCMonth() + this.outcomeWindowMonths);
+      const exposed = policiesExposed(entry.policies, cutoff, windowEnd);
+      if (exposed.length === 0) {
+        notExposed++;
+        return null;
+      }
+
+      const stored = attributes.get(prediction.cutoff).get(prediction.customer_id);
+      return {
+        customer_id: prediction.customer_id,
+        cutoff: prediction.cutoff,
+        source: prediction.source,
+        prediction: Math.min(Math.max(prediction.claim_prob, 0), 1),
+        label: entry.claims.some(claim => claim.lossDate >= cutoff && claim.lossDate < windowEnd) ? 1 : 0,
+        state: (stored && stored.state) || entry.customer.state,
+        lines: [...new Set(exposed.map(policy => policy.line || 'unknown'))],
+        tier: this.tierFor(prediction.base_risk_score || 0)
+      };
+    }).filter(Boolean);
+
+    if (rows.length === 0) {
+      throw new ServiceError(
+        'No twin predictions with a closed outcome window between the cutoffs',
+        422,
+        'INSUFFICIENT_BACKTEST_DATA'
+      );
+    }
+
+    return {
+      as_of: asOf.toISOString(),
+      window: {
+        from: windowFrom,
+        to: windowTo,
+        step_months: stepMonths,
+        cutoffs,
+        outcome_window_months: this.outcomeWindowMonths
+      },
+      coverage: this.coverage(rows, predictions, entries, cutoffs, notExposed),
+      overall: this.report(rows, bins),
+      slice_by: sliceBy,
+      slices: sliceBy ? this.slice(rows, sliceBy, bins) : null
+    };
+  }
+
+  // How much of the portfolio the backtest covers: customer × cutoff pairs with a datable
+  // prediction and an exposed outcome window, against the whole portfolio over every cutoff
+  coverage(rows, predictions, entries, cutoffs, notExposed) {
+    const customers = new Set(rows.map(row => row.customer_id)).size;
+    const sources = { history: 0, baseline: 0, twin: 0 };
+    rows.forEach(row => { sources[row.source]++; });
+
+    return {
+      portfolio_customers: entries.size,
+      customers,
+      customer_share: entries.size > 0 ? parseFloat((customers / entries.size).toFixed(4)) : null,
+      possible_rows: entries.size * cutoffs.length,
+      rows: rows.length,
+      row_share: entries.size > 0 ? parseFloat((rows.length / (entries.size * cutoffs.length)).toFixed(4)) : null,
+      no_prediction: entries.size * cutoffs.length - predictions.filter(prediction => entries.has(prediction.customer_id)).length,
+      not_exposed: notExposed,
+      prediction_sources: sources
+    };
+  }
+
+  // Metrics for one set of prediction rows
+  report(rows, bins) {
+    const labels = rows.map(row => row.label);
+    const predictions = rows.map(row => row.prediction);
+    return {
+      ...evaluate(labels, predictions),
+      customers: new Set(rows.map(row => row.customer_id)).size,
+      calibration: calibrationCurve(labels, predictions, bins),
+      lift: liftTable(labels, predictions)
+    };
+  }
+
+  // One report per state, line or risk tier, largest first. A customer holding several
+  // lines counts in each of them, with the customer-level outcome.
+  slice(rows, dimension, bins) {
+    const groups = new Map();
+    rows.forEach(row => {
+      const keys = dimension === 'line' ? row.lines : [row[dimension] || 'unknown'];
+      keys.forEach(key => {
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      });
+    });
+
+    return [...groups.entries()]
+      .map(([key, groupRows]) => ({ key, ...this.report(groupRows, bins) }))
+      .sort((a, b) => b.rows - a.rows || String(a.key).localeCompare(String(b.key)));
+  }
+
+  tierFor(score) {
+    const tiers = Object.keys(this.riskTiers);
+    return tiers.find(tier => score < this.riskTiers[tier].max) || tiers[tiers.length - 1];
+  }
+}
+
+module.exports = ClaimBacktestService;
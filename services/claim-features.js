@@ -0,0 +1,151 @@
+// Claim Model Features
+// Builds one feature vector per customer as of a cutoff date from customers, policies and claims.
+// Only claims before the cutoff are used; the label is whether a loss occurred in the 12 months after it.
+
+const { vehicleUseFactors, homeTypeFactors, getZipFactor } = require('./scenario-factors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+
+// Feature order is part of the saved model artifact - append new features at the end
+const claimFeatures = [
+  { name: 'age_years', compute: ({ customer, cutoff }) => customer.dob ? Math.min(100, (cutoff - new Date(customer.dob)) / YEAR_MS) : 40 },
+  { name: 'prior_claims_3y', compute: ({ priorClaims, cutoff }) => priorClaims.filter(claim => cutoff - claim.lossDate <= 3 * YEAR_MS).length },
+  { name: 'prior_loss_log', compute: ({ priorClaims, cutoff }) => Math.log1p(priorClaims
+    .filter(claim => cutoff - claim.lossDate <= 3 * YEAR_MS)
+    .reduce((sum, claim) => sum + claim.amount, 0)) },
+  // Capped at 10 years, which is also used when there is no prior claim
+  { name: 'years_since_last_claim', compute: ({ priorClaims, cutoff }) => priorClaims.length === 0
+    ? 10
+    : Math.min(10, (cutoff - Math.max(...priorClaims.map(claim => claim.lossDate))) / YEAR_MS) },
+  { name: 'policy_count', compute: ({ policies }) => policies.length },
+  { name: 'line_auto', compute: ({ policies }) => policies.some(policy => policy.line === 'auto') ? 1 : 0 },
+  { name: 'line_home', compute: ({ policies }) => policies.some(policy => policy.line === 'home') ? 1 : 0 },
+  { name: 'line_renters', compute: ({ policies }) => policies.some(policy => policy.line === 'renters') ? 1 : 0 },
+  { name: 'line_umbrella', compute: ({ policies }) => policies.some(policy => policy.line === 'umbrella') ? 1 : 0 },
+  { name: 'coverage_log', compute: ({ policies }) => Math.log1p(policies.reduce((sum, policy) => sum + (policy.coverage_limit || 0), 0)) },
+  { name: 'deductible_log', compute: ({ policies }) => {
+    const deductibles = policies.filter(policy => policy.deductible !== null).map(policy => policy.deductible);
+    return deductibles.length > 0 ? Math.log1p(deductibles.reduce((sum, value) => sum + value, 0) / deductibles.length) : 0;
+  } },
+  { name: 'vehicle_use_factor', compute: ({ customer }) => vehicleUseFactors[customer.vehicle_use] || 1 },
+  { name: 'home_type_factor', compute: ({ customer }) => homeTypeFactors[customer.home_type] || 1 },
+  { name: 'zip_factor', compute: ({ customer }) => getZipFactor(customer.zip) },
+  { name: 'segment_elevated', compute: ({ customer }) => customer.risk_segment === 'elevated' ? 1 : 0 }
+];
+
+const featureNames = claimFeatures.map(feature => feature.name);
+
+// Group raw query rows by customer with parsed dates and amounts
+function indexPortfolio({ customers, policies, claims }) {
+  const policiesByCustomer = new Map();
+  policies.forEach(policy => {
+    const list = policiesByCustomer.get(policy.customer_id) || [];
+    list.push({
+      line: policy.line,
+      coverage_limit: policy.coverage_limit !== null ? parseFloat(policy.coverage_limit) : null,
+      deductible: policy.deductible !== null ? parseFloat(policy.deductible) : null,
+      startDate: policy.start_date ? new Date(policy.start_date) : null,
+      endDate: policy.end_date ? new Date(policy.end_date) : null,
+      cancelledAt: policy.cancelled_at ? new Date(policy.cancelled_at) : null
+    });
+    policiesByCustomer.set(policy.customer_id, list);
+  });
+
+  const claimsByCustomer = new Map();
+  claims.forEach(claim => {
+    if (!claim.loss_date) return;
+    const list = claimsByCustomer.get(claim.customer_id) || [];
+    list.push({ lossDate: new Date(claim.loss_date), amount: parseFloat(claim.amount_estimate) || 0 });
+    claimsByCustomer.set(claim.customer_id, list);
+  });
+
+  return customers.map(customer => ({
+    customer,
+    policies: policiesByCustomer.get(customer.customer_id) || [],
+    claims: claimsByCustomer.get(customer.customer_id) || []
+  }));
+}
+
+// Customers (with their twin scores), policies and claims from the database, grouped by
+// indexPortfolio. customerIds limits the load to those customers; callers that already hold
+// the customer rows pass them as `customers` and only policies and claims are read.
+async function loadPortfolio(db, { customerIds = null, customers = null } = {}) {
+  const ids = customers ? customers.map(customer => customer.customer_id) : customerIds;
+  const [customerRows, policies, claims] = await Promise.all([
+    customers ? { rows: customers } : db.query(`
+      SELECT c.customer_id, c.dob, c.state, c.zip, c.vehicle_use, c.home_type, c.risk_segment,
+             rt.base_risk_score, rt.next12m_claim_prob, rt.next12m_expected_loss
+      FROM customers c
+      LEFT JOIN risk_twins rt ON rt.customer_id = c.customer_id
+      WHERE $1::int[] IS NULL OR c.customer_id = ANY($1)
+    `, [ids]),
+    // to_jsonb keeps this working whether or not cancelled_at exists yet
+    db.query(`
+      SELECT p.customer_id, p.line, p.coverage_limit, p.deductible, p.start_date, p.end_date,
+             to_jsonb(p)->>'cancelled_at' AS cancelled_at
+      FROM policies p
+      WHERE $1::int[] IS NULL OR p.customer_id = ANY($1)
+    `, [ids]),
+    db.query(`
+      SELECT customer_id, loss_date, amount_estimate
+      FROM claims
+      WHERE $1::int[] IS NULL OR customer_id = ANY($1)
+    `, [ids])
+  ]);
+
+  return indexPortfolio({ customers: customerRows.rows, policies: policies.rows, claims: claims.rows });
+}
+
+// Policies exposed during [from, to): started before `to`, not ended or cancelled before `from`
+function policiesExposed(policies, from, to) {
+  return policies.filter(policy =>
+    (!policy.startDate || policy.startDate < to) &&
+    (!policy.endDate || policy.endDate > from) &&
+    (!policy.cancelledAt || policy.cancelledAt > from)
+  );
+}
+
+// Feature values (name → value) for one customer as of the cutoff, from the policies in force then
+function buildFeatures(entry, cutoff, policies = policiesExposed(entry.policies, cutoff, new Date(cutoff.getTime() + 1))) {
+  const context = {
+    customer: entry.customer,
+    policies,
+    priorClaims: entry.claims.filter(claim => claim.lossDate < cutoff),
+    cutoff
+  };
+  return Object.fromEntries(claimFeatures.map(feature => [feature.name, feature.compute(context)]));
+}
+
+// Values in the column order a model was trained with
+function toVector(features, names = featureNames) {
+  return names.map(name => features[name]);
+}
+
+// Training rows for one cutoff: customers with exposure during the following 12 months,
+// labelled 1 when a loss occurred in that window
+function buildLabelledRows(portfolio, cutoff) {
+  const windowEnd = new Date(cutoff);
+  windowEnd.setFullYear(windowEnd.getFullYear() + 1);
+
+  return portfolio
+    .map(entry => ({ entry, policies: policiesExposed(entry.policies, cutoff, windowEnd) }))
+    .filter(({ policies }) => policies.length > 0)
+    .map(({ entry, policies }) => ({
+      customer_id: entry.customer.customer_id,
+      cutoff: cutoff.toISOString().split('T')[0],
+      features: toVector(buildFeatures(entry, cutoff, policies)),
+      label: entry.claims.some(claim => claim.lossDate >= cutoff && claim.lossDate < windowEnd) ? 1 : 0
+    }));
+}
+
+module.exports = {
+  claimFeatures,
+  featureNames,
+  indexPortfolio,
+  loadPortfolio,
+  policiesExposed,
+  buildFeatures,
+  toVector,
+  buildLabelledRows
+};
@@ -0,0 +1,230 @@
+// Claim Model Service
+// Trains the claim-probability model on historical loss occurrence, stores the artifact on disk and scores customers
+
+const fs = require('fs');
+const path = require('path');
+const ServiceError = require('../utils/service-error');
+const SeededRandom = require('../utils/random');
+const { LogisticRegressionModel, evaluate } = require('./claim-model');
+const { featureNames, loadPortfolio, buildFeatures, toVector, buildLabelledRows } = require('./claim-features');
+
+class ClaimModelService {
+  // featureStore: when given, training uses the customer attributes stored as of each cutoff
+  constructor(pool, { modelDir, clock = () => new Date(), featureStore = null } = {}) {
+    this.pool = pool;
+    this.modelDir = modelDir;
+    this.clock = clock;
+    this.featureStore = featureStore;
+    this.artifacts = new Map(); // model_id → parsed artifact
+
+    this.minTrainingRows = 20;
+  }
+
+  // Raw customers, policies and claims (optionally for one customer)
+  async loadPortfolio(customerId = null, db = this.pool) {
+    return loadPortfolio(db, { customerIds: customerId === null ? null : [customerId] });
+  }
+
+  // Yearly cutoffs whose 12-month label window has fully elapsed
+  trainingCutoffs(asOf, lookbackYears) {
+    const cutoffs = [];
+    for (let years = lookbackYears; years >= 1; years--) {
+      const cutoff = new Date(asOf);
+      cutoff.setFullYear(cutoff.getFullYear() - years);
+      cutoffs.push(cutoff);
+    }
+    return cutoffs;
+  }
+
+  // Fit on a customer-level split (a customer's rows never straddle train and holdout),
+  // report holdout AUC / Brier / log loss and save the artifact as the current model
+  async train({ lookbackYears = 5, holdoutFraction = 0.25, l2 = 0.1, learningRate = 0.1, iterations = 2000, seed = null, trainedBy = null } = {}) {
+    const trainedAt = this.clock();
+    const runSeed = seed !== null && seed !== undefined ? SeededRandom.normalizeSeed(seed) : SeededRandom.generateSeed();
+
+    const portfolio = await this.loadPortfolio();
+    const cutoffs = this.trainingCutoffs(trainedAt, lookbackYears);
+    const rows = [];
+    let pointInTimeRows = 0;
+    for (const cutoff of cutoffs) {
+      const { portfolio: asOfPortfolio, storedCustomers } = await this.portfolioAsOf(portfolio, cutoff);
+      const cutoffRows = buildLabelledRows(asOfPortfolio, cutoff);
+      pointInTimeRows += cutoffRows.filter(row => storedCustomers.has(row.customer_id)).length;
+      rows.push(...cutoffRows);
+    }
+
+    const { trainRows, holdoutRows } = this.splitByCustomer(rows, holdoutFraction, runSeed);
+    const trainPositives = trainRows.filter(row => row.label === 1).length;
+
+    if (trainRows.length < this.minTrainingRows || trainPositives === 0 || trainPositives === trainRows.length) {
+      throw new ServiceError(
+        `Not enough training data: ${trainRows.length} rows with ${trainPositives} losses (need ${this.minTrainingRows} rows with and without losses)`,
+        422,
+        'INSUFFICIENT_TRAINING_DATA'
+      );
+    }
+
+    const hyperparameters = { l2, learning_rate: learningRate, iterations };
+    const model = await new LogisticRegressionModel(featureNames).fit(
+      trainRows.map(row => row.features),
+      trainRows.map(row => row.label),
+      { l2, learningRate, iterations }
+    );
+
+    const metrics = {
+      train: evaluate(trainRows.map(row => row.label), trainRows.map(row => model.predict(row.features))),
+      holdout: holdoutRows.length > 0
+        ? evaluate(holdoutRows.map(row => row.label), holdoutRows.map(row => model.predict(row.features)))
+        : null
+    };
+
+    const artifact = {
+      model_id: `claim-lr-${trainedAt.toISOString().slice(0, 23).replace(/[-:T.]/g, '')}`,
+      ...model.toJSON(),
+      hyperparameters,
+      training: {
+        trained_at: trainedAt.toISOString(),
+        trained_by: trainedBy,
+        seed: runSeed,
+        cutoffs: cutoffs.map(cutoff => cutoff.toISOString().split('T')[0]),
+        label_window_months: 12,
+        holdout_fraction: holdoutFraction,
+        customers: new Set(rows.map(row => row.customer_id)).size,
+        point_in_time_rows: pointInTimeRows
+      },
+      metrics
+    };
+
+    await this.saveArtifact(artifact);
+    return this.describe(artifact);
+  }
+
+  // Portfolio with each customer's attributes as stored in the feature store at the cutoff, so
+  // features do not see later moves or segment changes. Customers with no stored row by then
+  // keep their current attributes.
+  async portfolioAsOf(portfolio, cutoff) {
+    if (!this.featureStore) return { portfolio, storedCustomers: new Set() };
+
+    const stored = new Map((await this.featureStore.getPortfolioFeatures({ asOf: cutoff }))
+      .map(row => [row.customer_id, row]));
+    const columns = this.featureStore.attributeColumns;
+
+    return {
+      portfolio: portfolio.map(entry => {
+        const row = stored.get(entry.customer.customer_id);
+        if (!row) return entry;
+        return {
+          ...entry,
+          customer: { ...entry.customer, ...Object.fromEntries(columns.map(column => [column, row[column]])) }
+        };
+      }),
+      storedCustomers: new Set(stored.keys())
+    };
+  }
+
+  // Deterministic shuffle of customer IDs, the first holdoutFraction of them held out
+  splitByCustomer(rows, holdoutFraction, seed) {
+    const customerIds = [...new Set(rows.map(row => row.customer_id))].sort((a, b) => a - b);
+    const random = new SeededRandom(seed);
+    for (let i = customerIds.length - 1; i > 0; i--) {
+      const j = Math.floor(random.next() * (i + 1));
+      [customerIds[i], customerIds[j]] = [customerIds[j], customerIds[i]];
+    }
+
+    const holdoutIds = new Set(customerIds.slice(0, Math.round(customerIds.length * holdoutFraction)));
+    return {
+      trainRows: rows.filter(row => !holdoutIds.has(row.customer_id)),
+      holdoutRows: rows.filter(row => holdoutIds.has(row.customer_id))
+    };
+  }
+
+  async saveArtifact(artifact) {
+    await fs.promises.mkdir(this.modelDir, { recursive: true });
+    await fs.promises.writeFile(this.artifactPath(artifact.model_id), JSON.stringify(artifact, null, 2));
+    await fs.promises.writeFile(path.join(this.modelDir, 'current.json'), JSON.stringify({ model_id: artifact.model_id }, null, 2));
+    this.artifacts.set(artifact.model_id, artifact);
+  }
+
+  artifactPath(modelId) {
+    if (!/^[a-z0-9-]+$/.test(modelId)) {
+      throw new ServiceError('Invalid model ID', 400, 'INVALID_MODEL_ID');
+    }
+    return path.join(this.modelDir, `${modelId}.json`);
+  }
+
+  async loadArtifact(modelId) {
+    if (!this.artifacts.has(modelId)) {
+      let content;
+      try {
+        content = await fs.promises.readFile(this.artifactPath(modelId), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new ServiceError(`Claim model ${modelId} not found`, 404, 'CLAIM_MODEL_NOT_FOUND');
+        }
+        throw error;
+      }
+      this.artifacts.set(modelId, JSON.parse(content));
+    }
+    return this.artifacts.get(modelId);
+  }
+
+  // Artifact of the current model, or null before the first training run
+  async getCurrentArtifact() {
+    let pointer;
+    try {
+      pointer = JSON.parse(await fs.promises.readFile(path.join(this.modelDir, 'current.json'), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    return this.loadArtifact(pointer.model_id);
+  }
+
+  async getCurrentModel() {
+    const artifact = await this.getCurrentArtifact();
+    if (!artifact) {
+      throw new ServiceError('No claim model has been trained yet', 404, 'CLAIM_MODEL_NOT_FOUND');
+    }
+    return this.describe(artifact);
+  }
+
+  // Artifact metadata with coefficients keyed by feature name
+  describe(artifact) {
+    const { feature_names: names, coefficients, standardization, ...metadata } = artifact;
+    return {
+      ...metadata,
+      features: names,
+      coefficients: Object.fromEntries(names.map((name, j) => [name, parseFloat(coefficients[j].toFixed(4))]))
+    };
+  }
+
+  // Claim probability from a saved artifact and a stored feature vector
+  async predict(modelId, features) {
+    const artifact = await this.loadArtifact(modelId);
+    return LogisticRegressionModel.fromJSON(artifact).predict(features);
+  }
+
+  // Score a customer with the given model (the current one by default) as of `at`
+  // (policies in force then, claims before then). Returns null when no model has been trained.
+  async scoreCustomer(customerId, { at = this.clock(), db = this.pool, modelId = null } = {}) {
+    const artifact = modelId ? await this.loadArtifact(modelId) : await this.getCurrentArtifact();
+    if (!artifact) return null;
+
+    const [entry] = await this.loadPortfolio(parseInt(customerId), db);
+    if (!entry) {
+      throw new ServiceError('Customer not found', 404, 'TWIN_NOT_FOUND');
+    }
+
+    const features = toVector(buildFeatures(entry, at), artifact.feature_names);
+
+    return {
+      model_id: artifact.model_id,
+      claim_prob: LogisticRegressionModel.fromJSON(artifact).predict(features),
+      features,
+      feature_names: artifact.feature_names,
+      scored_at: at.toISOString()
+    };
+  }
+}
+
+module.exports = ClaimModelService;
@@ -0,0 +1,219 @@
+// Claim Probability Model
+// L2-regularised logistic regression in plain JS, plus the evaluation metrics used for training reports
+
+class LogisticRegressionModel {
+  // featureNames: column order of every feature vector passed in
+  constructor(featureNames, { coefficients = null, intercept = 0, means = null, stds = null } = {}) {
+    this.featureNames = featureNames;
+    this.coefficients = coefficients || featureNames.map(() => 0);
+    this.intercept = intercept;
+    this.means = means || featureNames.map(() => 0);
+    this.stds = stds || featureNames.map(() => 1);
+  }
+
+  // Full-batch gradient descent on standardised features (deterministic for a given input).
+  // Training runs inside a request, so it yields to the event loop every yieldEvery iterations.
+  async fit(rows, labels, { l2 = 0.1, learningRate = 0.1, iterations = 2000, yieldEvery = 25 } = {}) {
+    const n = rows.length;
+    const width = this.featureNames.length;
+
+    this.means = this.featureNames.map((name, j) => rows.reduce((sum, row) => sum + row[j], 0) / n);
+    this.stds = this.featureNames.map((name, j) => {
+      const variance = rows.reduce((sum, row) => sum + Math.pow(row[j] - this.means[j], 2), 0) / n;
+      // Constant columns keep a unit scale so they simply get a zero weight
+      return variance > 0 ? Math.sqrt(variance) : 1;
+    });
+
+    const scaled = rows.map(row => this.standardize(row));
+    const weights = new Array(width).fill(0);
+    const baseRate = Math.min(Math.max(labels.reduce((sum, y) => sum + y, 0) / n, 1e-6), 1 - 1e-6);
+    let bias = Math.log(baseRate / (1 - baseRate));
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      const gradient = new Array(width).fill(0);
+      let biasGradient = 0;
+
+      for (let i = 0; i < n; i++) {
+        const error = this.sigmoid(bias + this.dot(weights, scaled[i])) - labels[i];
+        biasGradient += error;
+        for (let j = 0; j < width; j++) gradient[j] += error * scaled[i][j];
+      }
+
+      bias -= learningRate * biasGradient / n;
+      for (let j = 0; j < width; j++) {
+        weights[j] -= learningRate * (gradient[j] / n + l2 * weights[j]);
+      }
+
+      if ((iteration + 1) % yieldEvery === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    this.coefficients = weights;
+    this.intercept = bias;
+    return this;
+  }
+
+  predict(row) {
+    return this.sigmoid(this.intercept + this.dot(this.coefficients, this.standardize(row)));
+  }
+
+  // Log-odds contribution of each feature relative to the training mean:
+  // intercept + sum of contributions = log-odds of predict(row)
+  contributions(row) {
+    const scaled = this.standardize(row);
+    return this.coefficients.map((weight, j) => weight * scaled[j]);
+  }
+
+  standardize(row) {
+    return row.map((value, j) => (value - this.means[j]) / this.stds[j]);
+  }
+
+  dot(weights, values) {
+    let total = 0;
+    for (let j = 0; j < weights.length; j++) total += weights[j] * values[j];
+    return total;
+  }
+
+  sigmoid(z) {
+    return 1 / (1 + Math.exp(-z));
+  }
+
+  toJSON() {
+    return {
+      model_type: 'logistic_regression',
+      feature_names: this.featureNames,
+      coefficients: this.coefficients,
+      intercept: this.intercept,
+      standardization: { means: this.means, stds: this.stds }
+    };
+  }
+
+  static fromJSON(artifact) {
+    return new LogisticRegressionModel(artifact.feature_names, {
+      coefficients: artifact.coefficients,
+      intercept: artifact.intercept,
+      means: artifact.standardization.means,
+      stds: artifact.standardization.stds
+    });
+  }
+}
+
+// Area under the ROC curve (rank statistic, ties count half); null without both classes
+function auc(labels, predictions) {
+  const ranked = labels.map((label, i) => ({ label, prediction: predictions[i] }))
+    .sort((a, b) => a.prediction - b.prediction);
+  const positives = labels.filter(label => label === 1).length;
+  const negatives = labels.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+
+  let rankSum = 0;
+  let i = 0;
+  while (i < ranked.length) {
+    let j = i;
+    while (j + 1 < ranked.length && ranked[j + 1].prediction === ranked[i].prediction) j++;
+    const averageRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) {
+      if (ranked[k].label === 1) rankSum += averageRank;
+    }
+    i = j + 1;
+  }
+
+  return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+}
+
+function brierScore(labels, predictions) {
+  return labels.reduce((sum, label, i) => sum + Math.pow(predictions[i] - label, 2), 0) / labels.length;
+}
+
+function logLoss(labels, predictions) {
+  return -labels.reduce((sum, label, i) => {
+    const p = Math.min(Math.max(predictions[i], 1e-15), 1 - 1e-15);
+    return sum + (label === 1 ? Math.log(p) : Math.log(1 - p));
+  }, 0) / labels.length;
+}
+
+const round = (value) => (value === null ? null : parseFloat(value.toFixed(4)));
+
+// Summary metrics for one data split
+function evaluate(labels, predictions) {
+  return {
+    rows: labels.length,
+    positives: labels.filter(label => label === 1).length,
+    base_rate: round(labels.reduce((sum, label) => sum + label, 0) / labels.length),
+    mean_prediction: round(predictions.reduce((sum, p) => sum + p, 0) / predictions.length),
+    auc: round(auc(labels, predictions)),
+    brier: round(brierScore(labels, predictions)),
+    log_loss: round(logLoss(labels, predictions))
+  };
+}
+
+// Row indices ordered by prediction, split into `groups` groups of (nearly) equal size
+function rankedGroups(predictions, groups, { descending = false } = {}) {
+  const order = predictions.map((prediction, i) => i)
+    .sort((a, b) => (descending ? predictions[b] - predictions[a] : predictions[a] - predictions[b]));
+  const count = Math.min(groups, order.length);
+  return Array.from({ length: count }, (value, g) =>
+    order.slice(Math.floor(g * order.length / count), Math.floor((g + 1) * order.length / count)));
+}
+
+// Reliability curve: mean prediction vs observed rate in equal-count buckets of the prediction,
+// plus the expected calibration error (row-weighted mean absolute gap)
+function calibrationCurve(labels, predictions, bins = 10) {
+  let calibrationError = 0;
+  const buckets = rankedGroups(predictions, bins).map((indices, b) => {
+    const claims = indices.reduce((sum, i) => sum + labels[i], 0);
+    const meanPrediction = indices.reduce((sum, i) => sum + predictions[i], 0) / indices.length;
+    const observedRate = claims / indices.length;
+    calibrationError += indices.length / labels.length * Math.abs(meanPrediction - observedRate);
+
+    return {
+      bucket: b + 1,
+      rows: indices.length,
+      min_prediction: round(predictions[indices[0]]),
+      max_prediction: round(predictions[indices[indices.length - 1]]),
+      mean_prediction: round(meanPrediction),
+      observed_rate: round(observedRate),
+      claims
+    };
+  });
+
+  return { buckets, expected_calibration_error: round(calibrationError) };
+}
+
+// Lift / gain table: rows ranked by prediction (highest first) and cut into `groups` groups
+function liftTable(labels, predictions, groups = 10) {
+  const totalClaims = labels.reduce((sum, label) => sum + label, 0);
+  const baseRate = totalClaims / labels.length;
+  let cumulativeRows = 0;
+  let cumulativeClaims = 0;
+
+  return rankedGroups(predictions, groups, { descending: true }).map((indices, g) => {
+    const claims = indices.reduce((sum, i) => sum + labels[i], 0);
+    cumulativeRows += indices.length;
+    cumulativeClaims += claims;
+
+    return {
+      group: g + 1,
+      rows: indices.length,
+      min_prediction: round(predictions[indices[indices.length - 1]]),
+      mean_prediction: round(indices.reduce((sum, i) => sum + predictions[i], 0) / indices.length),
+      claims,
+      claim_rate: round(claims / indices.length),
+      lift: baseRate > 0 ? round(claims / indices.length / baseRate) : null,
+      cumulative_population_share: round(cumulativeRows / labels.length),
+      cumulative_claim_share: totalClaims > 0 ? round(cumulativeClaims / totalClaims) : null,
+      cumulative_lift: baseRate > 0 ? round(cumulativeClaims / cumulativeRows / baseRate) : null
+    };
+  });
+}
+
+module.exports = {
+  LogisticRegressionModel,
+  auc,
+  brierScore,
+  logLoss,
+  evaluate,
+  calibrationCurve,
+  liftTable
+};
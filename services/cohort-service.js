@@ -2,8 +2,9 @@
 // Provides customer segmentation and behavioral analysis capabilities
 
 class CohortAnalysisService {
-  constructor(pool) {
+  constructor(pool, { featureStore } = {}) {
     this.pool = pool;
+    this.featureStore = featureStore; // Tenure and claim counts for the vintage and claim behavior cohorts
     
     // Cohort definitions and segmentation criteria
     this.cohortDefinitions = {
@@ -190,75 +191,68 @@ class CohortAnalysisService {
     throw lastError;
   }
 
-  // Policy vintage cohort analysis (using customer_id as proxy for policy age)
+  // Policy vintage cohort analysis: tenure (months since the first policy started) from the feature store
   async analyzePolicyVintageCohorts() {
-    const vintageQuery = `
-      SELECT 
-        CASE 
-          WHEN c.customer_id % 20 < 5 THEN 'new_customers'
-          WHEN c.customer_id % 20 < 12 THEN 'established'
-          WHEN c.customer_id % 20 < 18 THEN 'mature'
-          ELSE 'legacy'
-        END as vintage_cohort,
-        COUNT(*) as customer_count,
-        AVG(CAST(rt.base_risk_score AS NUMERIC)) as avg_risk_score,
-        SUM(CAST(rt.next12m_expected_loss AS NUMERIC)) as total_exposure,
-        AVG(CAST(rt.next12m_claim_prob AS NUMERIC)) as avg_claim_prob,
-        COUNT(DISTINCT s.scenario_id) as scenarios_applied
-      FROM customers c
-      JOIN risk_twins rt ON c.customer_id = rt.customer_id
-      LEFT JOIN scenarios s ON c.customer_id = s.customer_id
-      GROUP BY 
-        CASE 
-          WHEN c.customer_id % 20 < 5 THEN 'new_customers'
-          WHEN c.customer_id % 20 < 12 THEN 'established'
-          WHEN c.customer_id % 20 < 18 THEN 'mature'
-          ELSE 'legacy'
-        END
-      ORDER BY avg_risk_score ASC
-    `;
-
-    const result = await this.pool.query(vintageQuery);
-    return this.enrichCohortData(result.rows, 'policy_vintage');
+    const buckets = Object.entries(this.cohortDefinitions.policy_vintage);
+    const rows = await this.summarizeStoredCohorts('vintage_cohort', (features) => {
+      const months = this.featureStore.tenureYearsAt(features) * 12;
+      return (buckets.find(([, bucket]) => months < bucket.months) || buckets[buckets.length - 1])[0];
+    });
+    return this.enrichCohortData(rows, 'policy_vintage');
   }
 
-  // Claim behavior cohort analysis
+  // Claim behavior cohort analysis: claim counts from the feature store
   async analyzeClaimBehaviorCohorts() {
-    const claimQuery = `
-      SELECT 
-        CASE 
-          WHEN claim_count.total_claims = 0 THEN 'claim_free'
-          WHEN claim_count.total_claims = 1 THEN 'single_claim'
-          ELSE 'multiple_claims'
-        END as claim_cohort,
-        COUNT(*) as customer_count,
-        AVG(CAST(rt.base_risk_score AS NUMERIC)) as avg_risk_score,
-        SUM(CAST(rt.next12m_expected_loss AS NUMERIC)) as total_exposure,
-        AVG(CAST(rt.next12m_claim_prob AS NUMERIC)) as avg_claim_prob,
-        COUNT(CASE WHEN s.scenario_id IS NOT NULL THEN 1 END) as scenarios_applied,
-        AVG(claim_count.total_claims) as avg_claims_per_customer
-      FROM (
-        SELECT 
-          c.customer_id,
-          COUNT(cl.claim_id) as total_claims
-        FROM customers c
-        LEFT JOIN claims cl ON c.customer_id = cl.customer_id
-        GROUP BY c.customer_id
-      ) claim_count
-      JOIN customers c ON claim_count.customer_id = c.customer_id
-      JOIN risk_twins rt ON c.customer_id = rt.customer_id
-      LEFT JOIN scenarios s ON c.customer_id = s.customer_id
-      GROUP BY 
-        CASE 
-          WHEN claim_count.total_claims = 0 THEN 'claim_free'
-          WHEN claim_count.total_claims = 1 THEN 'single_claim'
-          ELSE 'multiple_claims'
-        END
-      ORDER BY avg_risk_score ASC
-    `;
+    const rows = await this.summarizeStoredCohorts('claim_cohort', (features) => {
+      if (features.claim_count_total === 0) return 'claim_free';
+      return features.claim_count_total === 1 ? 'single_claim' : 'multiple_claims';
+    }, (features) => ({ claims: features.claim_count_total }));
+
+    return this.enrichCohortData(rows.map(({ claims, ...row }) => ({
+      ...row,
+      avg_claims_per_customer: parseFloat((claims / row.customer_count).toFixed(2))
+    })), 'claim_behavior');
+  }
+
+  // Group each twinned customer's latest feature store row by cohortOf(features), with the same
+  // columns as the SQL cohorts. extra(features) returns further per-customer sums. The store is
+  // filled on the first read if no refresh has run yet.
+  async summarizeStoredCohorts(cohortColumn, cohortOf, extra = () => ({})) {
+    let [portfolio, scenarios] = await Promise.all([
+      this.featureStore.getPortfolioFeatures(),
+      this.pool.query('SELECT customer_id, COUNT(*)::int AS scenario_count FROM scenarios GROUP BY customer_id')
+    ]);
+    if (portfolio.length === 0) {
+      await this.featureStore.refresh();
+      portfolio = await this.featureStore.getPortfolioFeatures();
+    }
+    const scenarioCounts = new Map(scenarios.rows.map(row => [row.customer_id, row.scenario_count]));
+
+    const cohorts = new Map();
+    portfolio.filter(features => features.base_risk_score !== null).forEach(features => {
+      const key = cohortOf(features);
+      if (!cohorts.has(key)) {
+        cohorts.set(key, { [cohortColumn]: key, customer_count: 0, risk_sum: 0, total_exposure: 0, prob_sum: 0, scenarios_applied: 0 });
+      }
+      const cohort = cohorts.get(key);
+      cohort.customer_count++;
+      cohort.risk_sum += features.base_risk_score || 0;
+      cohort.total_exposure += features.next12m_expected_loss || 0;
+      cohort.prob_sum += features.next12m_claim_prob || 0;
+      cohort.scenarios_applied += scenarioCounts.get(features.customer_id) || 0;
+      Object.entries(extra(features)).forEach(([name, value]) => {
+        cohort[name] = (cohort[name] || 0) + value;
+      });
+    });
 
-    const result = await this.pool.query(claimQuery);
-    return this.enrichCohortData(result.rows, 'claim_behavior');
+    return [...cohorts.values()]
+      .map(({ risk_sum, prob_sum, ...cohort }) => ({
+        ...cohort,
+        avg_risk_score: parseFloat((risk_sum / cohort.customer_count).toFixed(2)),
+        total_exposure: parseFloat(cohort.total_exposure.toFixed(2)),
+        avg_claim_prob: parseFloat((prob_sum / cohort.customer_count).toFixed(4))
+      }))
+      .sort((a, b) => a.avg_risk_score - b.avg_risk_score);
   }
 
   // Cohort trend analysis
@@ -0,0 +1,340 @@
+// Score Drift Monitor Service
+// Snapshots the risk score and claim probability distributions of the twins, measures population
+// stability (PSI) and KS distance against a reference snapshot overall and per state / risk segment,
+// and raises a score_drift alert when a threshold is crossed
+
+const ServiceError = require('../utils/service-error');
+const { withTransaction } = require('../utils/transaction');
+
+// Distributions are stored as fine fixed-width histograms (KS is exact at bin edges);
+// PSI is computed on the coarser bins, given as fine-bin boundaries
+const driftMetrics = {
+  risk_score: {
+    column: 'base_risk_score',
+    max: 100,
+    bins: 100,
+    psiBins: [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100]
+  },
+  claim_prob: {
+    column: 'next12m_claim_prob',
+    max: 1,
+    bins: 100,
+    psiBins: [0, 2, 5, 10, 15, 20, 30, 40, 50, 70, 100]
+  }
+};
+
+class DriftMonitorService {
+  constructor(pool, alertService, { psiThreshold = 0.25, ksThreshold = 0.1, minGroupSize = 30 } = {}) {
+    this.pool = pool;
+    this.alertService = alertService;
+    this.psiThreshold = psiThreshold;
+    this.ksThreshold = ksThreshold;
+    this.minGroupSize = minGroupSize; // Smaller state / segment groups are reported but never alert
+    this.schemaReady = null;
+
+    this.dimensions = { state: 'state', segment: 'risk_segment' };
+  }
+
+  async ensureSchema() {
+    if (!this.schemaReady) {
+      this.schemaReady = this.pool.query(`
+        CREATE TABLE IF NOT EXISTS score_distribution_snapshots (
+          snapshot_id SERIAL PRIMARY KEY,
+          taken_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          source TEXT NOT NULL,
+          taken_by TEXT,
+          customer_count INTEGER NOT NULL,
+          distributions JSONB NOT NULL,
+          is_reference BOOLEAN NOT NULL DEFAULT FALSE,
+          reference_snapshot_id INTEGER REFERENCES score_distribution_snapshots(snapshot_id),
+          drift JSONB,
+          max_psi NUMERIC,
+          max_ks NUMERIC,
+          breach_count INTEGER NOT NULL DEFAULT 0,
+          alert_id INTEGER
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_score_distribution_reference ON score_distribution_snapshots (is_reference) WHERE is_reference;
+        CREATE INDEX IF NOT EXISTS idx_score_distribution_taken ON score_distribution_snapshots (taken_at DESC);
+      `).catch(error => {
+        this.schemaReady = null;
+        throw error;
+      });
+    }
+    return this.schemaReady;
+  }
+
+  // Histograms of the current twins: overall and per state / risk segment
+  async captureDistributions() {
+    const result = await this.pool.query(`
+      SELECT c.state, COALESCE(c.risk_segment, 'unknown') AS risk_segment,
+             rt.base_risk_score::float AS base_risk_score, rt.next12m_claim_prob::float AS next12m_claim_prob
+      FROM risk_twins rt
+      JOIN customers c ON c.customer_id = rt.customer_id
+    `);
+
+    const distributions = { overall: this.emptyGroup() };
+    Object.keys(this.dimensions).forEach(dimension => { distributions[dimension] = {}; });
+
+    result.rows.forEach(row => {
+      const groups = [distributions.overall];
+      Object.keys(this.dimensions).forEach(dimension => {
+        const key = row[this.dimensions[dimension]] || 'unknown';
+        if (!distributions[dimension][key]) distributions[dimension][key] = this.emptyGroup();
+        groups.push(distributions[dimension][key]);
+      });
+      groups.forEach(group => this.addToGroup(group, row));
+    });
+
+    return { customer_count: result.rows.length, distributions };
+  }
+
+  emptyGroup() {
+    const group = { count: 0 };
+    Object.keys(driftMetrics).forEach(metric => {
+      group[metric] = { counts: new Array(driftMetrics[metric].bins).fill(0), sum: 0 };
+    });
+    return group;
+  }
+
+  addToGroup(group, row) {
+    group.count++;
+    Object.keys(driftMetrics).forEach(metric => {
+      const { column, max, bins } = driftMetrics[metric];
+      const value = Math.max(0, Math.min(max, row[column] || 0));
+      group[metric].counts[Math.min(bins - 1, Math.floor(value / max * bins))]++;
+      group[metric].sum += value;
+    });
+  }
+
+  // Population stability index on the coarse bins (empty bins floored at 0.01%)
+  psi(referenceCounts, currentCounts, psiBins) {
+    const referenceTotal = referenceCounts.reduce((sum, count) => sum + count, 0);
+    const currentTotal = currentCounts.reduce((sum, count) => sum + count, 0);
+    let total = 0;
+
+    for (let b = 0; b < psiBins.length - 1; b++) {
+      const sumRange = (counts) => counts.slice(psiBins[b], psiBins[b + 1]).reduce((sum, count) => sum + count, 0);
+      const expected = Math.max(sumRange(referenceCounts) / referenceTotal, 0.0001);
+      const actual = Math.max(sumRange(currentCounts) / currentTotal, 0.0001);
+      total += (actual - expected) * Math.log(actual / expected);
+    }
+    return total;
+  }
+
+  // Largest gap between the two cumulative distributions
+  ks(referenceCounts, currentCounts) {
+    const referenceTotal = referenceCounts.reduce((sum, count) => sum + count, 0);
+    const currentTotal = currentCounts.reduce((sum, count) => sum + count, 0);
+    let referenceCdf = 0;
+    let currentCdf = 0;
+    let distance = 0;
+
+    for (let b = 0; b < referenceCounts.length; b++) {
+      referenceCdf += referenceCounts[b] / referenceTotal;
+      currentCdf += currentCounts[b] / currentTotal;
+      distance = Math.max(distance, Math.abs(currentCdf - referenceCdf));
+    }
+    return distance;
+  }
+
+  compareGroup(dimension, key, reference, current) {
+    const comparison = {
+      dimension,
+      group: key,
+      count_reference: reference ? reference.count : 0,
+      count_current: current ? current.count : 0,
+      metrics: {},
+      breached: false,
+      evaluated: Boolean(reference && current && reference.count >= this.minGroupSize && current.count >= this.minGroupSize)
+    };
+    if (!reference || !current || reference.count === 0 || current.count === 0) return comparison;
+
+    Object.keys(driftMetrics).forEach(metric => {
+      const psi = this.psi(reference[metric].counts, current[metric].counts, driftMetrics[metric].psiBins);
+      const ks = this.ks(reference[metric].counts, current[metric].counts);
+      const breached = comparison.evaluated && (psi >= this.psiThreshold || ks >= this.ksThreshold);
+
+      comparison.metrics[metric] = {
+        psi: parseFloat(psi.toFixed(4)),
+        ks: parseFloat(ks.toFixed(4)),
+        mean_reference: parseFloat((reference[metric].sum / reference.count).toFixed(4)),
+        mean_current: parseFloat((current[metric].sum / current.count).toFixed(4)),
+        breached
+      };
+      if (breached) comparison.breached = true;
+    });
+
+    return comparison;
+  }
+
+  // Overall and per-group comparison of two snapshots' distributions
+  compareDistributions(reference, current) {
+    const groups = [this.compareGroup('overall', 'all', reference.overall, current.overall)];
+    Object.keys(this.dimensions).forEach(dimension => {
+      const keys = [...new Set([...Object.keys(reference[dimension] || {}), ...Object.keys(current[dimension] || {})])].sort();
+      keys.forEach(key => {
+        groups.push(this.compareGroup(dimension, key, (reference[dimension] || {})[key], (current[dimension] || {})[key]));
+      });
+    });
+    return groups;
+  }
+
+  // Take a snapshot and compare it with the reference (the first snapshot becomes the reference).
+  // Any breach raises one score_drift alert listing the drifted groups.
+  async runSnapshot({ source = 'manual', takenBy = null } = {}) {
+    await this.ensureSchema();
+
+    const { customer_count: customerCount, distributions } = await this.captureDistributions();
+
+    const { snapshot, reference, breaches } = await withTransaction(this.pool, async (client) => {
+      // The table lock queues concurrent snapshots so only the first one becomes the reference
+      await client.query('LOCK TABLE score_distribution_snapshots IN SHARE ROW EXCLUSIVE MODE');
+      const referenceResult = await client.query('SELECT * FROM score_distribution_snapshots WHERE is_reference');
+      const reference = referenceResult.rows[0] || null;
+
+      const groups = reference ? this.compareDistributions(reference.distributions, distributions) : [];
+      const values = (field) => groups
+        .filter(group => group.evaluated)
+        .flatMap(group => Object.values(group.metrics).map(metric => metric[field]));
+      const maxOf = (field) => (values(field).length > 0 ? Math.max(...values(field)) : null);
+      const breaches = groups.filter(group => group.breached);
+
+      const inserted = await client.query(`
+        INSERT INTO score_distribution_snapshots (source, taken_by, customer_count, distributions, is_reference,
+                                                  reference_snapshot_id, drift, max_psi, max_ks, breach_count)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING snapshot_id, taken_at
+      `, [
+        source,
+        takenBy,
+        customerCount,
+        JSON.stringify(distributions),
+        !reference,
+        reference ? reference.snapshot_id : null,
+        reference ? JSON.stringify(groups) : null,
+        maxOf('psi'),
+        maxOf('ks'),
+        breaches.length
+      ]);
+      return { snapshot: inserted.rows[0], reference, breaches };
+    });
+
+    let alert = null;
+    if (breaches.length > 0) {
+      alert = await this.raiseDriftAlert(snapshot.snapshot_id, reference.snapshot_id, breaches);
+      await this.pool.query('UPDATE score_distribution_snapshots SET alert_id = $2 WHERE snapshot_id = $1', [snapshot.snapshot_id, alert.alert_id]);
+    }
+
+    return {
+      snapshot_id: snapshot.snapshot_id,
+      taken_at: snapshot.taken_at,
+      source,
+      customer_count: customerCount,
+      is_reference: !reference,
+      reference_snapshot_id: reference ? reference.snapshot_id : null,
+      thresholds: { psi: this.psiThreshold, ks: this.ksThreshold, min_group_size: this.minGroupSize },
+      breach_count: breaches.length,
+      breaches,
+      alert_id: alert ? alert.alert_id : null
+    };
+  }
+
+  async raiseDriftAlert(snapshotId, referenceSnapshotId, breaches) {
+    const overall = breaches.find(group => group.dimension === 'overall');
+    const listed = breaches.slice(0, 5).map(group => {
+      const metrics = Object.keys(group.metrics).filter(metric => group.metrics[metric].breached)
+        .map(metric => `${metric} PSI ${group.metrics[metric].psi} / KS ${group.metrics[metric].ks}`);
+      return `${group.dimension === 'overall' ? 'overall' : `${group.dimension} ${group.group}`} (${metrics.join(', ')})`;
+    });
+
+    return this.alertService.raiseAlert({
+      alertType: 'score_drift',
+      severity: overall ? 'high' : 'medium',
+      title: overall ? 'Portfolio Score Drift Detected' : `Score Drift in ${breaches.length} Segment${breaches.length === 1 ? '' : 's'}`,
+      description: `Snapshot #${snapshotId} drifted from reference #${referenceSnapshotId}: ${listed.join('; ')}` +
+        (breaches.length > listed.length ? `; and ${breaches.length - listed.length} more` : ''),
+      details: {
+        snapshot_id: snapshotId,
+        reference_snapshot_id: referenceSnapshotId,
+        drifted_groups: breaches.map(group => ({ dimension: group.dimension, group: group.group, metrics: group.metrics }))
+      },
+      recommendedActions: [
+        'Review recent factor table, model and scenario changes',
+        'Compare the drifted groups with the previous snapshot',
+        'Re-baseline the reference snapshot if the shift is expected'
+      ]
+    });
+  }
+
+  // Scheduled runs take a snapshot once the latest scheduled one is older than intervalMs
+  async runIfDue(intervalMs) {
+    await this.ensureSchema();
+
+    const latest = await this.pool.query(`
+      SELECT taken_at FROM score_distribution_snapshots
+      WHERE source = 'scheduled'
+      ORDER BY taken_at DESC
+      LIMIT 1
+    `);
+    if (latest.rows[0] && Date.now() - new Date(latest.rows[0].taken_at).getTime() < intervalMs) {
+      return null;
+    }
+    return this.runSnapshot({ source: 'scheduled' });
+  }
+
+  // Drift history without the raw histograms, newest first
+  async listSnapshots({ limit = 30 } = {}) {
+    await this.ensureSchema();
+
+    const result = await this.pool.query(`
+      SELECT snapshot_id, taken_at, source, taken_by, customer_count, is_reference, reference_snapshot_id,
+             max_psi::float AS max_psi, max_ks::float AS max_ks, breach_count, alert_id,
+             (SELECT jsonb_agg(g) FROM jsonb_array_elements(drift) g WHERE g->>'dimension' = 'overall') AS overall
+      FROM score_distribution_snapshots
+      ORDER BY snapshot_id DESC
+      LIMIT $1
+    `, [limit]);
+
+    return result.rows.map(({ overall, ...row }) => ({
+      ...row,
+      overall: overall && overall[0] ? overall[0].metrics : null
+    }));
+  }
+
+  // One snapshot with its per-group drift (and histograms when includeDistributions)
+  async getSnapshot(snapshotId, { includeDistributions = false } = {}) {
+    await this.ensureSchema();
+
+    const result = await this.pool.query('SELECT * FROM score_distribution_snapshots WHERE snapshot_id = $1', [snapshotId]);
+    const snapshot = result.rows[0];
+    if (!snapshot) {
+      throw new ServiceError('Drift snapshot not found', 404, 'DRIFT_SNAPSHOT_NOT_FOUND');
+    }
+
+    if (!includeDistributions) delete snapshot.distributions;
+    return snapshot;
+  }
+
+  // Make a snapshot the reference for future comparisons (e.g. after an expected shift)
+  async setReference(snapshotId) {
+    await this.ensureSchema();
+
+    return withTransaction(this.pool, async (client) => {
+      await client.query('LOCK TABLE score_distribution_snapshots IN SHARE ROW EXCLUSIVE MODE');
+      const result = await client.query('SELECT snapshot_id FROM score_distribution_snapshots WHERE snapshot_id = $1', [snapshotId]);
+      if (!result.rows[0]) {
+        throw new ServiceError('Drift snapshot not found', 404, 'DRIFT_SNAPSHOT_NOT_FOUND');
+      }
+
+      await client.query('UPDATE score_distribution_snapshots SET is_reference = FALSE WHERE is_reference');
+      const updated = await client.query(`
+        UPDATE score_distribution_snapshots SET is_reference = TRUE
+        WHERE snapshot_id = $1
+        RETURNING snapshot_id, taken_at, customer_count, is_reference
+      `, [snapshotId]);
+      return updated.rows[0];
+    });
+  }
+}
+
+module.exports = DriftMonitorService;
@@ -0,0 +1,58 @@
+// Drift Scheduler
+// Background worker that takes a score distribution snapshot whenever the last scheduled one is older than intervalMs
+
+class DriftScheduler {
+  constructor(driftMonitorService, logger, { intervalMs = 24 * 60 * 60 * 1000, checkIntervalMs = 60 * 60 * 1000 } = {}) {
+    this.driftMonitorService = driftMonitorService;
+    this.logger = logger;
+    this.intervalMs = intervalMs;
+    // Checked more often than snapshots are taken, so restarts do not push the next snapshot back
+    this.checkIntervalMs = Math.min(checkIntervalMs, intervalMs);
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.runIfDue().catch(error => {
+        this.logger.error('Drift monitor run failed', { error: error.message });
+      });
+    }, this.checkIntervalMs);
+
+    // Never keep the process alive just for the scheduler
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async runIfDue() {
+    if (this.running) {
+      return { skipped: true };
+    }
+
+    this.running = true;
+    try {
+      const result = await this.driftMonitorService.runIfDue(this.intervalMs);
+      if (result) {
+        this.logger[result.breach_count > 0 ? 'warn' : 'info']('Score distribution snapshot taken', {
+          snapshotId: result.snapshot_id,
+          referenceSnapshotId: result.reference_snapshot_id,
+          breaches: result.breach_count,
+          alertId: result.alert_id
+        });
+      }
+      return result;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = DriftScheduler;
@@ -0,0 +1,251 @@
+// External Factor Providers
+// Adapters that supply the ML service's external factors (weather, economic, traffic, market).
+//
+// Provider interface: { name, async getFactors(category, state, context) }
+//   context: { at: Date, random: SeededRandom, factorTable }
+//   Returns the fields it knows for the category (others are left to later providers) or null.
+// An HTTP-backed provider only needs to implement the same method to join the chain.
+
+const fs = require('fs');
+const path = require('path');
+const { neutral: neutralStateFactors } = require('./risk-factor-defaults');
+
+// Local datasets looked up in the data directory as <file>.json or <file>.csv
+const defaultDatasets = [
+  { category: 'weather', file: 'severe_weather_outlook', fields: ['severe_weather_probability'] },
+  { category: 'economic', file: 'unemployment', fields: ['unemployment_rate'] },
+  { category: 'economic', file: 'inflation', fields: ['inflation_rate'] },
+  { category: 'economic', file: 'gas_prices', fields: ['gas_prices'] },
+  { category: 'traffic', file: 'traffic', fields: ['accident_rate_increase', 'construction_zones'] },
+  { category: 'market', file: 'market', fields: ['claims_frequency_trend', 'competitor_pricing_pressure', 'regulatory_changes'] }
+];
+
+// Rows without a state (or with US / ALL) apply to every state without its own row
+const nationalStateCodes = ['', 'US', 'ALL'];
+
+// Reads a dated series from a local CSV or JSON file. Each row has an optional
+// `state`, an optional `date` (YYYY-MM-DD) and one column per field; the latest
+// row on or before the calculation date wins. The parsed file is cached and
+// re-read when its modification time changes (checked at most once per cacheTtlMs).
+class FileSeriesProvider {
+  constructor({ dataDir, category, file, fields, cacheTtlMs = 60000 }) {
+    this.dataDir = dataDir;
+    this.category = category;
+    this.file = file;
+    this.fields = fields;
+    this.cacheTtlMs = cacheTtlMs;
+    this.name = `file:${file}`;
+    this.cache = null;
+  }
+
+  async getFactors(category, state, { at }) {
+    if (category !== this.category) return null;
+
+    const series = await this.load();
+    if (!series) return null;
+
+    const row = this.findRow(series[state], at) || this.findRow(series.national, at);
+    if (!row) return null;
+
+    const factors = {};
+    this.fields.forEach(field => {
+      if (row[field] !== undefined) factors[field] = row[field];
+    });
+    return Object.keys(factors).length > 0 ? factors : null;
+  }
+
+  // Latest row dated on or before `at` (undated rows always apply)
+  findRow(rows, at) {
+    if (!rows) return null;
+    const day = at.toISOString().split('T')[0];
+    const eligible = rows.filter(row => !row.date || row.date <= day);
+    return eligible.length > 0 ? eligible[eligible.length - 1] : null;
+  }
+
+  // Parsed series grouped by state, or null when no file is present
+  async load() {
+    const now = Date.now();
+    if (this.cache && now - this.cache.checkedAt < this.cacheTtlMs) {
+      return this.cache.series;
+    }
+
+    const filePath = await this.resolvePath();
+    const mtimeMs = filePath ? (await fs.promises.stat(filePath)).mtimeMs : null;
+
+    if (!this.cache || this.cache.filePath !== filePath || this.cache.mtimeMs !== mtimeMs) {
+      const series = filePath ? this.groupByState(await this.readRows(filePath)) : null;
+      this.cache = { filePath, mtimeMs, series, checkedAt: now };
+    } else {
+      this.cache.checkedAt = now;
+    }
+
+    return this.cache.series;
+  }
+
+  async resolvePath() {
+    for (const extension of ['.json', '.csv']) {
+      const candidate = path.join(this.dataDir, this.file + extension);
+      try {
+        await fs.promises.access(candidate, fs.constants.R_OK);
+        return candidate;
+      } catch (error) {
+        // Try the next extension
+      }
+    }
+    return null;
+  }
+
+  async readRows(filePath) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+
+    if (filePath.endsWith('.json')) {
+      const rows = JSON.parse(content);
+      if (!Array.isArray(rows)) {
+        throw new Error(`${path.basename(filePath)} must contain an array of rows`);
+      }
+      return rows.map(row => this.normalizeRow(row));
+    }
+
+    return this.parseCsv(content).map(row => this.normalizeRow(row));
+  }
+
+  // Plain comma-separated values with a header row (no embedded commas)
+  parseCsv(content) {
+    const lines = content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    if (lines.length === 0) return [];
+
+    const header = lines[0].split(',').map(column => column.trim().replace(/^"|"$/g, ''));
+    return lines.slice(1).map(line => {
+      const values = line.split(',').map(value => value.trim().replace(/^"|"$/g, ''));
+      const row = {};
+      header.forEach((column, index) => {
+        row[column] = values[index];
+      });
+      return row;
+    });
+  }
+
+  normalizeRow(row) {
+    const normalized = {
+      state: row.state ? String(row.state).trim().toUpperCase() : '',
+      date: row.date ? String(row.date).trim() : null
+    };
+
+    this.fields.forEach(field => {
+      const value = this.parseValue(row[field]);
+      if (value !== undefined) normalized[field] = value;
+    });
+
+    return normalized;
+  }
+
+  parseValue(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    if (typeof value === 'boolean' || typeof value === 'number') return value;
+
+    const text = String(value).trim().toLowerCase();
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+
+    const number = parseFloat(text);
+    return isNaN(number) ? undefined : number;
+  }
+
+  groupByState(rows) {
+    const series = {};
+    rows.forEach(row => {
+      const key = nationalStateCodes.includes(row.state) ? 'national' : row.state;
+      (series[key] = series[key] || []).push(row);
+    });
+
+    // Undated rows first, then chronological, so the last eligible row is the latest
+    Object.values(series).forEach(stateRows => stateRows.sort((a, b) => (a.date || '').localeCompare(b.date || '')));
+    return series;
+  }
+}
+
+// State unemployment from the active risk factor table
+class FactorTableProvider {
+  constructor(riskFactorService) {
+    this.riskFactorService = riskFactorService;
+    this.name = 'factor_table';
+  }
+
+  async getFactors(category, state, { factorTable }) {
+    if (category !== 'economic' || !factorTable) return null;
+    return { unemployment_rate: this.riskFactorService.getUnemploymentRate(factorTable, state) };
+  }
+}
+
+// Fixed values per category, e.g. neutral defaults
+class StaticFactorProvider {
+  constructor(name, factorsByCategory) {
+    this.name = name;
+    this.factorsByCategory = factorsByCategory;
+  }
+
+  async getFactors(category) {
+    return this.factorsByCategory[category] || null;
+  }
+}
+
+// The original random mocks, for anything no data source supplies. Every category
+// always makes the same draws so the seed reproduces the same values whatever
+// the providers ahead of it supplied.
+class SimulatedFactorProvider {
+  constructor() {
+    this.name = 'simulated';
+  }
+
+  async getFactors(category, state, { random }) {
+    switch (category) {
+      case 'weather':
+        return {
+          severe_weather_probability: random.next() * 0.3 // 0-30% chance
+        };
+      case 'economic':
+        return {
+          inflation_rate: 0.041, // Mock 4.1%
+          gas_prices: 3.45 + (random.next() * 0.5 - 0.25) // $3.20-$3.70
+        };
+      case 'traffic':
+        return {
+          accident_rate_increase: random.next() * 0.1, // 0-10% increase
+          construction_zones: Math.floor(random.next() * 5) // 0-5 zones
+        };
+      case 'market':
+        return {
+          claims_frequency_trend: (random.next() - 0.5) * 0.2, // -10% to +10%
+          competitor_pricing_pressure: random.next() * 0.15,
+          regulatory_changes: random.next() > 0.9 // 10% chance of reg changes
+        };
+      default:
+        return null;
+    }
+  }
+}
+
+// Default chain: local files, then the factor table, then the simulation
+// (neutral unemployment when there is no factor table)
+function createDefaultProviders({ dataDir = null, cacheTtlMs = 60000, riskFactorService = null } = {}) {
+  const providers = dataDir
+    ? defaultDatasets.map(dataset => new FileSeriesProvider({ dataDir, cacheTtlMs, ...dataset }))
+    : [];
+
+  if (riskFactorService) providers.push(new FactorTableProvider(riskFactorService));
+  providers.push(new SimulatedFactorProvider());
+  providers.push(new StaticFactorProvider('neutral_defaults', {
+    economic: { unemployment_rate: neutralStateFactors.unemployment_rate }
+  }));
+
+  return providers;
+}
+
+module.exports = {
+  defaultDatasets,
+  FileSeriesProvider,
+  FactorTableProvider,
+  StaticFactorProvider,
+  SimulatedFactorProvider,
+  createDefaultProviders
+};
@@ -0,0 +1,56 @@
+// External Factor Service
+// Merges external factors from a chain of providers: for each field the first provider that supplies it wins
+
+class ExternalFactorService {
+  constructor(providers, logger = console) {
+    this.providers = providers;
+    this.logger = logger;
+
+    // Fields each category is expected to provide
+    this.categoryFields = {
+      weather: ['severe_weather_probability'],
+      economic: ['unemployment_rate', 'inflation_rate', 'gas_prices'],
+      traffic: ['accident_rate_increase', 'construction_zones'],
+      market: ['claims_frequency_trend', 'competitor_pricing_pressure', 'regulatory_changes']
+    };
+  }
+
+  // Every provider is asked for every category, in order, so seeded providers
+  // make the same draws regardless of what earlier providers supplied.
+  // A failing provider is logged and skipped. Returns the merged factors and,
+  // per "category.field", the name of the provider that supplied it.
+  async getFactors(state, context) {
+    const factors = {};
+    const sources = {};
+
+    for (const category of Object.keys(this.categoryFields)) {
+      factors[category] = {};
+
+      for (const provider of this.providers) {
+        let supplied = null;
+        try {
+          supplied = await provider.getFactors(category, state, context);
+        } catch (error) {
+          this.logger.warn('External factor provider failed', { provider: provider.name, category, error: error.message });
+        }
+        if (!supplied) continue;
+
+        this.categoryFields[category].forEach(field => {
+          if (factors[category][field] === undefined && supplied[field] !== undefined) {
+            factors[category][field] = supplied[field];
+            sources[`${category}.${field}`] = provider.name;
+          }
+        });
+      }
+    }
+
+    return { factors, sources };
+  }
+
+  // Provider names in chain order, for status endpoints
+  describe() {
+    return this.providers.map(provider => provider.name);
+  }
+}
+
+module.exports = ExternalFactorService;
@@ -0,0 +1,255 @@
+// Feature Store Service
+// Materialises customer features (twin scores, claims, policies, exposure, tenure) as versioned rows
+// stamped with the time they became true, so training and backtests can read them as of a past date
+
+const crypto = require('crypto');
+const ServiceError = require('../utils/service-error');
+const { loadPortfolio } = require('./claim-features');
+const { buildRiskFeatures } = require('./risk-features');
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+class FeatureStoreService {
+  constructor(pool, { clock = () => new Date() } = {}) {
+    this.pool = pool;
+    this.clock = clock;
+    this.schemaReady = null;
+
+    // Customer attributes stored with every row, read back by point-in-time training
+    this.attributeColumns = ['state', 'zip', 'vehicle_use', 'home_type', 'risk_segment'];
+    this.driftingFeatures = ['tenure_years', 'age_years', 'years_since_last_claim'];
+  }
+
+  // One row per change: a customer's features at as_of stay valid until its next row
+  async ensureSchema() {
+    if (!this.schemaReady) {
+      this.schemaReady = this.pool.query(`
+        CREATE TABLE IF NOT EXISTS customer_feature_snapshots (
+          snapshot_id SERIAL PRIMARY KEY,
+          customer_id INTEGER NOT NULL REFERENCES customers(customer_id),
+          as_of TIMESTAMPTZ NOT NULL,
+          source TEXT NOT NULL,
+          state TEXT,
+          zip TEXT,
+          vehicle_use TEXT,
+          home_type TEXT,
+          risk_segment TEXT,
+          base_risk_score NUMERIC,
+          next12m_claim_prob NUMERIC,
+          next12m_expected_loss NUMERIC,
+          claim_count_3y INTEGER NOT NULL,
+          claim_count_total INTEGER NOT NULL,
+          claim_amount_3y NUMERIC NOT NULL,
+          last_claim_date DATE,
+          policy_count INTEGER NOT NULL,
+          lines_held TEXT[] NOT NULL,
+          coverage_limit_total NUMERIC NOT NULL,
+          tenure_years NUMERIC NOT NULL,
+          age_years NUMERIC,
+          features JSONB NOT NULL,
+          feature_hash TEXT NOT NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          UNIQUE (customer_id, as_of)
+        );
+        CREATE INDEX IF NOT EXISTS idx_customer_feature_snapshots_as_of ON customer_feature_snapshots (as_of);
+      `).catch(error => {
+        this.schemaReady = null;
+        throw error;
+      });
+    }
+    return this.schemaReady;
+  }
+
+  // Customers (with their twin values), policies and claims, optionally for some customers only
+  async loadEntries(customerIds = null, db = this.pool) {
+    return loadPortfolio(db, { customerIds });
+  }
+
+  // Store columns for one customer at `at`. twin and attributes default to the customer row;
+  // the backfill passes the values recorded in the twin history instead.
+  buildRow(entry, at, { twin = entry.customer, attributes = entry.customer } = {}) {
+    const features = buildRiskFeatures({ ...entry, customer: { ...entry.customer, ...attributes } }, at);
+    const priorClaims = entry.claims.filter(claim => claim.lossDate < at);
+    const lastClaim = priorClaims.length > 0 ? new Date(Math.max(...priorClaims.map(claim => claim.lossDate.getTime()))) : null;
+    const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+    const row = {
+      customer_id: entry.customer.customer_id,
+      ...Object.fromEntries(this.attributeColumns.map(column => [column, attributes[column] || null])),
+      base_risk_score: toNumber(twin.base_risk_score),
+      next12m_claim_prob: toNumber(twin.next12m_claim_prob),
+      next12m_expected_loss: toNumber(twin.next12m_expected_loss),
+      claim_count_3y: features.prior_claims_3y,
+      claim_count_total: priorClaims.length,
+      claim_amount_3y: priorClaims
+        .filter(claim => at - claim.lossDate <= 3 * YEAR_MS)
+        .reduce((sum, claim) => sum + claim.amount, 0),
+      last_claim_date: lastClaim ? lastClaim.toISOString().split('T')[0] : null,
+      policy_count: features.policy_count,
+      lines_held: features.lines_held,
+      coverage_limit_total: features.coverage_limit_total,
+      tenure_years: features.tenure_years,
+      age_years: features.age_years,
+      features
+    };
+
+    // Age, tenure and time since the last claim grow every day; they are left out of the hash
+    // so only real changes (scores, claims, policies, attributes) write a new row
+    const stable = (values) => Object.fromEntries(Object.entries(values).filter(([name]) => !this.driftingFeatures.includes(name)));
+    row.feature_hash = crypto.createHash('sha1').update(JSON.stringify({ ...stable(row), features: stable(features) })).digest('hex');
+    return row;
+  }
+
+  async insertRow(db, row, asOf, source) {
+    const columns = Object.keys(row);
+    const values = columns.map(column => (column === 'features' ? JSON.stringify(row[column]) : row[column]));
+    const result = await db.query(`
+      INSERT INTO customer_feature_snapshots (${columns.join(', ')}, as_of, source)
+      VALUES (${columns.map((column, i) => `$${i + 1}`).join(', ')}, $${columns.length + 1}, $${columns.length + 2})
+      ON CONFLICT (customer_id, as_of) DO UPDATE
+      SET ${columns.filter(column => column !== 'customer_id').map(column => `${column} = EXCLUDED.${column}`).join(', ')},
+          source = EXCLUDED.source
+      RETURNING snapshot_id
+    `, [...values, asOf, source]);
+    return result.rows[0].snapshot_id;
+  }
+
+  // Write a new row for each customer whose features changed since their latest one.
+  // Called inside the twin-change transaction (db) for scenarios, reverts and ML updates,
+  // and for the whole portfolio (or some customers) after claims or policies are loaded.
+  async refresh({ customerIds = null, source = 'refresh', db = this.pool } = {}) {
+    await this.ensureSchema();
+
+    const asOf = this.clock();
+    const entries = await this.loadEntries(customerIds, db);
+    const latest = await db.query(`
+      SELECT DISTINCT ON (customer_id) customer_id, feature_hash
+      FROM customer_feature_snapshots
+      WHERE $1::int[] IS NULL OR customer_id = ANY($1)
+      ORDER BY customer_id, as_of DESC
+    `, [customerIds]);
+    const latestHash = new Map(latest.rows.map(row => [row.customer_id, row.feature_hash]));
+
+    let written = 0;
+    for (const entry of entries) {
+      const row = this.buildRow(entry, asOf);
+      if (latestHash.get(row.customer_id) === row.feature_hash) continue;
+      await this.insertRow(db, row, asOf, source);
+      written++;
+    }
+
+    return {
+      as_of: asOf.toISOString(),
+      source,
+      customers: entries.length,
+      written,
+      unchanged: entries.length - written
+    };
+  }
+
+  async refreshCustomer(customerId, { source, db = this.pool } = {}) {
+    return this.refresh({ customerIds: [parseInt(customerId)], source, db });
+  }
+
+  // Seed the store from the twin history: one row per recorded version, as of its recorded_at,
+  // with the scores and customer attributes recorded then. Versions already in the store are skipped.
+  async backfillFromHistory(historyService) {
+    await Promise.all([this.ensureSchema(), historyService.ensureSchema()]);
+
+    const versions = await this.pool.query(`
+      SELECT h.customer_id, h.recorded_at, h.base_risk_score, h.next12m_claim_prob, h.next12m_expected_loss,
+             h.customer_snapshot, h.change_source
+      FROM risk_twin_history h
+      WHERE NOT EXISTS (
+        SELECT 1 FROM customer_feature_snapshots f
+        WHERE f.customer_id = h.customer_id AND f.as_of = h.recorded_at
+      )
+      ORDER BY h.customer_id, h.recorded_at
+    `);
+    if (versions.rows.length === 0) return { versions: 0, written: 0 };
+
+    const entries = new Map((await this.loadEntries()).map(entry => [entry.customer.customer_id, entry]));
+    let written = 0;
+    for (const version of versions.rows) {
+      const entry = entries.get(version.customer_id);
+      if (!entry) continue;
+
+      const at = new Date(version.recorded_at);
+      const snapshot = version.customer_snapshot || {};
+      const attributes = {
+        ...entry.customer,
+        ...Object.fromEntries(this.attributeColumns.filter(column => snapshot[column] !== undefined).map(column => [column, snapshot[column]]))
+      };
+      const row = this.buildRow(entry, at, { twin: version, attributes });
+      await this.insertRow(this.pool, row, at, 'backfill');
+      written++;
+    }
+
+    return { versions: versions.rows.length, written };
+  }
+
+  // Latest row at or before asOf (now by default)
+  async getCustomerFeatures(customerId, { asOf = null } = {}) {
+    await this.ensureSchema();
+
+    const result = await this.pool.query(`
+      SELECT * FROM customer_feature_snapshots
+      WHERE customer_id = $1 AND ($2::timestamptz IS NULL OR as_of <= $2)
+      ORDER BY as_of DESC
+      LIMIT 1
+    `, [customerId, asOf]);
+    if (!result.rows[0]) {
+      throw new ServiceError(
+        asOf ? 'No stored features for this customer at that time' : 'No stored features for this customer',
+        404,
+        'FEATURES_NOT_FOUND'
+      );
+    }
+    return this.formatRow(result.rows[0]);
+  }
+
+  // Every customer's features as of asOf (customers without a row by then are absent)
+  async getPortfolioFeatures({ asOf = null, customerIds = null } = {}, db = this.pool) {
+    await this.ensureSchema();
+
+    const result = await db.query(`
+      SELECT DISTINCT ON (customer_id) *
+      FROM customer_feature_snapshots
+      WHERE ($1::timestamptz IS NULL OR as_of <= $1)
+        AND ($2::int[] IS NULL OR customer_id = ANY($2))
+      ORDER BY customer_id, as_of DESC
+    `, [asOf, customerIds]);
+    return result.rows.map(row => this.formatRow(row));
+  }
+
+  async getFeatureHistory(customerId, { limit = 50 } = {}) {
+    await this.ensureSchema();
+
+    const result = await this.pool.query(`
+      SELECT * FROM customer_feature_snapshots
+      WHERE customer_id = $1
+      ORDER BY as_of DESC
+      LIMIT $2
+    `, [customerId, limit]);
+    return result.rows.map(row => this.formatRow(row));
+  }
+
+  // Tenure of a stored row at `at`: tenure is left out of the hash, so a customer's latest row
+  // can be months old; the years since its as_of are added back while a policy has started
+  tenureYearsAt(features, at = this.clock()) {
+    if (!features.tenure_years && !features.policy_count) return 0;
+    return features.tenure_years + Math.max(0, (at - new Date(features.as_of)) / YEAR_MS);
+  }
+
+  // Convert numeric columns for API consumers
+  formatRow(row) {
+    const numeric = ['base_risk_score', 'next12m_claim_prob', 'next12m_expected_loss', 'claim_amount_3y', 'coverage_limit_total', 'tenure_years', 'age_years'];
+    const formatted = { ...row };
+    numeric.forEach(column => {
+      formatted[column] = row[column] === null ? null : parseFloat(row[column]);
+    });
+    return formatted;
+  }
+}
+
+module.exports = FeatureStoreService;
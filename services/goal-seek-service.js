@@ -0,0 +1,202 @@
+// Goal-Seek Service
+// Searches the scenario impact model for the smallest change that reaches a target
+
+const { vehicleUseFactors, deductibleBounds } = require('./scenario-factors');
+
+class GoalSeekService {
+  constructor(scenarioService) {
+    this.scenarioService = scenarioService;
+
+    this.metrics = ['risk_score', 'claim_prob', 'expected_loss'];
+    this.levers = ['deductible', 'state', 'vehicle_use'];
+
+    // Deductible suggestions are rounded to this increment (and capped by scenario
+    // validation and the product's deductible limits)
+    this.deductibleStep = 50;
+    this.maxDeductibleIncrease = 10000;
+
+    this.maxAlternatives = 5;
+  }
+
+  // Find the least disruptive change_json that brings the metric to or below target.
+  // Ranking: fewest state / vehicle-use changes, then smallest deductible increase,
+  // then the result closest to the target.
+  async seek(customerId, { metric, target, levers = this.levers, maxDeductibleIncrease = this.maxDeductibleIncrease, allowedStates = null }) {
+    await this.scenarioService.ensureSchema();
+
+    const twin = await this.scenarioService.getTwin(customerId);
+    const policies = await this.scenarioService.getPolicies(customerId);
+    const factorTable = await this.scenarioService.getFactorTable();
+    const current = this.scenarioService.calculateScenarioImpact(twin, { no_change: true }, policies).before;
+
+    const result = {
+      customer_id: parseInt(customerId),
+      customer_name: twin.name,
+      metric,
+      target,
+      levers,
+      current,
+      factor_version_id: factorTable.version_id
+    };
+
+    if (current[metric] <= target) {
+      return {
+        ...result,
+        reachable: true,
+        already_met: true,
+        change_json: { no_change: true },
+        alternatives: [],
+        generated_at: new Date().toISOString()
+      };
+    }
+
+    // Deductible changes apply to the first held line (see ScenarioService.resolveDeductibleChange)
+    const primaryPolicy = policies[0];
+    const currentDeductible = primaryPolicy && primaryPolicy.deductible !== null ? primaryPolicy.deductible : null;
+    let maxSteps = 0;
+    if (levers.includes('deductible') && currentDeductible !== null) {
+      const productMax = deductibleBounds[primaryPolicy.line] ? deductibleBounds[primaryPolicy.line].max : Infinity;
+      const maxIncrease = Math.min(maxDeductibleIncrease, this.maxDeductibleIncrease, productMax - currentDeductible);
+      maxSteps = Math.max(0, Math.floor(maxIncrease / this.deductibleStep));
+    }
+
+    const stateOptions = levers.includes('state')
+      ? Object.keys(factorTable.states)
+        .filter(state => state !== twin.state && (!allowedStates || allowedStates.includes(state)))
+      : [];
+    const useOptions = levers.includes('vehicle_use')
+      ? Object.keys(vehicleUseFactors).filter(use => use !== twin.vehicle_use)
+      : [];
+
+    const solutions = [];
+    let closest = null;
+    let evaluated = 0;
+
+    for (const state of [null, ...stateOptions]) {
+      for (const vehicleUse of [null, ...useOptions]) {
+        const discrete = {};
+        if (state) discrete.move_state = state;
+        if (vehicleUse) discrete.change_vehicle_use = vehicleUse;
+
+        const outcome = this.solveDeductible(twin, policies, factorTable, discrete, metric, target, maxSteps, primaryPolicy && primaryPolicy.line);
+        evaluated += outcome.evaluated;
+
+        if (outcome.reached) {
+          solutions.push(outcome);
+        } else if (outcome.impact && (!closest || outcome.impact.after[metric] < closest.impact.after[metric])) {
+          closest = outcome;
+        }
+      }
+    }
+
+    if (solutions.length === 0) {
+      return {
+        ...result,
+        reachable: false,
+        already_met: false,
+        change_json: null,
+        closest: closest ? this.formatCandidate(closest) : null,
+        alternatives: [],
+        evaluated,
+        generated_at: new Date().toISOString()
+      };
+    }
+
+    solutions.sort((a, b) =>
+      a.discreteChanges - b.discreteChanges ||
+      a.deductibleIncrease - b.deductibleIncrease ||
+      b.impact.after[metric] - a.impact.after[metric]
+    );
+
+    const [best, ...others] = solutions.map(solution => this.formatCandidate(solution));
+
+    return {
+      ...result,
+      reachable: true,
+      already_met: false,
+      name: `Goal-seek: ${metric} ≤ ${target}`,
+      ...best,
+      alternatives: others.slice(0, this.maxAlternatives),
+      evaluated,
+      generated_at: new Date().toISOString()
+    };
+  }
+
+  // Smallest deductible increase that reaches the target on top of the discrete changes.
+  // The impact model is monotonic in the deductible, so a binary search over steps suffices.
+  solveDeductible(twin, policies, factorTable, discrete, metric, target, maxSteps, deductibleLine) {
+    const discreteChanges = Object.keys(discrete).length;
+    let evaluated = 0;
+
+    const evaluate = (steps) => {
+      evaluated++;
+      const changeJson = this.buildChangeJson(discrete, steps * this.deductibleStep, deductibleLine);
+      return { changeJson, impact: this.scenarioService.calculateScenarioImpact(twin, changeJson, policies, factorTable) };
+    };
+    const outcome = (steps, evaluation, reached) => ({
+      ...evaluation,
+      reached,
+      discreteChanges,
+      deductibleIncrease: steps * this.deductibleStep,
+      evaluated
+    });
+
+    // No change at all is handled by the caller
+    if (discreteChanges > 0) {
+      const withoutDeductible = evaluate(0);
+      if (withoutDeductible.impact.after[metric] <= target) {
+        return outcome(0, withoutDeductible, true);
+      }
+      if (maxSteps === 0) {
+        return outcome(0, withoutDeductible, false);
+      }
+    } else if (maxSteps === 0) {
+      return { reached: false, impact: null, evaluated };
+    }
+
+    const atMax = evaluate(maxSteps);
+    if (atMax.impact.after[metric] > target) {
+      return outcome(maxSteps, atMax, false);
+    }
+
+    let low = 0;
+    let high = maxSteps;
+    let best = atMax;
+    while (high - low > 1) {
+      const mid = Math.floor((low + high) / 2);
+      const evaluation = evaluate(mid);
+      if (evaluation.impact.after[metric] <= target) {
+        high = mid;
+        best = evaluation;
+      } else {
+        low = mid;
+      }
+    }
+
+    return outcome(high, best, true);
+  }
+
+  // change_json for the candidate. Deductible amounts are resolved by the server from the
+  // policy record, so only the increase and its line are included (see formatCandidate).
+  buildChangeJson(discrete, increase, deductibleLine) {
+    const changeJson = { ...discrete };
+    if (increase > 0) {
+      changeJson.increase_deductible = increase;
+      changeJson.deductible_line = deductibleLine;
+    }
+    return changeJson;
+  }
+
+  formatCandidate({ changeJson, impact }) {
+    return {
+      change_json: changeJson,
+      after: impact.after,
+      delta: impact.delta,
+      premium_impact: impact.premium_impact,
+      factors: impact.factors,
+      deductible: impact.deductible
+    };
+  }
+}
+
+module.exports = GoalSeekService;
@@ -21,6 +21,7 @@
  * 
  * KEY FEATURES:
  * • Multi-factor risk assessment (5 external factor categories)
+ * • Customer features (age band, tenure, lines and limits, claims history)
  * • Dynamic risk adjustment algorithms
  * • Confidence interval calculations
  * • Model versioning for auditability
@@ -55,45 +56,158 @@
 // Machine Learning Risk Scoring Service
 // Simulates real-time ML-powered risk assessment with external factors
 
+const { neutral: neutralStateFactors } = require('./risk-factor-defaults');
+const SeededRandom = require('../utils/random');
+const ServiceError = require('../utils/service-error');
+const { withTransaction } = require('../utils/transaction');
+const ExternalFactorService = require('./external-factor-service');
+const { createDefaultProviders } = require('./external-factor-providers');
+const riskModelDefaults = require('./risk-model-defaults');
+const { ageBands, maxTenureYears, buildRiskFeatures } = require('./risk-features');
+const { loadPortfolio } = require('./claim-features');
+const { vehicleUseFactors, homeTypeFactors, getZipFactor } = require('./scenario-factors');
+
 class MLRiskService {
-  constructor(pool = null) {
-    this.modelVersion = "v2.1.3";
-    this.lastUpdated = new Date();
+  // seed: fixed seed for every draw (tests, demos); clock: () => Date used for seasonal and temporal factors;
+  // externalFactorService: provider chain for external factors (defaults to factor table + simulation);
+  // claimModelService: scores the twin's claim probability with the registered claim_probability champion;
+  // modelRegistry: champion models used for scoring and challengers scored in shadow;
+  // explanationService: stores the factor attribution and reason codes of every score
+  constructor(pool = null, riskFactorService = null, historyService = null,
+              { seed = null, clock = () => new Date(), externalFactorService = null, claimModelService = null, modelRegistry = null,
+                explanationService = null, logger = console } = {}) {
+    // Built-in risk score weights, used when no registry is configured (and by sensitivity analysis)
+    this.builtinModel = { model_version_id: null, version: riskModelDefaults.version, parameters: riskModelDefaults.parameters };
+    this.modelVersion = this.builtinModel.version;
+    this.clock = clock;
+    this.seed = seed;
+    this.lastUpdated = this.clock();
     this.pool = pool; // Add pool parameter to support database queries
+    this.riskFactorService = riskFactorService; // State unemployment and disaster tables
+    this.historyService = historyService; // Twin versions written by committed recalculations
+    this.externalFactorService = externalFactorService || new ExternalFactorService(createDefaultProviders({ riskFactorService }));
+    this.claimModelService = claimModelService;
+    this.modelRegistry = modelRegistry;
+    this.explanationService = explanationService;
+    this.logger = logger;
+    this.smoothingFactor = this.builtinModel.parameters.smoothing_factor; // Share of the raw factor adjustment applied to the score
+    this.premiumPerRiskPoint = 45; // Same premium sensitivity as the scenario engine
+    this.schemaReady = null;
+  }
+
+  // Snapshot of every input used by a recalculation, so it can be replayed exactly
+  async ensureSchema() {
+    if (!this.schemaReady) {
+      this.schemaReady = this.pool.query(`
+        CREATE TABLE IF NOT EXISTS ml_risk_calculations (
+          calculation_id SERIAL PRIMARY KEY,
+          customer_id INTEGER NOT NULL REFERENCES customers(customer_id),
+          model_version TEXT NOT NULL,
+          factor_version_id INTEGER,
+          seed BIGINT NOT NULL,
+          calculated_at TIMESTAMPTZ NOT NULL,
+          snapshot JSONB NOT NULL,
+          result JSONB NOT NULL,
+          created_at TIMESTAMP DEFAULT NOW()
+        );
+        CREATE INDEX IF NOT EXISTS idx_ml_risk_calculations_customer ON ml_risk_calculations (customer_id, calculated_at DESC);
+        ALTER TABLE ml_risk_calculations ADD COLUMN IF NOT EXISTS mode TEXT NOT NULL DEFAULT 'commit';
+      `).catch(error => {
+        this.schemaReady = null;
+        throw error;
+      });
+    }
+    return this.schemaReady;
+  }
+
+  // Seed for the next run: the injected one, the caller's, or a fresh one (always reported back)
+  resolveSeed(seed = null) {
+    if (seed !== null && seed !== undefined) return SeededRandom.normalizeSeed(seed);
+    if (this.seed !== null && this.seed !== undefined) return SeededRandom.normalizeSeed(this.seed);
+    return SeededRandom.generateSeed();
+  }
+
+  // Separate streams for the simulated factors and the model's own draws, so a
+  // replay can rerun the model from the seed without re-simulating the factors
+  createRandomStreams(seed) {
+    return {
+      factors: new SeededRandom(seed),
+      model: new SeededRandom((seed ^ 0x5bd1e995) >>> 0)
+    };
+  }
+
+  // Active state factor table, or null when running without a database
+  async getFactorTable() {
+    return this.riskFactorService ? this.riskFactorService.getActiveTable() : null;
+  }
+
+  // External factors from the provider chain (local datasets, factor table, simulation)
+  async getExternalFactors(customerState, factorTable = null, random = new SeededRandom(this.resolveSeed()), at = this.clock()) {
+    const { factors } = await this.collectExternalFactors(customerState, factorTable, random, at);
+    return factors;
   }
 
-  // Simulate external data sources
-  async getExternalFactors(customerState) {
-    // Mock external data that would affect risk
+  // External factors plus the provider that supplied each "category.field"
+  async collectExternalFactors(customerState, factorTable, random, at) {
+    const { factors, sources } = await this.externalFactorService.getFactors(customerState, { at, random, factorTable });
+
     const externalFactors = {
       weather: {
-        severe_weather_probability: Math.random() * 0.3, // 0-30% chance
-        hurricane_season: this.isHurricaneSeason(),
-        winter_storm_risk: this.isWinterStormSeason()
+        ...factors.weather,
+        hurricane_season: this.isHurricaneSeason(at),
+        winter_storm_risk: this.isWinterStormSeason(at)
+      },
+      economic: factors.economic,
+      traffic: {
+        ...factors.traffic,
+        road_conditions: this.getSeasonalRoadConditions(at)
+      },
+      market: factors.market
+    };
+
+    return { factors: externalFactors, sources };
+  }
+
+  // Expected-value external factors (midpoints of the simulated ranges) for
+  // analyses that need a stable reference point instead of a random draw
+  getReferenceFactors(customerState, factorTable = null, at = this.clock()) {
+    return {
+      weather: {
+        severe_weather_probability: 0.15,
+        hurricane_season: this.isHurricaneSeason(at),
+        winter_storm_risk: this.isWinterStormSeason(at)
       },
       economic: {
-        unemployment_rate: this.getStateUnemployment(customerState),
-        inflation_rate: 0.041, // Mock 4.1%
-        gas_prices: 3.45 + (Math.random() * 0.5 - 0.25) // $3.20-$3.70
+        unemployment_rate: this.getStateUnemployment(customerState, factorTable),
+        inflation_rate: 0.041,
+        gas_prices: 3.45
       },
       traffic: {
-        accident_rate_increase: Math.random() * 0.1, // 0-10% increase
-        construction_zones: Math.floor(Math.random() * 5), // 0-5 zones
-        road_conditions: this.getSeasonalRoadConditions()
+        accident_rate_increase: 0.05,
+        construction_zones: 2,
+        road_conditions: this.getSeasonalRoadConditions(at)
       },
       market: {
-        claims_frequency_trend: (Math.random() - 0.5) * 0.2, // -10% to +10%
-        competitor_pricing_pressure: Math.random() * 0.15,
-        regulatory_changes: Math.random() > 0.9 // 10% chance of reg changes
+        claims_frequency_trend: 0,
+        competitor_pricing_pressure: 0.075,
+        regulatory_changes: false
       }
     };
-
-    return externalFactors;
   }
 
   // Enhanced risk calculation with ML simulation
-  async calculateRiskScore(customerData, externalFactors) {
-    const baseScore = parseFloat(customerData.base_risk_score);
+  // temporalAdjustment defaults to the current time of day / day of week;
+  // random and calculatedAt pin the confidence draw and timestamp for replays;
+  // model ({ version, parameters }) selects the weights, the built-in ones by default.
+  // customerData.features (from loadRiskFeatures) adds the customer adjustment; without it
+  // (sensitivity runs, snapshots stored before customer features) only external factors count.
+  // customerData.ml_adjustment is the ML points a committed run already put into base_risk_score;
+  // they are taken off first so every run adjusts the same pre-ML score instead of the last result.
+  async calculateRiskScore(customerData, externalFactors, temporalAdjustment = this.getTemporalAdjustment(),
+                           { random = new SeededRandom(this.resolveSeed()), calculatedAt = this.clock(), model = this.builtinModel } = {}) {
+    const originalScore = parseFloat(customerData.base_risk_score);
+    const baseScore = parseFloat((originalScore - (parseFloat(customerData.ml_adjustment) || 0)).toFixed(2));
+    const weights = model.parameters;
     
     // Simulate ML model adjustments based on external factors
     let adjustments = {
@@ -105,114 +219,500 @@ class MLRiskService {
     };
 
     // Weather risk adjustments
-    if (externalFactors.weather.severe_weather_probability > 0.2) {
-      adjustments.weather += externalFactors.weather.severe_weather_probability * 10;
+    if (externalFactors.weather.severe_weather_probability > weights.severe_weather_threshold) {
+      adjustments.weather += externalFactors.weather.severe_weather_probability * weights.severe_weather_weight;
     }
     
-    if (externalFactors.weather.hurricane_season && ['FL', 'TX', 'LA', 'NC', 'SC'].includes(customerData.state)) {
-      adjustments.weather += 3;
+    if (externalFactors.weather.hurricane_season && riskModelDefaults.hurricaneStates.includes(customerData.state)) {
+      adjustments.weather += weights.hurricane_adjustment;
     }
 
     // Economic factors
-    if (externalFactors.economic.unemployment_rate > 0.06) {
-      adjustments.economic += (externalFactors.economic.unemployment_rate - 0.06) * 50;
+    if (externalFactors.economic.unemployment_rate > weights.unemployment_threshold) {
+      adjustments.economic += (externalFactors.economic.unemployment_rate - weights.unemployment_threshold) * weights.unemployment_weight;
     }
 
     // Traffic and road conditions
-    adjustments.traffic += externalFactors.traffic.accident_rate_increase * 20;
+    adjustments.traffic += externalFactors.traffic.accident_rate_increase * weights.traffic_weight;
 
     // Market conditions
-    adjustments.market += externalFactors.market.claims_frequency_trend * 15;
+    adjustments.market += externalFactors.market.claims_frequency_trend * weights.market_weight;
 
     // Temporal factors (time of day, day of week, season)
-    adjustments.temporal += this.getTemporalAdjustment();
+    adjustments.temporal += temporalAdjustment * weights.temporal_weight;
+
+    // Customer demographics, policies and claims history
+    let customerFactors = null;
+    if (customerData.features) {
+      customerFactors = this.calculateCustomerAdjustments(customerData.features, weights);
+      adjustments.customer = Object.values(customerFactors).reduce((sum, adj) => sum + adj, 0);
+    }
 
     // Calculate total adjustment
     const totalAdjustment = Object.values(adjustments).reduce((sum, adj) => sum + adj, 0);
     
     // Apply ML smoothing and bounds
-    const smoothedAdjustment = totalAdjustment * 0.7; // ML smoothing factor
+    const smoothedAdjustment = totalAdjustment * weights.smoothing_factor;
     const newScore = Math.max(0, Math.min(100, baseScore + smoothedAdjustment));
 
     return {
-      original_score: baseScore,
+      original_score: originalScore,
+      pre_adjustment_score: baseScore,
       new_score: parseFloat(newScore.toFixed(1)),
       adjustment: parseFloat(smoothedAdjustment.toFixed(1)),
       factors: adjustments,
-      confidence: 0.85 + Math.random() * 0.1, // 85-95% confidence
-      model_version: this.modelVersion,
-      calculated_at: new Date().toISOString()
+      confidence: 0.85 + random.next() * 0.1, // 85-95% confidence
+      model_version: model.version,
+      calculated_at: calculatedAt.toISOString(),
+      ...(customerFactors ? { features: customerData.features, customer_factors: customerFactors } : {})
+    };
+  }
+
+  // Score points per customer factor, keyed like the explanation factors. Versions registered
+  // before customer features existed have no weights for them, so those score 0.
+  calculateCustomerAdjustments(features, weights) {
+    const weight = (name) => weights[name] || 0;
+    const lines = features.lines_held || [];
+    const band = ageBands.find(entry => entry.band === features.age_band);
+
+    let claimsHistory = features.prior_claims_3y * weight('prior_claim_weight') +
+      Math.log10(1 + features.prior_claim_severity / 1000) * weight('claim_severity_weight');
+    if (features.years_since_last_claim !== null) {
+      // Recency fades out over the 3-year claim lookback
+      claimsHistory += Math.max(0, 1 - features.years_since_last_claim / 3) * weight('recent_claim_weight');
+    }
+
+    const coverage = (features.coverage_limit_total > 0 ? Math.log10(features.coverage_limit_total / 100000) * weight('coverage_weight') : 0) -
+      Math.max(0, lines.length - 1) * weight('multi_line_credit');
+
+    return {
+      age: band ? (band.relativity - 1) * weight('age_weight') : 0,
+      tenure: -Math.min(features.tenure_years, maxTenureYears) * weight('tenure_credit'),
+      claims_history: claimsHistory,
+      coverage,
+      vehicle_use: lines.includes('auto') ? ((vehicleUseFactors[features.vehicle_use] || 1) - 1) * weight('vehicle_use_weight') : 0,
+      home_type: lines.includes('home') || lines.includes('renters')
+        ? ((homeTypeFactors[features.home_type] || 1) - 1) * weight('home_type_weight')
+        : 0,
+      zip: (getZipFactor(features.zip) - 1) * weight('zip_weight'),
+      risk_segment: features.risk_segment === 'elevated' ? weight('elevated_segment_adjustment') : 0
     };
   }
 
-  // Main method called by server for risk recalculation
-  async recalculateRisk(customerId) {
+  // Customer feature vector as of `at` from the customer row and its policies and claims
+  async loadRiskFeatures(db, customer, at) {
+    const [entry] = await loadPortfolio(db, { customers: [customer] });
+    return buildRiskFeatures(entry, at);
+  }
+
+  // Main method called by server for risk recalculation.
+  // preview leaves the twin, its history and the timeline alone; commit writes the new values to
+  // risk_twins, a twin history version and the timeline in one transaction.
+  // Both modes store the calculation (so replayCalculation can reproduce it), the model scores and
+  // the explanation, tagged with the mode; history and comparison reports skip previews by default.
+  async recalculateRisk(customerId, { seed = null, mode = 'preview', changedBy = null } = {}) {
     try {
-      // Get customer data first
-      const customerResult = await this.pool.query('SELECT * FROM get_twin($1);', [customerId]);
-      const customer = customerResult.rows[0];
-      
-      if (!customer) {
-        throw new Error('Customer not found');
-      }
-      
-      // Get external factors for risk calculation
-      const externalFactors = await this.getExternalFactors(customer.state);
-      
-      // Calculate new risk score using ML
-      const riskCalculation = await this.calculateRiskScore(customer, externalFactors);
-      
-      return {
-        customer_id: parseInt(customerId),
-        risk_calculation: riskCalculation,
-        external_factors: externalFactors,
-        updated_at: new Date().toISOString()
-      };
-      
+      await this.ensureSchema();
+
+      const { explanationInput, ...result } = mode === 'preview'
+        ? await this.runRecalculation(this.pool, customerId, { seed, mode })
+        : await withTransaction(this.pool, (client) =>
+          this.runRecalculation(client, customerId, { seed, mode, changedBy })
+        );
+
+      // Explained after the commit: the twin lock is not held while the portfolio surrogate
+      // loads, and a failed explanation never rolls back the score
+      return { ...result, explanation: await this.explainCalculation(result.calculation_id, mode, explanationInput) };
     } catch (error) {
       console.error('ML Risk Recalculation Error:', error);
       throw error;
     }
   }
 
+  async runRecalculation(db, customerId, { seed, mode, changedBy = null }) {
+    const commit = mode === 'commit';
+
+    // Get customer data first (locking the twin when the result will be written back)
+    const customerResult = await db.query(`
+      SELECT c.customer_id, c.state, c.zip, c.dob, c.vehicle_use, c.home_type, c.risk_segment,
+             rt.base_risk_score, rt.next12m_claim_prob, rt.next12m_expected_loss
+      FROM customers c
+      JOIN risk_twins rt ON c.customer_id = rt.customer_id
+      WHERE c.customer_id = $1
+      ${commit ? 'FOR UPDATE OF rt' : ''}
+    `, [customerId]);
+    const customer = customerResult.rows[0];
+
+    if (!customer) {
+      throw new ServiceError('Customer not found', 404, 'TWIN_NOT_FOUND');
+    }
+
+    const runSeed = this.resolveSeed(seed);
+    const random = this.createRandomStreams(runSeed);
+    const calculatedAt = this.clock();
+    customer.features = await this.loadRiskFeatures(db, customer, calculatedAt);
+    customer.ml_adjustment = this.historyService ? await this.historyService.getMlAdjustment(customer.customer_id, db) : 0;
+
+    // Get external factors for risk calculation
+    const factorTable = await this.getFactorTable();
+    const { factors: externalFactors, sources: factorSources } =
+      await this.collectExternalFactors(customer.state, factorTable, random.factors, calculatedAt);
+    const temporalAdjustment = this.getTemporalAdjustment(calculatedAt);
+
+    // Champion models score the twin; challengers are scored below in shadow
+    const activeModels = this.modelRegistry ? await this.modelRegistry.getActiveModels(db) : null;
+    const riskModel = activeModels && activeModels.risk_score.champion ? activeModels.risk_score.champion : this.builtinModel;
+    const claimChampion = activeModels ? activeModels.claim_probability.champion : null;
+
+    // Calculate new risk score using ML
+    const riskCalculation = await this.calculateRiskScore(customer, externalFactors, temporalAdjustment, {
+      random: random.model,
+      calculatedAt,
+      model: riskModel
+    });
+    riskCalculation.factor_version_id = factorTable ? factorTable.version_id : null;
+
+    const snapshot = {
+      customer: {
+        state: customer.state,
+        base_risk_score: customer.base_risk_score,
+        ml_adjustment: customer.ml_adjustment,
+        features: customer.features
+      },
+      external_factors: externalFactors,
+      external_factor_sources: factorSources,
+      temporal_adjustment: temporalAdjustment,
+      seed: runSeed,
+      calculated_at: riskCalculation.calculated_at,
+      risk_model: { model_version_id: riskModel.model_version_id, version: riskModel.version, parameters: riskModel.parameters }
+    };
+
+    // Only a promoted claim champion replaces the projected claim probability; a freshly
+    // trained model stays out of the twin until it is registered and promoted
+    const claimScore = this.claimModelService && claimChampion
+      ? await this.claimModelService.scoreCustomer(customer.customer_id, {
+        at: calculatedAt,
+        db,
+        modelId: claimChampion.artifact_id
+      })
+      : null;
+    if (claimScore) {
+      snapshot.claim_model = {
+        model_id: claimScore.model_id,
+        feature_names: claimScore.feature_names,
+        features: claimScore.features,
+        claim_prob: claimScore.claim_prob
+      };
+    }
+
+    const stored = await db.query(`
+      INSERT INTO ml_risk_calculations (customer_id, model_version, factor_version_id, seed, calculated_at, snapshot, result, mode)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING calculation_id
+    `, [
+      parseInt(customerId),
+      riskCalculation.model_version,
+      riskCalculation.factor_version_id,
+      runSeed,
+      riskCalculation.calculated_at,
+      JSON.stringify(snapshot),
+      JSON.stringify(riskCalculation),
+      mode
+    ]);
+    const calculationId = stored.rows[0].calculation_id;
+
+    const challengerScores = activeModels
+      ? await this.scoreModels(db, calculationId, customer, activeModels, {
+        riskModel,
+        riskCalculation,
+        claimChampion,
+        claimScore,
+        externalFactors,
+        temporalAdjustment,
+        seed: runSeed,
+        calculatedAt,
+        mode
+      })
+      : [];
+
+    const twin = this.projectTwin(customer, riskCalculation, claimScore);
+    const historyVersion = commit
+      ? await this.commitRecalculation(db, customer.customer_id, calculationId, riskCalculation, twin, changedBy)
+      : null;
+
+    return {
+      customer_id: parseInt(customerId),
+      calculation_id: calculationId,
+      mode,
+      committed: commit,
+      seed: runSeed,
+      risk_calculation: riskCalculation,
+      twin,
+      history_version_no: historyVersion ? historyVersion.version_no : null,
+      claim_model: claimScore ? { model_id: claimScore.model_id, claim_prob: claimScore.claim_prob } : null,
+      challenger_scores: challengerScores,
+      explanation: null,
+      external_factors: externalFactors,
+      external_factor_sources: factorSources,
+      updated_at: riskCalculation.calculated_at,
+      explanationInput: {
+        customerId: customer.customer_id,
+        riskCalculation,
+        riskModel,
+        externalFactors,
+        temporalAdjustment,
+        claimScore,
+        calculatedAt
+      }
+    };
+  }
+
+  // Explain and store a finished calculation; a failure is logged and the score is returned without one
+  async explainCalculation(calculationId, mode, input) {
+    if (!this.explanationService) return null;
+
+    try {
+      const explanation = await this.explanationService.explainRecalculation(this.pool, input);
+      const explanationId = await this.explanationService.saveExplanation(this.pool, input.customerId, calculationId, mode, explanation, input.calculatedAt);
+      return { explanation_id: explanationId, ...explanation };
+    } catch (error) {
+      this.logger.warn('Score explanation failed', { customerId: input.customerId, calculationId, error: error.message });
+      return null;
+    }
+  }
+
+  // Store the champion outputs and score every challenger on the same inputs (same factors, temporal
+  // adjustment and confidence draw for risk_score; same as-of date for claim_probability).
+  // A failing challenger is logged and skipped so it never blocks the champion's result.
+  async scoreModels(db, calculationId, customer, activeModels, context) {
+    const { riskModel, riskCalculation, claimChampion, claimScore, externalFactors, temporalAdjustment, seed, calculatedAt, mode } = context;
+    const scores = [];
+
+    if (riskModel.model_version_id) {
+      scores.push({
+        model_version_id: riskModel.model_version_id,
+        model_family: 'risk_score',
+        role: 'champion',
+        version: riskModel.version,
+        score: riskCalculation.new_score,
+        output: { new_score: riskCalculation.new_score, adjustment: riskCalculation.adjustment, factors: riskCalculation.factors }
+      });
+    }
+    if (claimChampion && claimScore) {
+      scores.push({
+        model_version_id: claimChampion.model_version_id,
+        model_family: 'claim_probability',
+        role: 'champion',
+        version: claimChampion.version,
+        score: claimScore.claim_prob,
+        output: { model_id: claimScore.model_id, claim_prob: claimScore.claim_prob }
+      });
+    }
+
+    for (const challenger of activeModels.risk_score.challengers) {
+      try {
+        const shadow = await this.calculateRiskScore(customer, externalFactors, temporalAdjustment, {
+          random: this.createRandomStreams(seed).model,
+          calculatedAt,
+          model: challenger
+        });
+        if (!Number.isFinite(shadow.new_score)) {
+          throw new Error(`non-numeric score ${shadow.new_score}`);
+        }
+        scores.push({
+          model_version_id: challenger.model_version_id,
+          model_family: 'risk_score',
+          role: 'challenger',
+          version: challenger.version,
+          score: shadow.new_score,
+          output: { new_score: shadow.new_score, adjustment: shadow.adjustment, factors: shadow.factors }
+        });
+      } catch (error) {
+        this.logger.warn('Shadow scoring failed', { modelFamily: 'risk_score', version: challenger.version, error: error.message });
+      }
+    }
+
+    const claimChallengers = this.claimModelService ? activeModels.claim_probability.challengers : [];
+    for (const challenger of claimChallengers) {
+      try {
+        const shadow = await this.claimModelService.scoreCustomer(customer.customer_id, { at: calculatedAt, db, modelId: challenger.artifact_id });
+        scores.push({
+          model_version_id: challenger.model_version_id,
+          model_family: 'claim_probability',
+          role: 'challenger',
+          version: challenger.version,
+          score: shadow.claim_prob,
+          output: { model_id: shadow.model_id, claim_prob: shadow.claim_prob }
+        });
+      } catch (error) {
+        this.logger.warn('Shadow scoring failed', { modelFamily: 'claim_probability', version: challenger.version, error: error.message });
+      }
+    }
+
+    await this.modelRegistry.recordScores(db, calculationId, customer.customer_id, scores, mode);
+
+    return scores
+      .filter(score => score.role === 'challenger')
+      .map(({ model_version_id, model_family, version, score }) => ({ model_version_id, model_family, version, score }));
+  }
+
+  // Expected loss moves in proportion to the score change. So does the claim probability,
+  // unless a trained claim model scored the customer (claimScore from ClaimModelService)
+  projectTwin(customer, riskCalculation, claimScore = null) {
+    const before = {
+      risk_score: parseFloat(customer.base_risk_score),
+      claim_prob: parseFloat(customer.next12m_claim_prob),
+      expected_loss: parseFloat(customer.next12m_expected_loss)
+    };
+    const ratio = before.risk_score > 0 ? riskCalculation.new_score / before.risk_score : 1;
+
+    return {
+      before,
+      after: {
+        risk_score: riskCalculation.new_score,
+        claim_prob: parseFloat(Math.max(0, Math.min(1, claimScore ? claimScore.claim_prob : before.claim_prob * ratio)).toFixed(4)),
+        expected_loss: parseFloat(Math.max(0, before.expected_loss * ratio).toFixed(2))
+      }
+    };
+  }
+
+  // Twin update, history version and timeline event for a committed recalculation
+  async commitRecalculation(client, customerId, calculationId, riskCalculation, twin, changedBy) {
+    await this.historyService.ensureBaseline(customerId, client);
+
+    await client.query(`
+      UPDATE risk_twins
+      SET base_risk_score = $1,
+          next12m_claim_prob = $2,
+          next12m_expected_loss = $3,
+          updated_at = NOW()
+      WHERE customer_id = $4
+    `, [twin.after.risk_score, twin.after.claim_prob, twin.after.expected_loss, customerId]);
+
+    const version = await this.historyService.recordVersion(customerId, {
+      source: 'ml_update',
+      changedBy,
+      notes: `ML recalculation #${calculationId} (model ${riskCalculation.model_version})`,
+      factorVersionId: riskCalculation.factor_version_id,
+      mlAdjustment: parseFloat((riskCalculation.new_score - riskCalculation.pre_adjustment_score).toFixed(2))
+    }, client);
+
+    // Create premium-focused timeline entry
+    const scoreChange = riskCalculation.new_score - riskCalculation.original_score;
+    const premiumImpact = scoreChange > 0
+      ? `+$${Math.round(scoreChange * this.premiumPerRiskPoint)}`
+      : `-$${Math.round(-scoreChange * this.premiumPerRiskPoint)}`;
+
+    await client.query(
+      'INSERT INTO timeline_events (customer_id, title, details, event_ts, tag) VALUES ($1, $2, $3, NOW(), $4)',
+      [
+        customerId,
+        '🤖 AI Risk Assessment Update',
+        `Risk Score: ${riskCalculation.original_score}→${riskCalculation.new_score} | Premium Impact: ${premiumImpact}/year | Confidence: ${(riskCalculation.confidence * 100).toFixed(1)}% | Factors: v${riskCalculation.factor_version_id} | Calc #${calculationId}`,
+        'ml_update'
+      ]
+    );
+
+    return version;
+  }
+
+  async getCalculation(calculationId) {
+    await this.ensureSchema();
+
+    const result = await this.pool.query('SELECT * FROM ml_risk_calculations WHERE calculation_id = $1', [calculationId]);
+    if (!result.rows[0]) {
+      throw new ServiceError('Risk calculation not found', 404, 'CALCULATION_NOT_FOUND');
+    }
+    return result.rows[0];
+  }
+
+  // Rerun a stored calculation from its snapshot: same factors, temporal adjustment, seed,
+  // timestamp and risk model weights, so the stored result must be reproduced exactly
+  async replayCalculation(calculationId) {
+    const calculation = await this.getCalculation(calculationId);
+    const { snapshot } = calculation;
+
+    const replayed = await this.calculateRiskScore(snapshot.customer, snapshot.external_factors, snapshot.temporal_adjustment, {
+      random: this.createRandomStreams(snapshot.seed).model,
+      calculatedAt: new Date(snapshot.calculated_at),
+      model: snapshot.risk_model || this.builtinModel
+    });
+    replayed.factor_version_id = calculation.factor_version_id;
+
+    const mismatches = this.compareCalculations(calculation.result, replayed);
+
+    // The claim model is rescored from the stored features with the stored artifact
+    let claimModel = null;
+    if (snapshot.claim_model && this.claimModelService) {
+      const claimProb = await this.claimModelService.predict(snapshot.claim_model.model_id, snapshot.claim_model.features);
+      claimModel = { model_id: snapshot.claim_model.model_id, original: snapshot.claim_model.claim_prob, replayed: claimProb };
+      if (claimProb !== snapshot.claim_model.claim_prob) {
+        mismatches.push({ field: 'claim_model.claim_prob', original: snapshot.claim_model.claim_prob, replayed: claimProb });
+      }
+    }
+
+    return {
+      calculation_id: calculation.calculation_id,
+      customer_id: calculation.customer_id,
+      seed: snapshot.seed,
+      snapshot,
+      original: calculation.result,
+      replayed,
+      claim_model: claimModel,
+      matches: mismatches.length === 0,
+      mismatches
+    };
+  }
+
+  // Fields whose values differ between a stored and a replayed calculation
+  compareCalculations(original, replayed) {
+    const fields = ['original_score', 'new_score', 'adjustment', 'confidence', 'model_version', 'calculated_at'];
+    const mismatches = fields
+      .filter(field => original[field] !== replayed[field])
+      .map(field => ({ field, original: original[field], replayed: replayed[field] }));
+
+    Object.keys(replayed.factors).forEach(factor => {
+      if (original.factors[factor] !== replayed.factors[factor]) {
+        mismatches.push({ field: `factors.${factor}`, original: original.factors[factor], replayed: replayed.factors[factor] });
+      }
+    });
+
+    return mismatches;
+  }
+
   // Get risk trend data
-  async getRiskTrend(customerId) {
-    return await this.analyzeRiskTrend(customerId, 30);
+  async getRiskTrend(customerId, { seed = null } = {}) {
+    return await this.analyzeRiskTrend(customerId, 30, { seed });
   }
 
   // Helper methods for realistic data simulation
-  isHurricaneSeason() {
-    const month = new Date().getMonth() + 1; // 1-12
+  isHurricaneSeason(at = this.clock()) {
+    const month = at.getMonth() + 1; // 1-12
     return month >= 6 && month <= 11; // June-November
   }
 
-  isWinterStormSeason() {
-    const month = new Date().getMonth() + 1;
+  isWinterStormSeason(at = this.clock()) {
+    const month = at.getMonth() + 1;
     return month >= 11 || month <= 3; // Nov-Mar
   }
 
-  getStateUnemployment(state) {
-    // Mock state unemployment rates
-    const stateRates = {
-      'CA': 0.047, 'TX': 0.037, 'FL': 0.041, 'NY': 0.045,
-      'PA': 0.039, 'IL': 0.043, 'OH': 0.042, 'GA': 0.034,
-      'NC': 0.038, 'MI': 0.044, 'NJ': 0.046, 'VA': 0.035,
-      'WA': 0.041, 'AZ': 0.036, 'MA': 0.040, 'TN': 0.033
-    };
-    return stateRates[state] || 0.040; // Default 4.0%
+  // State unemployment rate from the factor table (neutral 4.0% without one)
+  getStateUnemployment(state, factorTable = null) {
+    if (!factorTable) return neutralStateFactors.unemployment_rate;
+    return this.riskFactorService.getUnemploymentRate(factorTable, state);
   }
 
-  getSeasonalRoadConditions() {
-    const month = new Date().getMonth() + 1;
+  getSeasonalRoadConditions(at = this.clock()) {
+    const month = at.getMonth() + 1;
     if (month >= 12 || month <= 2) return 'poor'; // Winter
     if (month >= 3 && month <= 5) return 'fair';  // Spring
     if (month >= 6 && month <= 8) return 'good';  // Summer
     return 'fair'; // Fall
   }
 
-  getTemporalAdjustment() {
-    const hour = new Date().getHours();
-    const dayOfWeek = new Date().getDay();
+  getTemporalAdjustment(at = this.clock()) {
+    const hour = at.getHours();
+    const dayOfWeek = at.getDay();
     
     // Higher risk during rush hours and weekends
     let adjustment = 0;
@@ -233,23 +733,26 @@ class MLRiskService {
   }
 
   // Simulate risk trend analysis
-  async analyzeRiskTrend(customerId, days = 30) {
+  async analyzeRiskTrend(customerId, days = 30, { seed = null } = {}) {
+    const runSeed = this.resolveSeed(seed);
+    const random = new SeededRandom(runSeed);
+
     // Mock trend analysis
     const trendData = [];
-    const baseDate = new Date();
+    const baseDate = this.clock();
     
     for (let i = days; i >= 0; i--) {
       const date = new Date(baseDate);
       date.setDate(date.getDate() - i);
       
       // Simulate risk score fluctuation
-      const variation = (Math.random() - 0.5) * 4; // ±2 points variation
+      const variation = (random.next() - 0.5) * 4; // ±2 points variation
       const score = 75 + Math.sin(i * 0.2) * 5 + variation; // Base trend with noise
       
       trendData.push({
         date: date.toISOString().split('T')[0],
         risk_score: parseFloat(Math.max(0, Math.min(100, score)).toFixed(1)),
-        factors: ['weather', 'traffic', 'economic'][Math.floor(Math.random() * 3)]
+        factors: ['weather', 'traffic', 'economic'][Math.floor(random.next() * 3)]
       });
     }
     
@@ -259,7 +762,8 @@ class MLRiskService {
       data_points: trendData,
       trend_direction: trendData[trendData.length - 1].risk_score > trendData[0].risk_score ? 'increasing' : 'decreasing',
       volatility: this.calculateVolatility(trendData.map(d => d.risk_score)),
-      prediction_confidence: 0.78 + Math.random() * 0.15
+      prediction_confidence: 0.78 + random.next() * 0.15,
+      seed: runSeed
     };
   }
 
@@ -270,41 +774,39 @@ class MLRiskService {
   }
 
   // Simulate real-time market data
-  async getMarketInsights(customerState) {
+  async getMarketInsights(customerState, { seed = null } = {}) {
+    const factorTable = await this.getFactorTable();
+    const runSeed = this.resolveSeed(seed);
+    const random = new SeededRandom(runSeed);
     return {
       state: customerState,
       market_conditions: {
-        competitive_intensity: Math.random() * 10, // 0-10 scale
-        average_premium: 1200 + Math.random() * 800, // $1200-$2000
-        loss_ratio_trend: (Math.random() - 0.5) * 0.3, // ±15%
-        customer_acquisition_cost: 150 + Math.random() * 100,
-        retention_rate: 0.85 + Math.random() * 0.1
+        competitive_intensity: random.next() * 10, // 0-10 scale
+        average_premium: 1200 + random.next() * 800, // $1200-$2000
+        loss_ratio_trend: (random.next() - 0.5) * 0.3, // ±15%
+        customer_acquisition_cost: 150 + random.next() * 100,
+        retention_rate: 0.85 + random.next() * 0.1
       },
       risk_factors: {
-        natural_disasters: this.getNaturalDisasterRisk(customerState),
-        crime_rate: Math.random() * 50, // crimes per 1000
-        traffic_density: Math.random() * 100,
-        economic_stability: Math.random() * 10
+        natural_disasters: this.getNaturalDisasterRisk(customerState, factorTable),
+        crime_rate: random.next() * 50, // crimes per 1000
+        traffic_density: random.next() * 100,
+        economic_stability: random.next() * 10
       },
       recommendations: [
         "Consider dynamic pricing adjustments",
         "Monitor weather patterns closely",
         "Evaluate competitive positioning"
-      ]
+      ],
+      factor_version_id: factorTable ? factorTable.version_id : null,
+      seed: runSeed
     };
   }
 
-  getNaturalDisasterRisk(state) {
-    const risks = {
-      'FL': ['hurricane', 'flooding'],
-      'CA': ['earthquake', 'wildfire'],
-      'TX': ['hurricane', 'tornado', 'flooding'],
-      'OK': ['tornado'],
-      'LA': ['hurricane', 'flooding'],
-      'WA': ['earthquake'],
-      'NY': ['winter_storm', 'flooding']
-    };
-    return risks[state] || ['storm'];
+  // Natural disaster exposure from the factor table
+  getNaturalDisasterRisk(state, factorTable = null) {
+    if (!factorTable) return neutralStateFactors.natural_disasters;
+    return this.riskFactorService.getNaturalDisasters(factorTable, state);
   }
 }
 
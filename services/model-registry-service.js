@@ -0,0 +1,383 @@
+// Model Registry Service
+// Registered model versions with their metrics, one champion per model family, challengers scored in shadow
+// on every ML recalculation, and champion vs challenger comparison reports
+
+const ServiceError = require('../utils/service-error');
+const { withTransaction } = require('../utils/transaction');
+const riskModelDefaults = require('./risk-model-defaults');
+
+class ModelRegistryService {
+  constructor(pool, claimModelService = null, riskTiers = null) {
+    this.pool = pool;
+    this.claimModelService = claimModelService;
+    this.riskTiers = riskTiers; // Portfolio risk tiers, used for tier disagreement in comparisons
+    this.schemaReady = null;
+
+    // risk_score versions are weightings of the ML risk score (see risk-model-defaults);
+    // claim_probability versions point at a trained claim model artifact
+    this.families = {
+      risk_score: { label: 'ML risk score', defaultTolerance: 5 },
+      claim_probability: { label: 'Claim probability', defaultTolerance: 0.05 }
+    };
+
+    // action → statuses it may start from and the status it leads to
+    // (promoting retires the family's previous champion)
+    this.transitions = {
+      promote: { from: ['registered', 'challenger', 'retired'], to: 'champion' },
+      shadow: { from: ['registered', 'retired'], to: 'challenger' },
+      retire: { from: ['registered', 'challenger'], to: 'retired' }
+    };
+  }
+
+  // Create the registry tables and register the built-in risk score as the first champion
+  async ensureSchema() {
+    if (!this.schemaReady) {
+      this.schemaReady = this.pool.query(`
+        CREATE TABLE IF NOT EXISTS ml_model_versions (
+          model_version_id SERIAL PRIMARY KEY,
+          model_family TEXT NOT NULL,
+          version TEXT NOT NULL,
+          description TEXT,
+          parameters JSONB,
+          artifact_id TEXT,
+          metrics JSONB NOT NULL DEFAULT '{}'::jsonb,
+          status TEXT NOT NULL DEFAULT 'registered',
+          registered_by TEXT,
+          registered_at TIMESTAMP DEFAULT NOW(),
+          promoted_by TEXT,
+          promoted_at TIMESTAMP,
+          UNIQUE (model_family, version)
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_ml_model_versions_champion ON ml_model_versions (model_family) WHERE status = 'champion';
+        CREATE TABLE IF NOT EXISTS ml_model_scores (
+          score_id SERIAL PRIMARY KEY,
+          calculation_id INTEGER NOT NULL,
+          model_version_id INTEGER NOT NULL REFERENCES ml_model_versions(model_version_id),
+          customer_id INTEGER NOT NULL,
+          model_family TEXT NOT NULL,
+          role TEXT NOT NULL,
+          score NUMERIC NOT NULL,
+          output JSONB NOT NULL,
+          created_at TIMESTAMP DEFAULT NOW()
+        );
+        CREATE INDEX IF NOT EXISTS idx_ml_model_scores_calculation ON ml_model_scores (calculation_id);
+        CREATE INDEX IF NOT EXISTS idx_ml_model_scores_version ON ml_model_scores (model_version_id, created_at);
+        ALTER TABLE ml_model_scores ADD COLUMN IF NOT EXISTS mode TEXT NOT NULL DEFAULT 'commit';
+      `)
+        .then(() => this.seedBuiltinModel())
+        .catch(error => {
+          this.schemaReady = null;
+          throw error;
+        });
+    }
+    return this.schemaReady;
+  }
+
+  // The built-in weights become the first risk_score champion. A newer built-in version is only
+  // registered next to an existing champion, so switching to it stays an explicit promotion.
+  async seedBuiltinModel() {
+    await this.pool.query(`
+      INSERT INTO ml_model_versions (model_family, version, description, parameters, status, registered_by, promoted_by, promoted_at)
+      SELECT 'risk_score', $1, 'Built-in external factor and customer feature weighting', $2,
+             CASE WHEN has_champion THEN 'registered' ELSE 'champion' END, 'system',
+             CASE WHEN has_champion THEN NULL ELSE 'system' END,
+             CASE WHEN has_champion THEN NULL ELSE NOW() END
+      FROM (SELECT EXISTS (SELECT 1 FROM ml_model_versions WHERE model_family = 'risk_score' AND status = 'champion') AS has_champion) champion
+      ON CONFLICT (model_family, version) DO NOTHING
+    `, [riskModelDefaults.version, JSON.stringify(riskModelDefaults.parameters)]);
+  }
+
+  async listVersions({ family = null } = {}) {
+    await this.ensureSchema();
+
+    const result = await this.pool.query(`
+      SELECT v.*, COUNT(s.score_id)::int AS score_count
+      FROM ml_model_versions v
+      LEFT JOIN ml_model_scores s ON s.model_version_id = v.model_version_id
+      WHERE $1::text IS NULL OR v.model_family = $1
+      GROUP BY v.model_version_id
+      ORDER BY v.model_family, v.model_version_id DESC
+    `, [family]);
+    return result.rows;
+  }
+
+  async getVersion(modelVersionId, db = this.pool) {
+    await this.ensureSchema();
+
+    const result = await db.query('SELECT * FROM ml_model_versions WHERE model_version_id = $1', [modelVersionId]);
+    if (!result.rows[0]) {
+      throw new ServiceError('Model version not found', 404, 'MODEL_VERSION_NOT_FOUND');
+    }
+    return result.rows[0];
+  }
+
+  // Register a version as 'registered' (inactive) or 'challenger' (scored in shadow from now on).
+  // risk_score parameters are merged over the built-in weights; claim_probability versions take
+  // their holdout/train metrics from the artifact unless metrics are given.
+  async registerVersion({ family, version, description = null, parameters = null, artifactId = null, metrics = null,
+                          status = 'registered', registeredBy = null }) {
+    if (!this.families[family]) {
+      throw new ServiceError(`Unknown model family: ${family}`, 400, 'INVALID_MODEL_FAMILY');
+    }
+
+    let storedParameters = null;
+    let storedMetrics = metrics || {};
+
+    if (family === 'risk_score') {
+      const unknown = Object.keys(parameters || {}).filter(name => riskModelDefaults.parameters[name] === undefined);
+      if (unknown.length > 0) {
+        throw new ServiceError(`Unknown risk score parameters: ${unknown.join(', ')}`, 400, 'INVALID_MODEL_PARAMETERS');
+      }
+      storedParameters = { ...riskModelDefaults.parameters, ...(parameters || {}) };
+    } else {
+      if (!artifactId) {
+        throw new ServiceError('artifact_id is required for claim_probability models', 400, 'MISSING_ARTIFACT_ID');
+      }
+      if (!this.claimModelService) {
+        throw new ServiceError('Claim models are not available', 500, 'CLAIM_MODEL_UNAVAILABLE');
+      }
+      const artifact = await this.claimModelService.loadArtifact(artifactId);
+      if (!metrics) {
+        storedMetrics = { holdout: artifact.metrics.holdout, train: artifact.metrics.train };
+      }
+    }
+
+    await this.ensureSchema();
+
+    try {
+      const result = await this.pool.query(`
+        INSERT INTO ml_model_versions (model_family, version, description, parameters, artifact_id, metrics, status, registered_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `, [
+        family,
+        version,
+        description,
+        storedParameters ? JSON.stringify(storedParameters) : null,
+        artifactId,
+        JSON.stringify(storedMetrics),
+        status,
+        registeredBy
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new ServiceError(`Version ${version} is already registered for ${family}`, 409, 'MODEL_VERSION_EXISTS');
+      }
+      throw error;
+    }
+  }
+
+  // Promote to champion, start shadow scoring, or retire a version
+  async transition(modelVersionId, action, { actor = null } = {}) {
+    const transition = this.transitions[action];
+    if (!transition) {
+      throw new ServiceError(`Unknown model action: ${action}`, 400, 'INVALID_MODEL_ACTION');
+    }
+
+    await this.ensureSchema();
+
+    return withTransaction(this.pool, async (client) => {
+      const result = await client.query('SELECT * FROM ml_model_versions WHERE model_version_id = $1 FOR UPDATE', [modelVersionId]);
+      const modelVersion = result.rows[0];
+
+      if (!modelVersion) {
+        throw new ServiceError('Model version not found', 404, 'MODEL_VERSION_NOT_FOUND');
+      }
+      if (!transition.from.includes(modelVersion.status)) {
+        throw new ServiceError(
+          `Cannot ${action} a model version with status ${modelVersion.status} (expected ${transition.from.join(' or ')})`,
+          409,
+          'INVALID_MODEL_TRANSITION'
+        );
+      }
+
+      let previousChampion = null;
+      if (action === 'promote') {
+        const retired = await client.query(`
+          UPDATE ml_model_versions SET status = 'retired'
+          WHERE model_family = $1 AND status = 'champion'
+          RETURNING *
+        `, [modelVersion.model_family]);
+        previousChampion = retired.rows[0] || null;
+      }
+
+      const updated = await client.query(`
+        UPDATE ml_model_versions
+        SET status = $2,
+            promoted_by = CASE WHEN $3 THEN $4 ELSE promoted_by END,
+            promoted_at = CASE WHEN $3 THEN NOW() ELSE promoted_at END
+        WHERE model_version_id = $1
+        RETURNING *
+      `, [modelVersionId, transition.to, action === 'promote', actor]);
+
+      return { model_version: updated.rows[0], previous_champion: previousChampion };
+    });
+  }
+
+  // Champion and challengers per family, as used by a recalculation
+  async getActiveModels(db = this.pool) {
+    await this.ensureSchema();
+
+    const result = await db.query(`
+      SELECT * FROM ml_model_versions
+      WHERE status IN ('champion', 'challenger')
+      ORDER BY model_version_id
+    `);
+
+    const active = {};
+    Object.keys(this.families).forEach(family => {
+      const rows = result.rows.filter(row => row.model_family === family);
+      active[family] = {
+        champion: rows.find(row => row.status === 'champion') || null,
+        challengers: rows.filter(row => row.status === 'challenger')
+      };
+    });
+    return active;
+  }
+
+  // Store champion and challenger outputs of one recalculation (mode: 'commit' or 'preview')
+  // scores: [{ model_version_id, model_family, role, score, output }]
+  async recordScores(db, calculationId, customerId, scores, mode = 'commit') {
+    if (scores.length === 0) return;
+
+    await db.query(`
+      INSERT INTO ml_model_scores (calculation_id, model_version_id, customer_id, model_family, role, score, output, mode)
+      SELECT $1, s.model_version_id, $2, s.model_family, s.role, s.score, s.output, $4
+      FROM jsonb_to_recordset($3::jsonb)
+        AS s(model_version_id INTEGER, model_family TEXT, role TEXT, score NUMERIC, output JSONB)
+    `, [calculationId, customerId, JSON.stringify(scores), mode]);
+  }
+
+  async getCalculationScores(calculationId) {
+    await this.ensureSchema();
+
+    const result = await this.pool.query(`
+      SELECT s.*, v.version
+      FROM ml_model_scores s
+      JOIN ml_model_versions v ON v.model_version_id = s.model_version_id
+      WHERE s.calculation_id = $1
+      ORDER BY s.model_family, s.role, s.model_version_id
+    `, [calculationId]);
+    return result.rows;
+  }
+
+  // Champion vs challenger over the recalculations where both were scored in the last `days` days:
+  // score distributions, differences and the share of customers the two disagree on
+  // (|difference| above the tolerance, or a different risk tier for risk_score).
+  // Only committed recalculations count unless includePreviews.
+  async compare({ family = 'risk_score', challengerId = null, days = 30, tolerance = null, includePreviews = false } = {}) {
+    if (!this.families[family]) {
+      throw new ServiceError(`Unknown model family: ${family}`, 400, 'INVALID_MODEL_FAMILY');
+    }
+
+    await this.ensureSchema();
+
+    if (challengerId) {
+      const challenger = await this.getVersion(challengerId);
+      if (challenger.model_family !== family) {
+        throw new ServiceError(`Model version ${challengerId} is not a ${family} model`, 400, 'MODEL_FAMILY_MISMATCH');
+      }
+    }
+
+    const result = await this.pool.query(`
+      SELECT challenger.model_version_id AS challenger_id,
+             cv.version AS challenger_version,
+             champion.model_version_id AS champion_id,
+             hv.version AS champion_version,
+             champion.score::float AS champion_score,
+             challenger.score::float AS challenger_score
+      FROM ml_model_scores challenger
+      JOIN ml_model_scores champion
+        ON champion.calculation_id = challenger.calculation_id
+       AND champion.model_family = challenger.model_family
+       AND champion.role = 'champion'
+      JOIN ml_model_versions cv ON cv.model_version_id = challenger.model_version_id
+      JOIN ml_model_versions hv ON hv.model_version_id = champion.model_version_id
+      WHERE challenger.role = 'challenger'
+        AND challenger.model_family = $1
+        AND ($2::int IS NULL OR challenger.model_version_id = $2)
+        AND challenger.created_at >= NOW() - $3::int * INTERVAL '1 day'
+        AND ($4 OR challenger.mode = 'commit')
+      ORDER BY challenger.model_version_id, challenger.calculation_id
+    `, [family, challengerId, days, includePreviews]);
+
+    const threshold = tolerance !== null ? tolerance : this.families[family].defaultTolerance;
+
+    const byChallenger = new Map();
+    result.rows.forEach(row => {
+      const pairs = byChallenger.get(row.challenger_id) || [];
+      pairs.push(row);
+      byChallenger.set(row.challenger_id, pairs);
+    });
+
+    return {
+      family,
+      period_days: days,
+      include_previews: includePreviews,
+      tolerance: threshold,
+      comparisons: [...byChallenger.values()].map(pairs => this.comparePairs(family, pairs, threshold))
+    };
+  }
+
+  comparePairs(family, pairs, tolerance) {
+    const championScores = pairs.map(pair => pair.champion_score);
+    const challengerScores = pairs.map(pair => pair.challenger_score);
+    const differences = pairs.map(pair => pair.challenger_score - pair.champion_score);
+    const round = (value) => parseFloat(value.toFixed(4));
+
+    const comparison = {
+      challenger: { model_version_id: pairs[0].challenger_id, version: pairs[0].challenger_version },
+      champion_versions: [...new Set(pairs.map(pair => pair.champion_version))],
+      calculations: pairs.length,
+      distributions: {
+        champion: this.distribution(championScores),
+        challenger: this.distribution(challengerScores)
+      },
+      difference: {
+        mean: round(differences.reduce((sum, value) => sum + value, 0) / pairs.length),
+        mean_absolute: round(differences.reduce((sum, value) => sum + Math.abs(value), 0) / pairs.length),
+        max_absolute: round(Math.max(...differences.map(value => Math.abs(value))))
+      },
+      disagreement_rate: round(differences.filter(value => Math.abs(value) > tolerance).length / pairs.length),
+      tier_disagreement_rate: null
+    };
+
+    if (family === 'risk_score' && this.riskTiers) {
+      const changedTier = pairs.filter(pair => this.tierFor(pair.champion_score) !== this.tierFor(pair.challenger_score));
+      comparison.tier_disagreement_rate = round(changedTier.length / pairs.length);
+    }
+
+    return comparison;
+  }
+
+  distribution(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+    const variance = sorted.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / sorted.length;
+    const round = (value) => parseFloat(value.toFixed(4));
+
+    return {
+      mean: round(mean),
+      std: round(Math.sqrt(variance)),
+      min: round(sorted[0]),
+      p10: round(this.percentile(sorted, 0.1)),
+      p50: round(this.percentile(sorted, 0.5)),
+      p90: round(this.percentile(sorted, 0.9)),
+      max: round(sorted[sorted.length - 1])
+    };
+  }
+
+  // Nearest-rank percentile of sorted values
+  percentile(sorted, p) {
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1));
+    return sorted[index];
+  }
+
+  tierFor(score) {
+    const tiers = Object.keys(this.riskTiers);
+    return tiers.find(tier => score < this.riskTiers[tier].max) || tiers[tiers.length - 1];
+  }
+}
+
+module.exports = ModelRegistryService;
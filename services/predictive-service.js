@@ -2,33 +2,31 @@
 // Provides advanced forecasting and risk prediction capabilities
 
 class PredictiveRiskService {
-  constructor(pool) {
+  constructor(pool, { modelRegistry = null } = {}) {
     this.pool = pool;
+    this.modelRegistry = modelRegistry; // Champion versions and their registered metrics for model metadata
     
-    // Model configurations and parameters
+    // Forecasting methods and parameters. Accuracy is not claimed here: the only measured
+    // metrics are those registered for the champion models (see getChampionModels)
     this.models = {
       linear_regression: {
         name: 'Linear Regression',
         description: 'Simple trend-based prediction',
-        accuracy: 0.75,
         confidence_threshold: 0.6
       },
       exponential_smoothing: {
         name: 'Exponential Smoothing',
         description: 'Weighted historical data analysis',
-        accuracy: 0.82,
         confidence_threshold: 0.7
       },
       arima: {
         name: 'ARIMA Model',
         description: 'Autoregressive integrated moving average',
-        accuracy: 0.88,
         confidence_threshold: 0.8
       },
       ensemble: {
         name: 'Ensemble Prediction',
         description: 'Combined multiple model approach',
-        accuracy: 0.91,
         confidence_threshold: 0.85
       }
     };
@@ -71,14 +69,15 @@ class PredictiveRiskService {
       const scenarioPredictions = await this.generateScenarioPredictions(customerId, predictionHorizon);
       
       // Calculate model confidence and reliability metrics
-      const modelMetrics = this.calculateModelMetrics(modelType, historicalData.length);
+      const championModels = await this.getChampionModels();
+      const modelMetrics = this.calculateModelMetrics(modelType, historicalData.length, championModels);
 
       return {
         customer_id: parseInt(customerId),
         customer_name: customerData.name,
         prediction_horizon: predictionHorizon,
         model_type: modelType,
-        model_metadata: this.models[modelType],
+        model_metadata: { ...this.models[modelType], champion_models: championModels },
         risk_predictions: riskPredictions,
         claim_forecasts: claimForecasts,
         financial_projections: financialProjections,
@@ -470,14 +469,31 @@ class PredictiveRiskService {
     return Math.floor((eventDate - startDate) / (1000 * 60 * 60 * 24));
   }
 
-  calculateModelMetrics(modelType, dataPoints) {
+  // Champion version and registered metrics per model family, or null for a family without a
+  // champion (or when no registry is wired)
+  async getChampionModels() {
+    if (!this.modelRegistry) return null;
+
+    const active = await this.modelRegistry.getActiveModels();
+    return Object.fromEntries(Object.entries(active).map(([family, { champion }]) => [
+      family,
+      champion ? {
+        model_version_id: champion.model_version_id,
+        version: champion.version,
+        metrics: champion.metrics,
+        promoted_at: champion.promoted_at
+      } : null
+    ]));
+  }
+
+  calculateModelMetrics(modelType, dataPoints, championModels = null) {
     const baseMetrics = this.models[modelType];
-    const dataAdjustment = Math.min(0.1, dataPoints * 0.01);
     
     return {
       model_name: baseMetrics.name,
-      base_accuracy: baseMetrics.accuracy,
-      adjusted_accuracy: Math.min(0.95, baseMetrics.accuracy + dataAdjustment),
+      champion_metrics: championModels
+        ? Object.fromEntries(Object.entries(championModels).map(([family, champion]) => [family, champion && champion.metrics]))
+        : null,
       confidence_threshold: baseMetrics.confidence_threshold,
       data_sufficiency: dataPoints >= 5 ? 'Sufficient' : 'Limited',
       recommendation: dataPoints >= 10 ? 'High confidence predictions' : 'Use with caution'
@@ -632,6 +648,9 @@ class PredictiveRiskService {
         });
       }
       
+      const championModels = await this.getChampionModels();
+      const riskChampion = championModels && championModels.risk_score;
+
       return {
         timeFrame,
         modelType,
@@ -644,10 +663,9 @@ class PredictiveRiskService {
           total_expected_claims: forecasts.reduce((sum, f) => sum + f.expected_claims, 0)
         },
         model_info: {
-          version: "v2.1.0",
-          accuracy: "85.3%",
-          last_trained: "2024-12-01",
-          confidence: 0.89
+          version: riskChampion ? riskChampion.version : null,
+          metrics: riskChampion ? riskChampion.metrics : null,
+          promoted_at: riskChampion ? riskChampion.promoted_at : null
         }
       };
       
@@ -0,0 +1,99 @@
+// Score Reason Codes
+// Stable code and wording for every factor a score explanation can attribute risk to.
+// Codes are persisted with each explanation - add new factors with new codes, never renumber.
+
+const reasonCodes = {
+  state: {
+    code: 'RS01',
+    label: 'State',
+    describe: (value, direction) => `Customers in ${value} carry ${direction === 'increases' ? 'above' : 'below'}-average risk`
+  },
+  claims_history: {
+    code: 'RS02',
+    label: 'Claims history',
+    describe: (value, direction) => (direction === 'increases'
+      ? `Claims history: ${value}`
+      : `Few or no recent claims (${value})`)
+  },
+  vehicle_use: {
+    code: 'RS03',
+    label: 'Vehicle use',
+    describe: (value, direction) => `Vehicle use (${value}) ${direction} risk`
+  },
+  home_type: {
+    code: 'RS04',
+    label: 'Home type',
+    describe: (value, direction) => `Property type (${value}) ${direction} risk`
+  },
+  age: {
+    code: 'RS05',
+    label: 'Age',
+    describe: (value, direction) => `Policyholder age (${value}) ${direction} risk`
+  },
+  zip: {
+    code: 'RS06',
+    label: 'ZIP area',
+    describe: (value, direction) => `ZIP area ${value} ${direction} risk (metro density / coastal exposure)`
+  },
+  coverage: {
+    code: 'RS07',
+    label: 'Coverage held',
+    describe: (value, direction) => `Lines and limits held (${value}) ${direction} risk`
+  },
+  risk_segment: {
+    code: 'RS08',
+    label: 'Risk segment',
+    describe: (value, direction) => `Risk segment (${value}) ${direction} risk`
+  },
+  tenure: {
+    code: 'RS09',
+    label: 'Tenure',
+    describe: (value, direction) => `Time as a customer (${value}) ${direction} risk`
+  },
+  weather: {
+    code: 'RX01',
+    label: 'Weather',
+    describe: (value, direction) => `Current weather conditions (${value}) ${direction} risk`
+  },
+  economic: {
+    code: 'RX02',
+    label: 'Economic conditions',
+    describe: (value, direction) => `Local economic conditions (${value}) ${direction} risk`
+  },
+  traffic: {
+    code: 'RX03',
+    label: 'Traffic',
+    describe: (value, direction) => `Regional traffic conditions (${value}) ${direction} risk`
+  },
+  market: {
+    code: 'RX04',
+    label: 'Market trend',
+    describe: (value, direction) => `Insurance market claims trend (${value}) ${direction} risk`
+  },
+  temporal: {
+    code: 'RX05',
+    label: 'Time of assessment',
+    describe: (value, direction) => `Time of day / day of week (${value}) ${direction} risk`
+  },
+  other: {
+    code: 'RZ98',
+    label: 'Other customer factors',
+    describe: (value, direction) => `Customer-specific factors not covered above ${direction === 'increases' ? 'increase' : 'decrease'} risk`
+  },
+  score_bounds: {
+    code: 'RZ99',
+    label: 'Score bounds and rounding',
+    describe: (value, direction) => `Score limits (0-100) and rounding ${direction === 'increases' ? 'increase' : 'decrease'} the score`
+  }
+};
+
+// Reason code entry for a factor; unknown factors (e.g. features added to a newer claim model) get a generic one
+function reasonFor(factor) {
+  return reasonCodes[factor] || {
+    code: 'RZ00',
+    label: factor,
+    describe: (value, direction) => `${factor} (${value}) ${direction} risk`
+  };
+}
+
+module.exports = { reasonCodes, reasonFor };
@@ -0,0 +1,54 @@
+// Risk Factor Table Defaults
+// Seed data for version 1 of the persisted state factor table. These are the
+// values previously hardcoded in ScenarioService and MLRiskService, so version 1
+// reproduces the original calculations exactly.
+
+// 50 states + DC
+const states = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID',
+  'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO',
+  'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA',
+  'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
+];
+
+// Relative risk of living in each state (1.0 = neutral)
+const relocationFactors = {
+  'FL': 1.15, 'CA': 1.12, 'TX': 1.08, 'NY': 1.10, 'IL': 1.05,
+  'PA': 1.02, 'OH': 0.98, 'GA': 1.06, 'NC': 1.04, 'MI': 1.01,
+  'NJ': 1.09, 'VA': 1.03, 'WA': 1.00, 'AZ': 1.07, 'MA': 1.11,
+  'TN': 0.99, 'IN': 0.97, 'MO': 0.96, 'MD': 1.08, 'WI': 0.95
+};
+
+// State unemployment rates used by the ML economic factor
+const unemploymentRates = {
+  'CA': 0.047, 'TX': 0.037, 'FL': 0.041, 'NY': 0.045,
+  'PA': 0.039, 'IL': 0.043, 'OH': 0.042, 'GA': 0.034,
+  'NC': 0.038, 'MI': 0.044, 'NJ': 0.046, 'VA': 0.035,
+  'WA': 0.041, 'AZ': 0.036, 'MA': 0.040, 'TN': 0.033
+};
+
+// Natural disaster exposure used by ML market insights
+const naturalDisasters = {
+  'FL': ['hurricane', 'flooding'],
+  'CA': ['earthquake', 'wildfire'],
+  'TX': ['hurricane', 'tornado', 'flooding'],
+  'OK': ['tornado'],
+  'LA': ['hurricane', 'flooding'],
+  'WA': ['earthquake'],
+  'NY': ['winter_storm', 'flooding']
+};
+
+// Values for any state without a specific entry
+const neutral = {
+  relocation_factor: 1.0,
+  unemployment_rate: 0.040,
+  natural_disasters: ['storm']
+};
+
+module.exports = {
+  states,
+  relocationFactors,
+  unemploymentRates,
+  naturalDisasters,
+  neutral
+};
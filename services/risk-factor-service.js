@@ -0,0 +1,323 @@
+// Risk Factor Service
+// Persisted, versioned state factor table shared by the scenario engine and the ML score
+
+const ServiceError = require('../utils/service-error');
+const { withTransaction } = require('../utils/transaction');
+const { policyLineProfiles } = require('./scenario-factors');
+const defaults = require('./risk-factor-defaults');
+
+class RiskFactorService {
+  constructor(pool) {
+    this.pool = pool;
+    this.schemaReady = null;
+
+    this.lines = Object.keys(policyLineProfiles);
+
+    // Active table is cached briefly; local edits invalidate it immediately
+    this.cacheTtlMs = 60000;
+    this.cachedTable = null;
+    this.cachedAt = 0;
+  }
+
+  // Create the factor tables and seed version 1 on first use
+  async ensureSchema() {
+    if (!this.schemaReady) {
+      this.schemaReady = this.pool.query(`
+        CREATE TABLE IF NOT EXISTS risk_factor_versions (
+          version_id SERIAL PRIMARY KEY,
+          label TEXT NOT NULL,
+          notes TEXT,
+          based_on_version_id INTEGER,
+          is_active BOOLEAN NOT NULL DEFAULT FALSE,
+          created_by TEXT,
+          created_at TIMESTAMP DEFAULT NOW(),
+          activated_at TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS state_risk_factors (
+          version_id INTEGER NOT NULL REFERENCES risk_factor_versions(version_id),
+          state TEXT NOT NULL,
+          line TEXT NOT NULL,
+          relocation_factor NUMERIC NOT NULL,
+          unemployment_rate NUMERIC NOT NULL,
+          natural_disasters JSONB NOT NULL DEFAULT '[]'::jsonb,
+          PRIMARY KEY (version_id, state, line)
+        );
+        -- Only one version may be active; keep the latest activated if an older schema let two through
+        UPDATE risk_factor_versions SET is_active = FALSE
+        WHERE is_active AND version_id <> (
+          SELECT version_id FROM risk_factor_versions WHERE is_active
+          ORDER BY activated_at DESC NULLS LAST, version_id DESC LIMIT 1
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_risk_factor_versions_active ON risk_factor_versions (is_active) WHERE is_active;
+      `)
+        .then(() => this.seedInitialVersion())
+        .catch(error => {
+          this.schemaReady = null;
+          throw error;
+        });
+    }
+    return this.schemaReady;
+  }
+
+  // Version 1 reproduces the factors that used to be hardcoded
+  async seedInitialVersion() {
+    await withTransaction(this.pool, async (client) => {
+      const inserted = await client.query(`
+        INSERT INTO risk_factor_versions (version_id, label, notes, is_active, created_by, activated_at)
+        VALUES (1, 'Initial factors', 'Seeded from the original hardcoded state tables', TRUE, 'system', NOW())
+        ON CONFLICT (version_id) DO NOTHING
+        RETURNING version_id
+      `);
+      if (inserted.rows.length === 0) return;
+
+      // Keep the sequence ahead of the explicit id
+      await client.query(`SELECT setval(pg_get_serial_sequence('risk_factor_versions', 'version_id'), 1)`);
+
+      const rows = [];
+      defaults.states.forEach(state => {
+        this.lines.forEach(line => {
+          rows.push({
+            state,
+            line,
+            relocation_factor: defaults.relocationFactors[state] || defaults.neutral.relocation_factor,
+            unemployment_rate: defaults.unemploymentRates[state] || defaults.neutral.unemployment_rate,
+            natural_disasters: defaults.naturalDisasters[state] || defaults.neutral.natural_disasters
+          });
+        });
+      });
+
+      await this.insertRows(client, 1, rows);
+    });
+  }
+
+  async insertRows(client, versionId, rows) {
+    await client.query(`
+      INSERT INTO state_risk_factors (version_id, state, line, relocation_factor, unemployment_rate, natural_disasters)
+      SELECT $1, r.state, r.line, r.relocation_factor, r.unemployment_rate, r.natural_disasters
+      FROM jsonb_to_recordset($2::jsonb)
+        AS r(state TEXT, line TEXT, relocation_factor NUMERIC, unemployment_rate NUMERIC, natural_disasters JSONB)
+    `, [versionId, JSON.stringify(rows)]);
+  }
+
+  // Factor table currently used for calculations
+  async getActiveTable() {
+    if (this.cachedTable && Date.now() - this.cachedAt < this.cacheTtlMs) {
+      return this.cachedTable;
+    }
+
+    await this.ensureSchema();
+
+    const version = await this.pool.query('SELECT version_id FROM risk_factor_versions WHERE is_active = TRUE ORDER BY activated_at DESC LIMIT 1');
+    if (!version.rows[0]) {
+      throw new ServiceError('No active risk factor version', 500, 'NO_ACTIVE_FACTOR_VERSION');
+    }
+
+    this.cachedTable = await this.loadTable(version.rows[0].version_id);
+    this.cachedAt = Date.now();
+    return this.cachedTable;
+  }
+
+  // Build the lookup shape used by calculations:
+  // { version_id, states: { TX: { lines: { auto: 1.08, ... }, unemployment_rate, natural_disasters } } }
+  async loadTable(versionId, db = this.pool) {
+    const result = await db.query(`
+      SELECT state, line, relocation_factor, unemployment_rate, natural_disasters
+      FROM state_risk_factors
+      WHERE version_id = $1
+      ORDER BY state, line
+    `, [versionId]);
+
+    const states = {};
+    result.rows.forEach(row => {
+      if (!states[row.state]) {
+        states[row.state] = {
+          lines: {},
+          unemployment_rate: parseFloat(row.unemployment_rate),
+          natural_disasters: row.natural_disasters
+        };
+      }
+      states[row.state].lines[row.line] = parseFloat(row.relocation_factor);
+    });
+
+    return { version_id: versionId, states };
+  }
+
+  // Relocation multiplier for a state, weighted by the loss share of the lines held.
+  // Customers without policies get the plain average across lines.
+  getRelocationFactor(table, state, heldLines = []) {
+    const entry = table.states[state];
+    if (!entry) return null;
+
+    const lines = heldLines.filter(line => entry.lines[line] !== undefined);
+    const weighted = lines.length > 0 ? lines : Object.keys(entry.lines);
+    const weights = weighted.map(line => (lines.length > 0 && policyLineProfiles[line] ? policyLineProfiles[line].loss_share : 1));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    return weighted.reduce((sum, line, index) => sum + entry.lines[line] * weights[index], 0) / totalWeight;
+  }
+
+  getUnemploymentRate(table, state) {
+    const entry = table.states[state];
+    return entry ? entry.unemployment_rate : defaults.neutral.unemployment_rate;
+  }
+
+  getNaturalDisasters(table, state) {
+    const entry = table.states[state];
+    return entry ? entry.natural_disasters : defaults.neutral.natural_disasters;
+  }
+
+  async listVersions() {
+    await this.ensureSchema();
+
+    const result = await this.pool.query(`
+      SELECT v.*, COUNT(DISTINCT f.state)::int AS state_count
+      FROM risk_factor_versions v
+      LEFT JOIN state_risk_factors f ON f.version_id = v.version_id
+      GROUP BY v.version_id
+      ORDER BY v.version_id DESC
+    `);
+    return result.rows;
+  }
+
+  // Version metadata plus one row per state with per-line relocation factors
+  async getVersion(versionId) {
+    await this.ensureSchema();
+
+    const result = await this.pool.query('SELECT * FROM risk_factor_versions WHERE version_id = $1', [versionId]);
+    if (!result.rows[0]) {
+      throw new ServiceError('Risk factor version not found', 404, 'FACTOR_VERSION_NOT_FOUND');
+    }
+
+    const table = await this.loadTable(versionId);
+    return {
+      ...result.rows[0],
+      factors: Object.keys(table.states).map(state => ({
+        state,
+        relocation_factors: table.states[state].lines,
+        unemployment_rate: table.states[state].unemployment_rate,
+        natural_disasters: table.states[state].natural_disasters
+      }))
+    };
+  }
+
+  async getActiveVersion() {
+    const table = await this.getActiveTable();
+    return this.getVersion(table.version_id);
+  }
+
+  // Versions are immutable: edits copy a base version (the active one by default),
+  // apply the changes and store the result as a new version.
+  // change: { state, line?, relocation_factor?, unemployment_rate?, natural_disasters? }
+  async createVersion({ label, notes = null, changes = [], baseVersionId = null, activate = true, createdBy = null }) {
+    await this.ensureSchema();
+
+    const version = await withTransaction(this.pool, async (client) => {
+      let baseId = baseVersionId;
+      if (!baseId) {
+        const active = await client.query('SELECT version_id FROM risk_factor_versions WHERE is_active = TRUE ORDER BY activated_at DESC LIMIT 1');
+        baseId = active.rows[0] ? active.rows[0].version_id : null;
+      }
+
+      const base = baseId ? await this.loadTable(baseId, client) : { states: {} };
+      if (baseVersionId && Object.keys(base.states).length === 0) {
+        throw new ServiceError('Base risk factor version not found', 404, 'FACTOR_VERSION_NOT_FOUND');
+      }
+
+      const states = this.applyChanges(base.states, changes);
+
+      const inserted = await client.query(`
+        INSERT INTO risk_factor_versions (label, notes, based_on_version_id, created_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [label, notes, baseId, createdBy]);
+      const newVersion = inserted.rows[0];
+
+      const rows = [];
+      Object.keys(states).forEach(state => {
+        Object.keys(states[state].lines).forEach(line => {
+          rows.push({
+            state,
+            line,
+            relocation_factor: states[state].lines[line],
+            unemployment_rate: states[state].unemployment_rate,
+            natural_disasters: states[state].natural_disasters
+          });
+        });
+      });
+      await this.insertRows(client, newVersion.version_id, rows);
+
+      if (activate) {
+        await this.setActive(client, newVersion.version_id);
+      }
+
+      return newVersion;
+    });
+
+    this.invalidateCache();
+    return this.getVersion(version.version_id);
+  }
+
+  // Make an existing version the one used for calculations (also used to roll back)
+  async activateVersion(versionId) {
+    await this.ensureSchema();
+
+    await withTransaction(this.pool, async (client) => {
+      const result = await client.query('SELECT version_id FROM risk_factor_versions WHERE version_id = $1 FOR UPDATE', [versionId]);
+      if (!result.rows[0]) {
+        throw new ServiceError('Risk factor version not found', 404, 'FACTOR_VERSION_NOT_FOUND');
+      }
+      await this.setActive(client, versionId);
+    });
+
+    this.invalidateCache();
+    return this.getVersion(versionId);
+  }
+
+  // The table lock queues concurrent activations so each one sees the previous one committed
+  async setActive(client, versionId) {
+    await client.query('LOCK TABLE risk_factor_versions IN SHARE ROW EXCLUSIVE MODE');
+    await client.query('UPDATE risk_factor_versions SET is_active = FALSE WHERE is_active = TRUE');
+    await client.query('UPDATE risk_factor_versions SET is_active = TRUE, activated_at = NOW() WHERE version_id = $1', [versionId]);
+  }
+
+  // Copy of the base states with the changes applied; new states start from neutral values
+  applyChanges(baseStates, changes) {
+    const states = JSON.parse(JSON.stringify(baseStates));
+
+    changes.forEach(change => {
+      if (!states[change.state]) {
+        states[change.state] = {
+          lines: {},
+          unemployment_rate: defaults.neutral.unemployment_rate,
+          natural_disasters: defaults.neutral.natural_disasters
+        };
+        this.lines.forEach(line => {
+          states[change.state].lines[line] = defaults.neutral.relocation_factor;
+        });
+      }
+
+      const entry = states[change.state];
+      if (change.relocation_factor !== undefined) {
+        const lines = change.line ? [change.line] : this.lines;
+        lines.forEach(line => {
+          entry.lines[line] = change.relocation_factor;
+        });
+      }
+      if (change.unemployment_rate !== undefined) {
+        entry.unemployment_rate = change.unemployment_rate;
+      }
+      if (change.natural_disasters !== undefined) {
+        entry.natural_disasters = change.natural_disasters;
+      }
+    });
+
+    return states;
+  }
+
+  invalidateCache() {
+    this.cachedTable = null;
+    this.cachedAt = 0;
+  }
+}
+
+module.exports = RiskFactorService;
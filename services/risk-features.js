@@ -0,0 +1,57 @@
+// Risk Score Features
+// Customer feature vector used by the ML risk score: demographics, tenure, lines and limits held,
+// and prior claim frequency, severity and recency, all as of the scoring date.
+
+const { policiesExposed } = require('./claim-features');
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// Age bands and their relative risk (35-49 ≈ neutral)
+const ageBands = [
+  { band: 'under_25', maxAge: 25, relativity: 1.3 },
+  { band: '25_34', maxAge: 35, relativity: 1.08 },
+  { band: '35_49', maxAge: 50, relativity: 0.98 },
+  { band: '50_64', maxAge: 65, relativity: 0.94 },
+  { band: '65_plus', maxAge: Infinity, relativity: 1.1 }
+];
+
+const claimLookbackYears = 3;
+const maxTenureYears = 10; // Loyalty credit stops growing after this
+
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+// Feature vector for one portfolio entry ({ customer, policies, claims } from indexPortfolio) at `at`:
+// policies in force then, claims before then
+function buildRiskFeatures(entry, at) {
+  const { customer } = entry;
+  const policies = policiesExposed(entry.policies, at, new Date(at.getTime() + 1));
+  const priorClaims = entry.claims.filter(claim => claim.lossDate < at);
+  const recentClaims = priorClaims.filter(claim => at - claim.lossDate <= claimLookbackYears * YEAR_MS);
+
+  const ageYears = customer.dob ? Math.max(0, (at - new Date(customer.dob)) / YEAR_MS) : null;
+  const startDates = entry.policies.filter(policy => policy.startDate && policy.startDate <= at).map(policy => policy.startDate.getTime());
+  const lastClaim = priorClaims.length > 0 ? Math.max(...priorClaims.map(claim => claim.lossDate.getTime())) : null;
+  const recentLoss = recentClaims.reduce((sum, claim) => sum + claim.amount, 0);
+
+  return {
+    age_years: ageYears === null ? null : round(ageYears, 1),
+    age_band: ageYears === null ? 'unknown' : ageBands.find(band => ageYears < band.maxAge).band,
+    tenure_years: startDates.length > 0 ? round((at - Math.min(...startDates)) / YEAR_MS) : 0,
+    lines_held: [...new Set(policies.map(policy => policy.line).filter(Boolean))].sort(),
+    policy_count: policies.length,
+    coverage_limit_total: policies.reduce((sum, policy) => sum + (policy.coverage_limit || 0), 0),
+    prior_claims_3y: recentClaims.length,
+    prior_claim_severity: recentClaims.length > 0 ? round(recentLoss / recentClaims.length) : 0,
+    years_since_last_claim: lastClaim === null ? null : round((at - lastClaim) / YEAR_MS),
+    vehicle_use: customer.vehicle_use || null,
+    home_type: customer.home_type || null,
+    zip: customer.zip || null,
+    risk_segment: customer.risk_segment || 'standard'
+  };
+}
+
+module.exports = {
+  ageBands,
+  maxTenureYears,
+  buildRiskFeatures
+};
@@ -0,0 +1,33 @@
+// Risk Score Model Defaults
+// Weights of the built-in ML risk score. Registered risk_score model versions override any of them.
+
+module.exports = {
+  version: 'v2.2.0',
+
+  parameters: {
+    smoothing_factor: 0.7, // Share of the raw factor adjustment applied to the score
+    severe_weather_threshold: 0.2, // Severe weather probability above which weather adds risk
+    severe_weather_weight: 10,
+    hurricane_adjustment: 3, // Hurricane season in a Gulf/Atlantic state
+    unemployment_threshold: 0.06,
+    unemployment_weight: 50,
+    traffic_weight: 20,
+    market_weight: 15,
+    temporal_weight: 1,
+    // Customer features (services/risk-features.js), in score points before smoothing
+    age_weight: 10, // × (age band relativity - 1)
+    tenure_credit: 0.3, // Points off per year of tenure, up to 10 years
+    prior_claim_weight: 2, // Per claim in the last 3 years
+    claim_severity_weight: 1.5, // × log10(1 + average prior claim / $1,000)
+    recent_claim_weight: 3, // Last claim today, fading to 0 after 3 years
+    coverage_weight: 1.5, // × log10(total coverage limit / $100,000)
+    multi_line_credit: 1, // Points off per line held beyond the first
+    vehicle_use_weight: 10, // × (vehicle use factor - 1), auto holders only
+    home_type_weight: 10, // × (home type factor - 1), home and renters holders only
+    zip_weight: 10, // × (ZIP factor - 1)
+    elevated_segment_adjustment: 2
+  },
+
+  // States where hurricane season adds hurricane_adjustment
+  hurricaneStates: ['FL', 'TX', 'LA', 'NC', 'SC']
+};
@@ -0,0 +1,229 @@
+// Scenario Approval Service
+// Review workflow for scenarios whose projected impact is too large to apply unreviewed
+
+const ServiceError = require('../utils/service-error');
+const { withTransaction } = require('../utils/transaction');
+
+class ScenarioApprovalService {
+  constructor(pool, scenarioService, { enabled = true, riskDeltaThreshold = 10, allowSelfApproval = false } = {}) {
+    this.pool = pool;
+    this.scenarioService = scenarioService;
+    this.enabled = enabled;
+    this.riskDeltaThreshold = riskDeltaThreshold;
+    this.allowSelfApproval = allowSelfApproval;
+    this.schemaReady = null;
+
+    // action → statuses it may start from and the status it leads to
+    // (apply leads to 'pending' instead when effective_at is still in the future)
+    this.transitions = {
+      submit: { from: ['draft'], to: 'submitted' },
+      approve: { from: ['submitted'], to: 'approved' },
+      reject: { from: ['submitted'], to: 'rejected' },
+      reopen: { from: ['rejected'], to: 'draft' },
+      apply: { from: ['approved'], to: 'applied' }
+    };
+
+    this.reviewStatuses = ['draft', 'submitted', 'approved', 'rejected'];
+  }
+
+  // Audit trail of every workflow transition
+  async ensureSchema() {
+    if (!this.schemaReady) {
+      this.schemaReady = this.scenarioService.ensureSchema()
+        .then(() => this.pool.query(`
+          CREATE TABLE IF NOT EXISTS scenario_reviews (
+            review_id SERIAL PRIMARY KEY,
+            scenario_id INTEGER NOT NULL REFERENCES scenarios(scenario_id),
+            action TEXT NOT NULL,
+            from_status TEXT,
+            to_status TEXT NOT NULL,
+            actor TEXT,
+            comment TEXT,
+            created_at TIMESTAMP DEFAULT NOW()
+          );
+          CREATE INDEX IF NOT EXISTS idx_scenario_reviews_scenario ON scenario_reviews (scenario_id, created_at);
+        `))
+        .catch(error => {
+          this.schemaReady = null;
+          throw error;
+        });
+    }
+    return this.schemaReady;
+  }
+
+  requiresApproval(impact) {
+    return this.enabled && Math.abs(impact.delta.risk_score) > this.riskDeltaThreshold;
+  }
+
+  // Store the scenario as a draft when its projected risk change needs review.
+  // Returns null when it can be applied (or scheduled) directly.
+  async createDraftIfRequired(customerId, name, changeJson, { changedBy = null, templateId = null, effectiveAt = null } = {}) {
+    if (!this.enabled || changeJson.no_change) return null;
+
+    await this.ensureSchema();
+
+    const projectedImpact = await this.scenarioService.previewScenario(customerId, changeJson, name);
+    if (!this.requiresApproval(projectedImpact)) return null;
+
+    return withTransaction(this.pool, (client) =>
+      this.createDraft(client, customerId, name, changeJson, projectedImpact, { changedBy, templateId, effectiveAt })
+    );
+  }
+
+  // Draft insert, first review row and timeline event on an open transaction
+  async createDraft(client, customerId, name, changeJson, projectedImpact, { changedBy = null, templateId = null, effectiveAt = null } = {}) {
+    const policies = await this.scenarioService.getPolicies(customerId, client);
+
+    const scenarioResult = await client.query(`
+      INSERT INTO scenarios (customer_id, name, change_json, template_id, status, effective_at, requested_by,
+                             factor_version_id, projected_risk_delta, applied_at)
+      VALUES ($1, $2, $3, $4, 'draft', $5, $6, $7, $8, NULL)
+      RETURNING *
+    `, [
+      customerId,
+      name,
+      JSON.stringify(this.scenarioService.recordDeductibleAmounts(changeJson, policies)),
+      templateId,
+      effectiveAt,
+      changedBy,
+      projectedImpact.factor_version_id,
+      projectedImpact.delta.risk_score
+    ]);
+    const scenario = scenarioResult.rows[0];
+
+    const reason = `Projected risk change ${this.formatDelta(projectedImpact.delta.risk_score)} exceeds ±${this.riskDeltaThreshold}`;
+    await this.recordReview(client, scenario.scenario_id, 'draft', null, 'draft', changedBy, reason);
+
+    await client.query(`
+      INSERT INTO timeline_events (customer_id, title, details, event_ts, tag)
+      VALUES ($1, $2, $3, NOW(), 'scenario')
+    `, [
+      customerId,
+      '📝 Scenario Awaiting Approval',
+      `${name} | Projected risk: ${projectedImpact.before.risk_score.toFixed(1)}→${projectedImpact.after.risk_score.toFixed(1)} | ${reason}`
+    ]);
+
+    return { scenario, projected_impact: projectedImpact, reason };
+  }
+
+  // Move a scenario through the workflow; every step is recorded in scenario_reviews
+  async transition(scenarioId, action, { actor = null, comment = null } = {}) {
+    const transition = this.transitions[action];
+    if (!transition) {
+      throw new ServiceError(`Unknown scenario action: ${action}`, 400, 'INVALID_SCENARIO_ACTION');
+    }
+
+    if ((action === 'approve' || action === 'reject') && !actor) {
+      throw new ServiceError('Approvals and rejections need a reviewer identity (X-User-Id header)', 400, 'REVIEWER_REQUIRED');
+    }
+
+    if (action === 'reject' && !comment) {
+      throw new ServiceError('A comment explaining the rejection is required', 400, 'MISSING_REVIEW_COMMENT');
+    }
+
+    await this.ensureSchema();
+
+    return withTransaction(this.pool, async (client) => {
+      const scenarioResult = await client.query('SELECT * FROM scenarios WHERE scenario_id = $1 FOR UPDATE', [scenarioId]);
+      const scenario = scenarioResult.rows[0];
+
+      if (!scenario) {
+        throw new ServiceError('Scenario not found', 404, 'SCENARIO_NOT_FOUND');
+      }
+      if (!transition.from.includes(scenario.status)) {
+        throw new ServiceError(
+          `Cannot ${action} a scenario with status ${scenario.status} (expected ${transition.from.join(' or ')})`,
+          409,
+          'INVALID_SCENARIO_TRANSITION'
+        );
+      }
+      if (action === 'approve' && !this.allowSelfApproval && actor === scenario.requested_by) {
+        throw new ServiceError('Scenarios must be approved by someone other than the requester', 409, 'SELF_APPROVAL_NOT_ALLOWED');
+      }
+
+      let updated;
+      let impact = null;
+      if (action === 'apply') {
+        ({ scenario: updated, impact } = await this.applyApproved(client, scenario));
+      } else {
+        const reviewed = action === 'approve' || action === 'reject';
+        const result = await client.query(`
+          UPDATE scenarios
+          SET status = $2,
+              reviewed_by = CASE WHEN $3 THEN $4 ELSE reviewed_by END,
+              reviewed_at = CASE WHEN $3 THEN NOW() ELSE reviewed_at END
+          WHERE scenario_id = $1
+          RETURNING *
+        `, [scenarioId, transition.to, reviewed, actor]);
+        updated = result.rows[0];
+      }
+
+      await this.recordReview(client, scenarioId, action, scenario.status, updated.status, actor, comment);
+
+      if (action === 'approve' || action === 'reject') {
+        const detailParts = [scenario.name, `${action === 'approve' ? 'Approved' : 'Rejected'} by ${actor || 'unknown'}`];
+        if (comment) detailParts.push(comment);
+
+        await client.query(`
+          INSERT INTO timeline_events (customer_id, title, details, event_ts, tag)
+          VALUES ($1, $2, $3, NOW(), 'scenario')
+        `, [scenario.customer_id, action === 'approve' ? '✅ Scenario Approved' : '❌ Scenario Rejected', detailParts.join(' | ')]);
+      }
+
+      return { scenario: updated, impact };
+    });
+  }
+
+  // Approved scenarios with a future effective date go to the scheduler; others apply now
+  async applyApproved(client, scenario) {
+    if (scenario.effective_at && new Date(scenario.effective_at) > new Date()) {
+      const result = await client.query(
+        `UPDATE scenarios SET status = 'pending' WHERE scenario_id = $1 RETURNING *`,
+        [scenario.scenario_id]
+      );
+      return { scenario: result.rows[0], impact: null };
+    }
+
+    return this.scenarioService.applyStoredScenario(client, scenario);
+  }
+
+  async recordReview(client, scenarioId, action, fromStatus, toStatus, actor, comment) {
+    await client.query(`
+      INSERT INTO scenario_reviews (scenario_id, action, from_status, to_status, actor, comment)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [scenarioId, action, fromStatus, toStatus, actor, comment]);
+  }
+
+  // Review queue: scenarios in the given workflow statuses, oldest first
+  async listScenarios({ statuses = ['submitted'], customerId = null } = {}) {
+    await this.ensureSchema();
+
+    const result = await this.pool.query(`
+      SELECT * FROM scenarios
+      WHERE status = ANY($1::text[]) AND ($2::int IS NULL OR customer_id = $2)
+      ORDER BY scenario_id
+    `, [statuses, customerId]);
+    return result.rows;
+  }
+
+  async getReviews(scenarioId) {
+    await this.ensureSchema();
+
+    const scenarioResult = await this.pool.query('SELECT * FROM scenarios WHERE scenario_id = $1', [scenarioId]);
+    if (!scenarioResult.rows[0]) {
+      throw new ServiceError('Scenario not found', 404, 'SCENARIO_NOT_FOUND');
+    }
+
+    const reviews = await this.pool.query(
+      'SELECT * FROM scenario_reviews WHERE scenario_id = $1 ORDER BY created_at, review_id',
+      [scenarioId]
+    );
+    return { scenario: scenarioResult.rows[0], reviews: reviews.rows };
+  }
+
+  formatDelta(delta) {
+    return `${delta > 0 ? '+' : ''}${delta.toFixed(1)}`;
+  }
+}
+
+module.exports = ScenarioApprovalService;
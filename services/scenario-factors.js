@@ -0,0 +1,83 @@
+// Scenario Impact Factor Tables
+// Shared by the scenario engine and scenario validation so the accepted
+// change_json vocabulary and the impact models never drift apart
+
+// Vehicle usage patterns (commute = neutral)
+const vehicleUseFactors = {
+  'commute': 1.00,
+  'pleasure': 0.90,
+  'business': 1.12,
+  'rideshare': 1.25
+};
+
+// Property types (single_family = neutral)
+const homeTypeFactors = {
+  'single_family': 1.00,
+  'townhouse': 0.96,
+  'condo': 0.92,
+  'apartment': 0.88,
+  'mobile_home': 1.18
+};
+
+// ZIP3 prefixes for dense metro areas (higher frequency of auto and theft claims)
+const urbanZipPrefixes = [
+  '100', '101', '102', '104', '112', '113', '191', '200', '021', '606',
+  '770', '752', '787', '850', '900', '902', '941', '945', '981', '331'
+];
+
+// ZIP3 prefixes for hurricane-exposed coastal areas
+const coastalZipPrefixes = [
+  '320', '321', '322', '327', '328', '329', '330', '331', '332', '333',
+  '334', '336', '337', '339', '341', '342', '349', '700', '701', '705',
+  '770', '775', '783', '784', '294', '284', '295'
+];
+
+const zipDensityFactor = 1.06;
+const zipCoastalFactor = 1.08;
+
+// Per-line exposure profile used when a customer adds or drops a line
+// claim_prob / risk_score: multiplier for holding the line
+// loss_share: portion of the customer's expected loss the line represents
+const policyLineProfiles = {
+  'auto': { claim_prob: 1.20, risk_score: 1.03, loss_share: 0.45, default_limit: 50000, default_deductible: 500 },
+  'home': { claim_prob: 1.12, risk_score: 1.02, loss_share: 0.35, default_limit: 300000, default_deductible: 1500 },
+  'renters': { claim_prob: 1.04, risk_score: 1.00, loss_share: 0.08, default_limit: 30000, default_deductible: 500 },
+  'umbrella': { claim_prob: 1.01, risk_score: 1.01, loss_share: 0.05, default_limit: 1000000, default_deductible: 0 }
+};
+
+// Elasticity of each metric to a coverage limit change: factor = (new / old) ^ elasticity
+const coverageLimitElasticity = {
+  risk_score: 0.1,
+  claim_prob: 0,
+  expected_loss: 0.5
+};
+
+const coverageLimitBounds = { min: 1000, max: 5000000 };
+
+// Deductibles each product line allows; scenario changes outside these are rejected
+const deductibleBounds = {
+  'auto': { min: 0, max: 5000 },
+  'home': { min: 250, max: 25000 },
+  'renters': { min: 0, max: 2500 },
+  'umbrella': { min: 0, max: 10000 }
+};
+
+// Relative ZIP risk from metro density and coastal exposure
+function getZipFactor(zip) {
+  if (!zip) return 1.0;
+  const prefix = String(zip).substring(0, 3);
+  let factor = 1.0;
+  if (urbanZipPrefixes.includes(prefix)) factor *= zipDensityFactor;
+  if (coastalZipPrefixes.includes(prefix)) factor *= zipCoastalFactor;
+  return factor;
+}
+
+module.exports = {
+  vehicleUseFactors,
+  homeTypeFactors,
+  policyLineProfiles,
+  coverageLimitElasticity,
+  coverageLimitBounds,
+  deductibleBounds,
+  getZipFactor
+};
@@ -0,0 +1,80 @@
+// Scenario Scheduler
+// Background worker that applies pending effective-dated scenarios when they come due
+
+const ServiceError = require('../utils/service-error');
+
+class ScenarioScheduler {
+  constructor(scenarioService, logger, { intervalMs = 60000, batchSize = 100 } = {}) {
+    this.scenarioService = scenarioService;
+    this.logger = logger;
+    this.intervalMs = intervalMs;
+    this.batchSize = batchSize;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.runDueScenarios().catch(error => {
+        this.logger.error('Scenario scheduler run failed', { error: error.message });
+      });
+    }, this.intervalMs);
+
+    // Never keep the process alive just for the scheduler
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Apply every due scenario; each one commits or fails on its own
+  async runDueScenarios() {
+    if (this.running) {
+      return { skipped: true };
+    }
+
+    this.running = true;
+    const summary = { due: 0, applied: 0, failed: 0, errors: 0 };
+
+    try {
+      const scenarioIds = await this.scenarioService.getDueScenarioIds(this.batchSize);
+      summary.due = scenarioIds.length;
+
+      for (const scenarioId of scenarioIds) {
+        try {
+          const result = await this.scenarioService.applyDueScenario(scenarioId);
+          if (result) {
+            summary.applied++;
+            this.logger.info('Scheduled scenario applied', {
+              scenarioId,
+              customerId: result.scenario.customer_id
+            });
+          }
+        } catch (error) {
+          if (error instanceof ServiceError) {
+            // The change no longer fits the customer (e.g. line already dropped)
+            await this.scenarioService.markScenarioFailed(scenarioId, error.message);
+            summary.failed++;
+            this.logger.warn('Scheduled scenario failed', { scenarioId, code: error.code, error: error.message });
+          } else {
+            // Left pending so the next run retries it
+            summary.errors++;
+            this.logger.error('Scheduled scenario errored', { scenarioId, error: error.message });
+          }
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return summary;
+  }
+}
+
+module.exports = ScenarioScheduler;
@@ -0,0 +1,914 @@
+// Scenario Simulation Service
+// Calculates what-if scenario impact on customer risk twins and applies it
+
+const ServiceError = require('../utils/service-error');
+const { withTransaction } = require('../utils/transaction');
+const {
+  vehicleUseFactors,
+  homeTypeFactors,
+  policyLineProfiles,
+  coverageLimitElasticity,
+  deductibleBounds,
+  getZipFactor
+} = require('./scenario-factors');
+
+class ScenarioService {
+  constructor(pool, historyService, riskFactorService) {
+    this.pool = pool;
+    this.historyService = historyService;
+    this.riskFactorService = riskFactorService;
+    this.schemaReady = null;
+
+    // $1000 deductible ≈ 10% risk reduction
+    this.deductibleImpactPerDollar = 0.0001;
+
+    // Estimated annual premium movement per risk-score point
+    this.premiumPerRiskPoint = 45;
+  }
+
+  // Add columns used for rollback tracking, templates, scheduling, review and policy line changes
+  async ensureSchema() {
+    if (!this.schemaReady) {
+      this.schemaReady = Promise.all([
+        this.pool.query(`
+          ALTER TABLE scenarios
+            ADD COLUMN IF NOT EXISTS reverted_at TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS template_id INTEGER,
+            ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'applied',
+            ADD COLUMN IF NOT EXISTS effective_at TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS requested_by TEXT,
+            ADD COLUMN IF NOT EXISTS failure_reason TEXT,
+            ADD COLUMN IF NOT EXISTS factor_version_id INTEGER,
+            ADD COLUMN IF NOT EXISTS projected_risk_delta NUMERIC,
+            ADD COLUMN IF NOT EXISTS reviewed_by TEXT,
+            ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP
+        `),
+        this.pool.query('ALTER TABLE policies ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP'),
+        this.historyService.ensureSchema(),
+        this.riskFactorService.ensureSchema()
+      ]).catch(error => {
+        this.schemaReady = null;
+        throw error;
+      });
+    }
+    return this.schemaReady;
+  }
+
+  // Load the current twin (customer + risk model) for a customer
+  async getTwin(customerId, db = this.pool) {
+    const result = await db.query(`
+      SELECT
+        c.customer_id, c.name, c.state, c.city, c.zip,
+        c.vehicle_use, c.home_type, c.risk_segment,
+        rt.base_risk_score, rt.next12m_claim_prob, rt.next12m_expected_loss, rt.updated_at
+      FROM customers c
+      JOIN risk_twins rt ON c.customer_id = rt.customer_id
+      WHERE c.customer_id = $1
+    `, [customerId]);
+    const twin = result.rows[0];
+
+    if (!twin) {
+      throw new ServiceError('Customer not found', 404, 'TWIN_NOT_FOUND');
+    }
+
+    return twin;
+  }
+
+  // Policies the customer currently holds (most recent first within each line)
+  async getPolicies(customerId, db = this.pool) {
+    const policiesByCustomer = await this.getPoliciesForCustomers([customerId], db);
+    return policiesByCustomer.get(parseInt(customerId)) || [];
+  }
+
+  // Held policies for many customers at once, as a Map of customer_id → policies.
+  // Cancelled and expired policies are not held, so they never take a deductible change or a loss.
+  async getPoliciesForCustomers(customerIds, db = this.pool) {
+    const result = await db.query(`
+      SELECT customer_id, policy_id, line, coverage_limit, deductible, premium, start_date, end_date
+      FROM policies
+      WHERE customer_id = ANY($1::int[]) AND cancelled_at IS NULL
+        AND (end_date IS NULL OR end_date >= CURRENT_DATE)
+      ORDER BY customer_id, line, start_date DESC NULLS LAST
+    `, [customerIds.map(id => parseInt(id))]);
+
+    const policiesByCustomer = new Map();
+    result.rows.forEach(policy => {
+      if (!policiesByCustomer.has(policy.customer_id)) {
+        policiesByCustomer.set(policy.customer_id, []);
+      }
+      policiesByCustomer.get(policy.customer_id).push({
+        ...policy,
+        coverage_limit: policy.coverage_limit !== null ? parseFloat(policy.coverage_limit) : null,
+        deductible: policy.deductible !== null ? parseFloat(policy.deductible) : null,
+        premium: policy.premium !== null ? parseFloat(policy.premium) : null
+      });
+    });
+
+    return policiesByCustomer;
+  }
+
+  // Current policy for a line, or undefined when the line is not held
+  findPolicy(policies, line) {
+    return policies.find(policy => policy.line === line);
+  }
+
+  // Active state factor table (see RiskFactorService)
+  async getFactorTable() {
+    return this.riskFactorService.getActiveTable();
+  }
+
+  // Pure impact calculation - never touches the database
+  // policies: the customer's held policies (see getPolicies)
+  // factorTable: state factor table from getFactorTable (required for relocations)
+  calculateScenarioImpact(twin, changeJson, policies = [], factorTable = null) {
+    const before = {
+      risk_score: parseFloat(twin.base_risk_score),
+      claim_prob: parseFloat(twin.next12m_claim_prob),
+      expected_loss: parseFloat(twin.next12m_expected_loss),
+      state: twin.state
+    };
+
+    const factors = changeJson.no_change ? [] : this.getImpactFactors(twin, changeJson, policies, factorTable);
+
+    let riskScore = before.risk_score;
+    let claimProb = before.claim_prob;
+    let expectedLoss = before.expected_loss;
+
+    factors.forEach(factor => {
+      riskScore *= factor.risk_score;
+      claimProb *= factor.claim_prob;
+      expectedLoss *= factor.expected_loss;
+    });
+
+    // Ensure values stay within reasonable bounds
+    const after = {
+      risk_score: parseFloat(Math.max(0, Math.min(100, riskScore)).toFixed(1)),
+      claim_prob: parseFloat(Math.max(0, Math.min(1, claimProb)).toFixed(4)),
+      expected_loss: parseFloat(Math.max(0, expectedLoss).toFixed(2)),
+      state: changeJson.move_state || before.state
+    };
+
+    const delta = {
+      risk_score: parseFloat((after.risk_score - before.risk_score).toFixed(1)),
+      claim_prob: parseFloat((after.claim_prob - before.claim_prob).toFixed(4)),
+      expected_loss: parseFloat((after.expected_loss - before.expected_loss).toFixed(2))
+    };
+
+    return {
+      before,
+      after,
+      delta,
+      premium_impact: Math.round(delta.risk_score * this.premiumPerRiskPoint),
+      factors,
+      deductible: changeJson.no_change ? null : this.resolveDeductibleChange(changeJson, policies),
+      factor_version_id: factorTable ? factorTable.version_id : null
+    };
+  }
+
+  // Deductible change for change_json, computed from the policy record rather than
+  // client-supplied amounts. Applies to deductible_line, or the first held line.
+  // Returns { line, policy_id, before, after }, or null when the deductible is untouched.
+  resolveDeductibleChange(changeJson, policies = []) {
+    const isRestore = changeJson.restore_deductible !== undefined;
+    if (!changeJson.increase_deductible && !changeJson.decrease_deductible && !isRestore) {
+      return null;
+    }
+
+    const policy = changeJson.deductible_line ? this.findPolicy(policies, changeJson.deductible_line) : policies[0];
+    if (!policy) {
+      const message = changeJson.deductible_line
+        ? `Customer does not hold the ${changeJson.deductible_line} line`
+        : 'Customer holds no policy whose deductible can change';
+      throw new ServiceError(message, 409, 'POLICY_LINE_NOT_HELD');
+    }
+    if (policy.deductible === null || isNaN(policy.deductible)) {
+      throw new ServiceError(`Current ${policy.line} deductible is unknown`, 409, 'DEDUCTIBLE_UNKNOWN');
+    }
+
+    const before = policy.deductible;
+    let after;
+    if (isRestore) {
+      after = parseFloat(changeJson.restore_deductible);
+    } else if (changeJson.increase_deductible) {
+      after = before + parseFloat(changeJson.increase_deductible);
+    } else {
+      after = before - parseFloat(changeJson.decrease_deductible);
+    }
+
+    const bounds = deductibleBounds[policy.line] || { min: 0, max: Infinity };
+    if (after < bounds.min || after > bounds.max) {
+      throw new ServiceError(
+        `${policy.line} deductible would be $${after}; it must stay between $${bounds.min} and $${bounds.max}`,
+        400,
+        'DEDUCTIBLE_OUT_OF_RANGE'
+      );
+    }
+
+    return { line: policy.line, policy_id: policy.policy_id, before, after };
+  }
+
+  // change_json as stored on the scenario: before_deductible / final_deductible are
+  // replaced with the amounts resolved from the policy record
+  recordDeductibleAmounts(changeJson, policies) {
+    const recorded = { ...changeJson };
+    delete recorded.before_deductible;
+    delete recorded.final_deductible;
+
+    const deductible = recorded.no_change ? null : this.resolveDeductibleChange(recorded, policies);
+    if (deductible) {
+      recorded.deductible_line = deductible.line;
+      recorded.before_deductible = deductible.before;
+      recorded.final_deductible = deductible.after;
+    }
+    return recorded;
+  }
+
+  // Multipliers contributed by each recognised change in change_json
+  getImpactFactors(twin, changeJson, policies = [], factorTable = null) {
+    const factors = [];
+    const uniform = (change, description, factor) => ({
+      change,
+      description,
+      risk_score: factor,
+      claim_prob: factor,
+      expected_loss: factor
+    });
+
+    // State relocation
+    if (changeJson.move_state) {
+      if (!factorTable) {
+        throw new Error('A state factor table is required to evaluate move_state');
+      }
+
+      const heldLines = policies.map(policy => policy.line);
+      const newStateFactor = this.riskFactorService.getRelocationFactor(factorTable, changeJson.move_state, heldLines);
+      if (newStateFactor === null) {
+        throw new ServiceError(`No risk factors defined for state ${changeJson.move_state}`, 400, 'UNKNOWN_STATE');
+      }
+      const currentStateFactor = this.riskFactorService.getRelocationFactor(factorTable, twin.state, heldLines) || 1.0;
+
+      factors.push(uniform('move_state', `Relocate ${twin.state} → ${changeJson.move_state}`, newStateFactor / currentStateFactor));
+    }
+
+    // ZIP-level relocation (metro density and coastal exposure)
+    if (changeJson.move_zip) {
+      const zipAdjustment = getZipFactor(changeJson.move_zip) / getZipFactor(twin.zip);
+      factors.push(uniform('move_zip', `Relocate ZIP ${twin.zip || 'unknown'} → ${changeJson.move_zip}`, zipAdjustment));
+    }
+
+    // Vehicle usage change
+    if (changeJson.change_vehicle_use) {
+      const currentFactor = vehicleUseFactors[twin.vehicle_use] || 1.0;
+      const newFactor = vehicleUseFactors[changeJson.change_vehicle_use];
+      factors.push(uniform('change_vehicle_use', `Vehicle use ${twin.vehicle_use || 'unknown'} → ${changeJson.change_vehicle_use}`, newFactor / currentFactor));
+    }
+
+    // Home type change
+    if (changeJson.change_home_type) {
+      const currentFactor = homeTypeFactors[twin.home_type] || 1.0;
+      const newFactor = homeTypeFactors[changeJson.change_home_type];
+      factors.push(uniform('change_home_type', `Home type ${twin.home_type || 'unknown'} → ${changeJson.change_home_type}`, newFactor / currentFactor));
+    }
+
+    // Deductible adjustment (increase, decrease or restore to an amount)
+    const deductible = this.resolveDeductibleChange(changeJson, policies);
+    if (deductible) {
+      let change = 'restore_deductible';
+      if (changeJson.restore_deductible === undefined) {
+        change = changeJson.increase_deductible ? 'increase_deductible' : 'decrease_deductible';
+      }
+
+      factors.push(uniform(
+        change,
+        `${deductible.line} deductible $${deductible.before} → $${deductible.after}`,
+        1 - ((deductible.after - deductible.before) * this.deductibleImpactPerDollar)
+      ));
+    }
+
+    // Coverage limit change on one line
+    if (changeJson.change_coverage_limit) {
+      const { line, new_limit } = changeJson.change_coverage_limit;
+      const policy = this.findPolicy(policies, line);
+
+      if (!policy) {
+        throw new ServiceError(`Customer does not hold the ${line} line`, 409, 'POLICY_LINE_NOT_HELD');
+      }
+      if (!policy.coverage_limit) {
+        throw new ServiceError(`Current ${line} coverage limit is unknown`, 409, 'COVERAGE_LIMIT_UNKNOWN');
+      }
+
+      const ratio = parseFloat(new_limit) / policy.coverage_limit;
+      factors.push({
+        change: 'change_coverage_limit',
+        description: `${line} coverage limit $${policy.coverage_limit} → $${new_limit}`,
+        risk_score: Math.pow(ratio, coverageLimitElasticity.risk_score),
+        claim_prob: Math.pow(ratio, coverageLimitElasticity.claim_prob),
+        expected_loss: Math.pow(ratio, coverageLimitElasticity.expected_loss)
+      });
+    }
+
+    // Add a policy line
+    if (changeJson.add_policy_line) {
+      const line = changeJson.add_policy_line;
+      if (this.findPolicy(policies, line)) {
+        throw new ServiceError(`Customer already holds the ${line} line`, 409, 'POLICY_LINE_ALREADY_HELD');
+      }
+
+      const profile = policyLineProfiles[line];
+      factors.push({
+        change: 'add_policy_line',
+        description: `Add ${line} policy`,
+        risk_score: profile.risk_score,
+        claim_prob: profile.claim_prob,
+        expected_loss: 1 + profile.loss_share
+      });
+    }
+
+    // Drop a policy line
+    if (changeJson.drop_policy_line) {
+      const line = changeJson.drop_policy_line;
+      if (!this.findPolicy(policies, line)) {
+        throw new ServiceError(`Customer does not hold the ${line} line`, 409, 'POLICY_LINE_NOT_HELD');
+      }
+      if (policies.length <= 1) {
+        throw new ServiceError('Cannot drop the customer\'s only policy line', 409, 'LAST_POLICY_LINE');
+      }
+
+      const profile = policyLineProfiles[line];
+      factors.push({
+        change: 'drop_policy_line',
+        description: `Drop ${line} policy`,
+        risk_score: 1 / profile.risk_score,
+        claim_prob: 1 / profile.claim_prob,
+        expected_loss: 1 - profile.loss_share
+      });
+    }
+
+    return factors;
+  }
+
+  // Dry run: same math as an application, nothing is written
+  async previewScenario(customerId, changeJson, name = null) {
+    await this.ensureSchema();
+
+    const twin = await this.getTwin(customerId);
+    const policies = await this.getPolicies(customerId);
+    const factorTable = await this.getFactorTable();
+    const impact = this.calculateScenarioImpact(twin, changeJson, policies, factorTable);
+
+    return {
+      customer_id: parseInt(customerId),
+      customer_name: twin.name,
+      dry_run: true,
+      change_json: changeJson,
+      ...impact,
+      timeline_preview: this.buildTimelineEntry(name || 'What-if preview', changeJson, this.summarizeImpact(impact)),
+      generated_at: new Date().toISOString()
+    };
+  }
+
+  // Evaluate several candidate change sets for one customer side by side.
+  // Nothing is written; ranking is by the chosen delta, lowest (most favourable) first.
+  async compareScenarios(customerId, candidates, rankBy = 'risk_score') {
+    await this.ensureSchema();
+
+    const twin = await this.getTwin(customerId);
+    const policies = await this.getPolicies(customerId);
+    const factorTable = await this.getFactorTable();
+
+    const evaluated = candidates.map((candidate, index) => {
+      const name = candidate.name || `Scenario ${index + 1}`;
+      try {
+        const impact = this.calculateScenarioImpact(twin, candidate.change_json, policies, factorTable);
+        return {
+          name,
+          change_json: candidate.change_json,
+          after: impact.after,
+          delta: impact.delta,
+          premium_impact: impact.premium_impact,
+          factors: impact.factors
+        };
+      } catch (error) {
+        if (!(error instanceof ServiceError)) throw error;
+        return { name, change_json: candidate.change_json, error: error.message, code: error.code };
+      }
+    });
+
+    const rankValue = (result) => rankBy === 'premium' ? result.premium_impact : result.delta[rankBy];
+    const ranked = evaluated
+      .filter(result => !result.error)
+      .sort((a, b) => rankValue(a) - rankValue(b))
+      .map((result, index) => ({ rank: index + 1, ...result }));
+
+    return {
+      customer_id: parseInt(customerId),
+      customer_name: twin.name,
+      rank_by: rankBy,
+      baseline: this.calculateScenarioImpact(twin, { no_change: true }).before,
+      comparison: ranked,
+      not_applicable: evaluated.filter(result => result.error),
+      best: ranked[0] ? ranked[0].name : null,
+      factor_version_id: factorTable.version_id,
+      generated_at: new Date().toISOString()
+    };
+  }
+
+  // Apply scenario changes to the customer and risk_twins tables
+  // Every application is recorded as a new twin version so it can be reverted.
+  // Pass the transaction client as db; applyScenario() does this for the API.
+  async applyScenarioImpact(customerId, changeJson, { scenarioId = null, changedBy = null, factorTable = null } = {}, db = this.pool) {
+    await this.ensureSchema();
+
+    const table = factorTable || await this.getFactorTable();
+    const twin = await this.getTwin(customerId, db);
+    const policies = await this.getPolicies(customerId, db);
+    const impact = this.calculateScenarioImpact(twin, changeJson, policies, table);
+
+    await this.historyService.ensureBaseline(customerId, db);
+
+    // Update customer location and profile in customers table
+    await this.updateCustomerProfile(customerId, {
+      state: changeJson.move_state,
+      zip: changeJson.move_zip,
+      vehicle_use: changeJson.change_vehicle_use,
+      home_type: changeJson.change_home_type
+    }, db);
+
+    // Update policy records for deductible, coverage and line changes
+    await this.applyPolicyChanges(customerId, changeJson, policies, impact.deductible, db);
+
+    // Update risk_twins table with new calculated values
+    await db.query(`
+      UPDATE risk_twins
+      SET base_risk_score = $1,
+          next12m_claim_prob = $2,
+          next12m_expected_loss = $3,
+          updated_at = NOW()
+      WHERE customer_id = $4
+    `, [impact.after.risk_score, impact.after.claim_prob, impact.after.expected_loss, customerId]);
+
+    await this.historyService.recordVersion(customerId, {
+      source: 'scenario',
+      changedBy,
+      scenarioId,
+      factorVersionId: table.version_id
+    }, db);
+
+    console.log(`Scenario impact applied for customer ${customerId}:`, {
+      riskScore: `${impact.before.risk_score} → ${impact.after.risk_score}`,
+      claimProb: `${(impact.before.claim_prob * 100).toFixed(1)}% → ${(impact.after.claim_prob * 100).toFixed(1)}%`,
+      expectedLoss: `$${impact.before.expected_loss} → $${impact.after.expected_loss.toFixed(0)}`
+    });
+
+    return this.summarizeImpact(impact);
+  }
+
+  // Write the customer attributes that are defined in updates
+  async updateCustomerProfile(customerId, updates, db) {
+    const columns = ['state', 'city', 'zip', 'vehicle_use', 'home_type']
+      .filter(column => updates[column] !== undefined);
+
+    if (columns.length === 0) return;
+
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+    await db.query(
+      `UPDATE customers SET ${assignments.join(', ')} WHERE customer_id = $${columns.length + 1}`,
+      [...columns.map(column => updates[column]), customerId]
+    );
+  }
+
+  // Persist deductible and coverage limit changes and policy line additions / cancellations
+  // deductible: resolved change from resolveDeductibleChange (or null)
+  async applyPolicyChanges(customerId, changeJson, policies, deductible, db) {
+    if (deductible) {
+      await db.query(
+        'UPDATE policies SET deductible = $1 WHERE policy_id = $2',
+        [deductible.after, deductible.policy_id]
+      );
+    }
+
+    if (changeJson.change_coverage_limit) {
+      const policy = this.findPolicy(policies, changeJson.change_coverage_limit.line);
+      await db.query(
+        'UPDATE policies SET coverage_limit = $1 WHERE policy_id = $2',
+        [changeJson.change_coverage_limit.new_limit, policy.policy_id]
+      );
+    }
+
+    if (changeJson.add_policy_line) {
+      const profile = policyLineProfiles[changeJson.add_policy_line];
+      await db.query(`
+        INSERT INTO policies (customer_id, line, coverage_limit, deductible, start_date, end_date)
+        VALUES ($1, $2, $3, $4, CURRENT_DATE, CURRENT_DATE + INTERVAL '1 year')
+      `, [customerId, changeJson.add_policy_line, profile.default_limit, profile.default_deductible]);
+    }
+
+    if (changeJson.drop_policy_line) {
+      await db.query(`
+        UPDATE policies
+        SET cancelled_at = NOW(), end_date = CURRENT_DATE
+        WHERE customer_id = $1 AND line = $2 AND cancelled_at IS NULL
+      `, [customerId, changeJson.drop_policy_line]);
+    }
+  }
+
+  // Restore customer attributes and policies captured in a twin version snapshot
+  async restoreSnapshot(customerId, snapshot, db) {
+    await this.updateCustomerProfile(customerId, snapshot, db);
+
+    // Snapshots recorded before policies were tracked leave policies untouched
+    if (!Array.isArray(snapshot.policies)) return;
+
+    const policyIds = snapshot.policies.map(policy => policy.policy_id);
+    for (const policy of snapshot.policies) {
+      await db.query(`
+        UPDATE policies
+        SET coverage_limit = $1, deductible = $2, end_date = $3, cancelled_at = $4
+        WHERE policy_id = $5
+      `, [policy.coverage_limit, policy.deductible, policy.end_date, policy.cancelled_at || null, policy.policy_id]);
+    }
+
+    // Lines added after the snapshot are cancelled rather than deleted (claims may reference them)
+    await db.query(`
+      UPDATE policies
+      SET cancelled_at = NOW(), end_date = CURRENT_DATE
+      WHERE customer_id = $1 AND cancelled_at IS NULL AND NOT (policy_id = ANY($2::int[]))
+    `, [customerId, policyIds]);
+  }
+
+  // Lock the twin row so concurrent scenarios on one customer serialise
+  async lockTwin(customerId, db) {
+    const result = await db.query(
+      'SELECT customer_id FROM risk_twins WHERE customer_id = $1 FOR UPDATE',
+      [customerId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError('Customer not found', 404, 'TWIN_NOT_FOUND');
+    }
+  }
+
+  // Full scenario pipeline in one transaction:
+  // scenario insert, customer + twin updates, version history and timeline event
+  async applyScenario(customerId, name, changeJson, { changedBy = null, templateId = null } = {}) {
+    await this.ensureSchema();
+
+    return withTransaction(this.pool, (client) =>
+      this.applyScenarioInTransaction(client, customerId, name, changeJson, { changedBy, templateId })
+    );
+  }
+
+  // Scenario pipeline steps on an open transaction (caller owns BEGIN / COMMIT)
+  async applyScenarioInTransaction(client, customerId, name, requestedChangeJson, { changedBy = null, templateId = null } = {}) {
+    await this.lockTwin(customerId, client);
+    const factorTable = await this.getFactorTable();
+    const changeJson = this.recordDeductibleAmounts(requestedChangeJson, await this.getPolicies(customerId, client));
+
+    const scenarioResult = await client.query(`
+      INSERT INTO scenarios (customer_id, name, change_json, template_id, status, requested_by, factor_version_id, applied_at)
+      VALUES ($1, $2, $3, $4, 'applied', $5, $6, NOW())
+      RETURNING *
+    `, [customerId, name, JSON.stringify(changeJson), templateId, changedBy, factorTable.version_id]);
+    const scenario = scenarioResult.rows[0];
+
+    const impact = await this.executeScenario(client, scenario, changeJson, changedBy, factorTable);
+
+    return { scenario, impact };
+  }
+
+  // Twin updates and timeline event for a scenario taking effect now (twin already locked)
+  async executeScenario(client, scenario, changeJson, changedBy, factorTable) {
+    // Apply scenario changes to customer risk profile
+    let impact = null;
+    if (!changeJson.no_change) {
+      impact = await this.applyScenarioImpact(scenario.customer_id, changeJson, {
+        scenarioId: scenario.scenario_id,
+        changedBy,
+        factorTable
+      }, client);
+    }
+
+    const timelineEntry = this.buildTimelineEntry(scenario.name, changeJson, impact);
+    await client.query(`
+      INSERT INTO timeline_events (customer_id, title, details, event_ts, tag)
+      VALUES ($1, $2, $3, NOW(), 'scenario')
+    `, [scenario.customer_id, timelineEntry.title, timelineEntry.details]);
+
+    return impact;
+  }
+
+  // Store a scenario as pending until effective_at; ScenarioScheduler applies it then
+  async scheduleScenario(customerId, name, changeJson, effectiveAt, { changedBy = null, templateId = null } = {}) {
+    await this.ensureSchema();
+
+    return withTransaction(this.pool, async (client) => {
+      await this.lockTwin(customerId, client);
+
+      // Reject changes that cannot apply to this customer today (e.g. dropping a line they do not hold)
+      const twin = await this.getTwin(customerId, client);
+      const policies = await this.getPolicies(customerId, client);
+      const factorTable = await this.getFactorTable();
+      const projectedImpact = this.calculateScenarioImpact(twin, changeJson, policies, factorTable);
+
+      // factor_version_id and deductible amounts are projections until the scenario is applied
+      const scenarioResult = await client.query(`
+        INSERT INTO scenarios (customer_id, name, change_json, template_id, status, effective_at, requested_by, factor_version_id, applied_at)
+        VALUES ($1, $2, $3, $4, 'pending', $5, $6, $7, NULL)
+        RETURNING *
+      `, [customerId, name, JSON.stringify(this.recordDeductibleAmounts(changeJson, policies)), templateId, effectiveAt, changedBy, factorTable.version_id]);
+      const scenario = scenarioResult.rows[0];
+
+      const detailParts = [
+        name,
+        `Takes effect ${this.formatDate(effectiveAt)}`
+      ];
+      if (!changeJson.no_change) {
+        detailParts.push(`Projected risk: ${projectedImpact.before.risk_score.toFixed(1)}→${projectedImpact.after.risk_score.toFixed(1)}`);
+      }
+
+      await client.query(`
+        INSERT INTO timeline_events (customer_id, title, details, event_ts, tag)
+        VALUES ($1, $2, $3, NOW(), 'scenario')
+      `, [customerId, '🗓️ Scenario Scheduled', detailParts.join(' | ')]);
+
+      return { scenario, projected_impact: projectedImpact };
+    });
+  }
+
+  // Pending scenarios whose effective date has arrived, oldest first
+  async getDueScenarioIds(limit = 100) {
+    await this.ensureSchema();
+
+    const result = await this.pool.query(`
+      SELECT scenario_id FROM scenarios
+      WHERE status = 'pending' AND effective_at <= NOW()
+      ORDER BY effective_at, scenario_id
+      LIMIT $1
+    `, [limit]);
+    return result.rows.map(row => row.scenario_id);
+  }
+
+  async getPendingScenarios(customerId = null) {
+    await this.ensureSchema();
+
+    const result = await this.pool.query(`
+      SELECT * FROM scenarios
+      WHERE status = 'pending' AND ($1::int IS NULL OR customer_id = $1)
+      ORDER BY effective_at, scenario_id
+    `, [customerId]);
+    return result.rows;
+  }
+
+  // Apply one due pending scenario; returns null if it was cancelled or applied meanwhile
+  async applyDueScenario(scenarioId) {
+    await this.ensureSchema();
+
+    return withTransaction(this.pool, async (client) => {
+      const scenarioResult = await client.query('SELECT * FROM scenarios WHERE scenario_id = $1 FOR UPDATE', [scenarioId]);
+      const scenario = scenarioResult.rows[0];
+      if (!scenario || scenario.status !== 'pending') return null;
+
+      return this.applyStoredScenario(client, scenario);
+    });
+  }
+
+  // Apply a stored scenario (pending or approved) on an open transaction; the
+  // caller has locked the scenario row and checked its status
+  async applyStoredScenario(client, scenario) {
+    await this.lockTwin(scenario.customer_id, client);
+    const factorTable = await this.getFactorTable();
+    const changeJson = this.recordDeductibleAmounts(scenario.change_json, await this.getPolicies(scenario.customer_id, client));
+
+    const impact = await this.executeScenario(client, scenario, changeJson, scenario.requested_by, factorTable);
+
+    const updated = await client.query(`
+      UPDATE scenarios SET status = 'applied', applied_at = NOW(), factor_version_id = $2, change_json = $3
+      WHERE scenario_id = $1
+      RETURNING *
+    `, [scenario.scenario_id, factorTable.version_id, JSON.stringify(changeJson)]);
+
+    return { scenario: updated.rows[0], impact };
+  }
+
+  // A scheduled change that no longer fits the customer is parked rather than retried forever
+  async markScenarioFailed(scenarioId, reason) {
+    await withTransaction(this.pool, async (client) => {
+      const result = await client.query(`
+        UPDATE scenarios SET status = 'failed', failure_reason = $2
+        WHERE scenario_id = $1 AND status = 'pending'
+        RETURNING *
+      `, [scenarioId, reason]);
+      const scenario = result.rows[0];
+      if (!scenario) return;
+
+      await client.query(`
+        INSERT INTO timeline_events (customer_id, title, details, event_ts, tag)
+        VALUES ($1, $2, $3, NOW(), 'scenario')
+      `, [scenario.customer_id, '⚠️ Scheduled Scenario Failed', `${scenario.name} | ${reason}`]);
+    });
+  }
+
+  // Cancel a pending scenario before its effective date
+  async cancelScenario(scenarioId, changedBy = null) {
+    await this.ensureSchema();
+
+    return withTransaction(this.pool, async (client) => {
+      const scenarioResult = await client.query('SELECT * FROM scenarios WHERE scenario_id = $1 FOR UPDATE', [scenarioId]);
+      const scenario = scenarioResult.rows[0];
+
+      if (!scenario) {
+        throw new ServiceError('Scenario not found', 404, 'SCENARIO_NOT_FOUND');
+      }
+      if (scenario.status !== 'pending') {
+        throw new ServiceError(`Only pending scenarios can be cancelled (status: ${scenario.status})`, 409, 'SCENARIO_NOT_PENDING');
+      }
+
+      const updated = await client.query(`
+        UPDATE scenarios SET status = 'cancelled', cancelled_at = NOW()
+        WHERE scenario_id = $1
+        RETURNING *
+      `, [scenarioId]);
+
+      const detailParts = [scenario.name, `Was due ${this.formatDate(scenario.effective_at)}`];
+      if (changedBy) {
+        detailParts.push(`Cancelled by ${changedBy}`);
+      }
+
+      await client.query(`
+        INSERT INTO timeline_events (customer_id, title, details, event_ts, tag)
+        VALUES ($1, $2, $3, NOW(), 'scenario')
+      `, [scenario.customer_id, '🚫 Scheduled Scenario Cancelled', detailParts.join(' | ')]);
+
+      return updated.rows[0];
+    });
+  }
+
+  formatDate(value) {
+    return new Date(value).toISOString().slice(0, 10);
+  }
+
+  // Undo an applied scenario by restoring the twin version that preceded it
+  async revertScenario(scenarioId, changedBy = null) {
+    await this.ensureSchema();
+
+    return withTransaction(this.pool, async (client) => {
+      const scenarioResult = await client.query('SELECT * FROM scenarios WHERE scenario_id = $1 FOR UPDATE', [scenarioId]);
+      const scenario = scenarioResult.rows[0];
+
+      if (!scenario) {
+        throw new ServiceError('Scenario not found', 404, 'SCENARIO_NOT_FOUND');
+      }
+      if (scenario.reverted_at) {
+        throw new ServiceError('Scenario has already been reverted', 409, 'SCENARIO_ALREADY_REVERTED');
+      }
+      if (scenario.status !== 'applied') {
+        throw new ServiceError(`Scenario has not been applied (status: ${scenario.status}); cancel pending scenarios instead`, 409, 'SCENARIO_NOT_APPLIED');
+      }
+
+      await this.lockTwin(scenario.customer_id, client);
+
+      const scenarioVersion = await this.historyService.getScenarioVersion(scenarioId, client);
+      if (!scenarioVersion) {
+        throw new ServiceError('Scenario did not change the twin or predates version history', 409, 'SCENARIO_NOT_REVERTIBLE');
+      }
+
+      // Only the most recent change can be undone without discarding later ones
+      const latestVersion = await this.historyService.getLatestVersion(scenario.customer_id, client);
+      if (latestVersion.version_no !== scenarioVersion.version_no) {
+        throw new ServiceError('Twin has changed since this scenario was applied; revert later changes first', 409, 'SCENARIO_SUPERSEDED');
+      }
+
+      const priorVersion = await this.historyService.getVersion(scenario.customer_id, scenarioVersion.version_no - 1, client);
+      if (!priorVersion) {
+        throw new ServiceError('No prior twin version to restore', 409, 'SCENARIO_NOT_REVERTIBLE');
+      }
+
+      const snapshot = priorVersion.customer_snapshot || {};
+
+      await client.query(`
+        UPDATE risk_twins
+        SET base_risk_score = $1,
+            next12m_claim_prob = $2,
+            next12m_expected_loss = $3,
+            updated_at = NOW()
+        WHERE customer_id = $4
+      `, [priorVersion.base_risk_score, priorVersion.next12m_claim_prob, priorVersion.next12m_expected_loss, scenario.customer_id]);
+
+      await this.restoreSnapshot(scenario.customer_id, snapshot, client);
+
+      await client.query(`UPDATE scenarios SET status = 'reverted', reverted_at = NOW() WHERE scenario_id = $1`, [scenarioId]);
+
+      const revertVersion = await this.historyService.recordVersion(scenario.customer_id, {
+        source: 'revert',
+        changedBy,
+        scenarioId,
+        notes: `Reverted scenario ${scenarioId} to version ${priorVersion.version_no}`,
+        mlAdjustment: priorVersion.ml_adjustment
+      }, client);
+
+      // Compensating timeline event
+      const fromState = scenarioVersion.customer_snapshot?.state;
+      const detailParts = [
+        `Reverted scenario: ${scenario.name}`,
+        `Risk: ${scenarioVersion.base_risk_score.toFixed(1)}→${priorVersion.base_risk_score.toFixed(1)}`
+      ];
+      if (fromState && fromState !== snapshot.state) {
+        detailParts.push(`Location: ${fromState}→${snapshot.state}`);
+      }
+
+      await client.query(`
+        INSERT INTO timeline_events (customer_id, title, details, event_ts, tag)
+        VALUES ($1, $2, $3, NOW(), 'scenario')
+      `, [scenario.customer_id, '↩️ What-if Scenario Reverted', detailParts.join(' | ')]);
+
+      return {
+        scenario_id: scenario.scenario_id,
+        customer_id: scenario.customer_id,
+        reverted: {
+          from_version: scenarioVersion.version_no,
+          to_version: priorVersion.version_no,
+          new_version: revertVersion.version_no
+        },
+        restored_twin: {
+          base_risk_score: priorVersion.base_risk_score,
+          next12m_claim_prob: priorVersion.next12m_claim_prob,
+          next12m_expected_loss: priorVersion.next12m_expected_loss,
+          state: snapshot.state
+        },
+        reverted_at: new Date().toISOString()
+      };
+    });
+  }
+
+  // Shape used by timeline generation and scenario responses
+  summarizeImpact(impact) {
+    return {
+      beforeRiskScore: impact.before.risk_score,
+      afterRiskScore: impact.after.risk_score,
+      deductibleLine: impact.deductible ? impact.deductible.line : undefined,
+      beforeDeductible: impact.deductible ? impact.deductible.before : undefined,
+      afterDeductible: impact.deductible ? impact.deductible.after : undefined
+    };
+  }
+
+  // Generate business-focused timeline entry for a scenario
+  buildTimelineEntry(name, changeJson, impact) {
+    let title = '📅 What-if Scenario Applied';
+
+    // Build a concise, non-duplicative details string
+    const parts = [];
+
+    if (changeJson.move_state) {
+      parts.push(`Relocated to ${changeJson.move_state}`);
+    }
+    if (changeJson.move_zip) {
+      parts.push(`Moved to ZIP ${changeJson.move_zip}`);
+    }
+    if (changeJson.change_vehicle_use) {
+      parts.push(`Vehicle use: ${changeJson.change_vehicle_use}`);
+    }
+    if (changeJson.change_home_type) {
+      parts.push(`Home type: ${changeJson.change_home_type.replace(/_/g, ' ')}`);
+    }
+    if (changeJson.change_coverage_limit) {
+      parts.push(`${changeJson.change_coverage_limit.line} coverage limit: $${changeJson.change_coverage_limit.new_limit}`);
+    }
+    if (changeJson.add_policy_line) {
+      parts.push(`Added ${changeJson.add_policy_line} policy`);
+    }
+    if (changeJson.drop_policy_line) {
+      parts.push(`Dropped ${changeJson.drop_policy_line} policy`);
+    }
+
+    // Deductible wording uses the amounts resolved from the policy record
+    const hasDeductible = impact && impact.deductibleLine !== undefined;
+    const deductibleChange = hasDeductible ? impact.afterDeductible - impact.beforeDeductible : 0;
+    if (hasDeductible && changeJson.restore_deductible !== undefined) {
+      title = '💰 Deductible Restored';
+      parts.push(`Restored ${impact.deductibleLine} deductible to $${impact.afterDeductible}`);
+    } else if (hasDeductible && deductibleChange >= 0) {
+      title = `💰 Deductible Adjustment - Est. Premium Impact: -$${Math.round(deductibleChange * 0.15)}/year`;
+      parts.push(`Increased ${impact.deductibleLine} deductible by $${deductibleChange}`);
+    } else if (hasDeductible) {
+      title = `💰 Deductible Adjustment +$${Math.round(-deductibleChange * 0.15)}/year est.`;
+      parts.push(`Decreased ${impact.deductibleLine} deductible by $${-deductibleChange}`);
+    } else {
+      // Default description falls back to scenario name (when not purely deductible change)
+      parts.push(`Applied scenario: ${name}`);
+    }
+
+    // Append before/after metrics for storyboard display
+    if (impact) {
+      parts.push(`Risk: ${impact.beforeRiskScore.toFixed(1)}→${impact.afterRiskScore.toFixed(1)}`);
+      if (hasDeductible) {
+        parts.push(`Prev deductible: $${impact.beforeDeductible}`);
+        parts.push(`Current deductible: $${impact.afterDeductible}`);
+      }
+    }
+
+    return { title, details: parts.join(' | ') };
+  }
+}
+
+module.exports = ScenarioService;
@@ -0,0 +1,302 @@
+// Scenario Template Service
+// Persisted catalogue of reusable what-if scenarios with typed parameters
+
+const ServiceError = require('../utils/service-error');
+const ValidationMiddleware = require('../middleware/validation');
+
+class ScenarioTemplateService {
+  constructor(pool) {
+    this.pool = pool;
+    this.schemaReady = null;
+
+    // Supported parameter types and the fields each may declare
+    this.parameterTypes = ['number', 'state', 'enum', 'string'];
+
+    // Matches "{{param_name}}" placeholders
+    this.placeholderPattern = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+  }
+
+  // Create the template table on first use
+  async ensureSchema() {
+    if (!this.schemaReady) {
+      this.schemaReady = this.pool.query(`
+        CREATE TABLE IF NOT EXISTS scenario_templates (
+          template_id SERIAL PRIMARY KEY,
+          name TEXT NOT NULL UNIQUE,
+          description TEXT,
+          name_template TEXT,
+          change_template JSONB NOT NULL,
+          parameters JSONB NOT NULL DEFAULT '[]'::jsonb,
+          is_active BOOLEAN NOT NULL DEFAULT TRUE,
+          created_at TIMESTAMP DEFAULT NOW(),
+          updated_at TIMESTAMP DEFAULT NOW()
+        )
+      `).catch(error => {
+        this.schemaReady = null;
+        throw error;
+      });
+    }
+    return this.schemaReady;
+  }
+
+  async listTemplates({ includeInactive = false } = {}) {
+    await this.ensureSchema();
+
+    const result = await this.pool.query(`
+      SELECT * FROM scenario_templates
+      ${includeInactive ? '' : 'WHERE is_active = TRUE'}
+      ORDER BY name
+    `);
+    return result.rows;
+  }
+
+  async getTemplate(templateId) {
+    await this.ensureSchema();
+
+    const result = await this.pool.query('SELECT * FROM scenario_templates WHERE template_id = $1', [templateId]);
+    if (!result.rows[0]) {
+      throw new ServiceError('Scenario template not found', 404, 'TEMPLATE_NOT_FOUND');
+    }
+    return result.rows[0];
+  }
+
+  async createTemplate(template) {
+    await this.ensureSchema();
+    this.validateTemplate(template);
+
+    try {
+      const result = await this.pool.query(`
+        INSERT INTO scenario_templates (name, description, name_template, change_template, parameters)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [
+        template.name,
+        template.description || null,
+        template.name_template || null,
+        JSON.stringify(template.change_template),
+        JSON.stringify(template.parameters || [])
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      throw this.translateDbError(error);
+    }
+  }
+
+  // Full replacement of a template definition
+  async updateTemplate(templateId, template) {
+    await this.getTemplate(templateId);
+    this.validateTemplate(template);
+
+    try {
+      const result = await this.pool.query(`
+        UPDATE scenario_templates
+        SET name = $1, description = $2, name_template = $3, change_template = $4,
+            parameters = $5, is_active = $6, updated_at = NOW()
+        WHERE template_id = $7
+        RETURNING *
+      `, [
+        template.name,
+        template.description || null,
+        template.name_template || null,
+        JSON.stringify(template.change_template),
+        JSON.stringify(template.parameters || []),
+        template.is_active !== false,
+        templateId
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      throw this.translateDbError(error);
+    }
+  }
+
+  // Soft delete: scenarios keep pointing at retired templates
+  async deleteTemplate(templateId) {
+    await this.getTemplate(templateId);
+
+    const result = await this.pool.query(`
+      UPDATE scenario_templates SET is_active = FALSE, updated_at = NOW()
+      WHERE template_id = $1
+      RETURNING *
+    `, [templateId]);
+    return result.rows[0];
+  }
+
+  // Resolve a template + parameter values into a scenario name and change_json
+  async renderTemplate(templateId, values = {}) {
+    const template = await this.getTemplate(templateId);
+    if (!template.is_active) {
+      throw new ServiceError('Scenario template is no longer active', 409, 'TEMPLATE_INACTIVE');
+    }
+
+    const resolved = this.resolveParameters(template.parameters, values);
+    const changeJson = this.substitute(template.change_template, resolved);
+
+    const changeError = ValidationMiddleware.validateChangeJson(changeJson);
+    if (changeError) {
+      throw new ServiceError(changeError.error, 400, changeError.code);
+    }
+
+    return {
+      template_id: template.template_id,
+      name: template.name_template ? this.substitute(template.name_template, resolved) : template.name,
+      change_json: changeJson,
+      parameters: resolved
+    };
+  }
+
+  // Structural checks, then render with sample values through the scenario rules
+  validateTemplate(template) {
+    const parameters = template.parameters || [];
+    const names = new Set();
+
+    parameters.forEach(parameter => {
+      if (!parameter || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(parameter.name || '')) {
+        throw new ServiceError('Each parameter needs a name made of letters, digits and underscores', 400, 'INVALID_TEMPLATE_PARAMETER');
+      }
+      if (names.has(parameter.name)) {
+        throw new ServiceError(`Duplicate parameter: ${parameter.name}`, 400, 'INVALID_TEMPLATE_PARAMETER');
+      }
+      names.add(parameter.name);
+
+      if (!this.parameterTypes.includes(parameter.type)) {
+        throw new ServiceError(`Parameter ${parameter.name} type must be one of: ${this.parameterTypes.join(', ')}`, 400, 'INVALID_TEMPLATE_PARAMETER');
+      }
+      if (parameter.type === 'number' && [parameter.min, parameter.max].some(bound => bound !== undefined && typeof bound !== 'number')) {
+        throw new ServiceError(`Parameter ${parameter.name} min and max must be numbers`, 400, 'INVALID_TEMPLATE_PARAMETER');
+      }
+      if (parameter.type === 'number' && parameter.min !== undefined && parameter.max !== undefined && parameter.min > parameter.max) {
+        throw new ServiceError(`Parameter ${parameter.name} min must not exceed max`, 400, 'INVALID_TEMPLATE_PARAMETER');
+      }
+      if (parameter.type === 'enum' && (!Array.isArray(parameter.allowed) || parameter.allowed.length === 0)) {
+        throw new ServiceError(`Enum parameter ${parameter.name} needs an allowed list`, 400, 'INVALID_TEMPLATE_PARAMETER');
+      }
+    });
+
+    // Every placeholder must be declared
+    const placeholders = this.findPlaceholders([template.change_template, template.name_template]);
+    const undeclared = placeholders.filter(name => !names.has(name));
+    if (undeclared.length > 0) {
+      throw new ServiceError(`Undeclared template parameters: ${undeclared.join(', ')}`, 400, 'UNDECLARED_TEMPLATE_PARAMETER');
+    }
+
+    // Render with each parameter's default, then with every numeric range endpoint,
+    // so a declared range can never produce a change_json the scenario rules reject
+    const sampleValues = {};
+    parameters.forEach(parameter => {
+      sampleValues[parameter.name] = this.sampleValue(parameter);
+    });
+
+    const samples = [sampleValues];
+    parameters
+      .filter(parameter => parameter.type === 'number')
+      .forEach(parameter => {
+        [parameter.min, parameter.max]
+          .filter(bound => bound !== undefined)
+          .forEach(bound => samples.push({ ...sampleValues, [parameter.name]: bound }));
+      });
+
+    samples.forEach(values => {
+      const changeError = ValidationMiddleware.validateChangeJson(this.substitute(template.change_template, values));
+      if (changeError) {
+        throw new ServiceError(`Template does not produce a valid scenario: ${changeError.error}`, 400, changeError.code);
+      }
+    });
+  }
+
+  // Check supplied values against the declared types and ranges
+  resolveParameters(parameters, values) {
+    const resolved = {};
+
+    parameters.forEach(parameter => {
+      let value = values[parameter.name];
+      if (value === undefined || value === null || value === '') {
+        if (parameter.default === undefined) {
+          throw new ServiceError(`Missing template parameter: ${parameter.name}`, 400, 'MISSING_TEMPLATE_PARAMETER');
+        }
+        value = parameter.default;
+      }
+
+      switch (parameter.type) {
+        case 'number':
+          value = parseFloat(value);
+          if (isNaN(value)) {
+            throw new ServiceError(`Parameter ${parameter.name} must be a number`, 400, 'INVALID_TEMPLATE_PARAMETER');
+          }
+          if ((parameter.min !== undefined && value < parameter.min) || (parameter.max !== undefined && value > parameter.max)) {
+            throw new ServiceError(`Parameter ${parameter.name} must be between ${parameter.min ?? '-∞'} and ${parameter.max ?? '∞'}`, 400, 'TEMPLATE_PARAMETER_OUT_OF_RANGE');
+          }
+          break;
+        case 'state':
+          value = String(value).toUpperCase();
+          if (!ValidationMiddleware.validateStateCode(value) || (parameter.allowed && !parameter.allowed.includes(value))) {
+            throw new ServiceError(`Parameter ${parameter.name} must be a${parameter.allowed ? 'n allowed' : ''} state code`, 400, 'INVALID_TEMPLATE_PARAMETER');
+          }
+          break;
+        case 'enum':
+          if (!parameter.allowed.includes(value)) {
+            throw new ServiceError(`Parameter ${parameter.name} must be one of: ${parameter.allowed.join(', ')}`, 400, 'INVALID_TEMPLATE_PARAMETER');
+          }
+          break;
+        default:
+          value = String(value).trim();
+          if (value.length > 255) {
+            throw new ServiceError(`Parameter ${parameter.name} must be less than 255 characters`, 400, 'INVALID_TEMPLATE_PARAMETER');
+          }
+      }
+
+      resolved[parameter.name] = value;
+    });
+
+    return resolved;
+  }
+
+  sampleValue(parameter) {
+    if (parameter.default !== undefined) return parameter.default;
+    switch (parameter.type) {
+      case 'number': return parameter.min !== undefined ? parameter.min : (parameter.max !== undefined ? parameter.max : 0);
+      case 'state': return parameter.allowed ? parameter.allowed[0] : 'TX';
+      case 'enum': return parameter.allowed[0];
+      default: return 'sample';
+    }
+  }
+
+  // Replace placeholders; a value that is exactly one placeholder keeps its type
+  substitute(node, values) {
+    if (typeof node === 'string') {
+      const exact = node.match(/^\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}$/);
+      if (exact) return values[exact[1]];
+      return node.replace(this.placeholderPattern, (match, name) => String(values[name]));
+    }
+    if (Array.isArray(node)) {
+      return node.map(item => this.substitute(item, values));
+    }
+    if (node && typeof node === 'object') {
+      const result = {};
+      Object.keys(node).forEach(key => {
+        result[key] = this.substitute(node[key], values);
+      });
+      return result;
+    }
+    return node;
+  }
+
+  findPlaceholders(nodes) {
+    const names = new Set();
+    const text = JSON.stringify(nodes);
+    let match;
+    const pattern = new RegExp(this.placeholderPattern.source, 'g');
+    while ((match = pattern.exec(text)) !== null) {
+      names.add(match[1]);
+    }
+    return [...names];
+  }
+
+  translateDbError(error) {
+    if (error.code === '23505') {
+      return new ServiceError('A scenario template with this name already exists', 409, 'TEMPLATE_NAME_CONFLICT');
+    }
+    return error;
+  }
+}
+
+module.exports = ScenarioTemplateService;
@@ -0,0 +1,484 @@
+// Score Explanation Service
+// Additive attribution of every ML twin score to customer attributes and external factors,
+// ranked reason codes, and the stored explanations used to answer "why did my score change"
+
+const ServiceError = require('../utils/service-error');
+const { reasonFor } = require('./reason-codes');
+const { LogisticRegressionModel } = require('./claim-model');
+const { buildFeatures } = require('./claim-features');
+
+// Customer attributes the base risk score is attributed to, by explanation factor
+const surrogateFeatures = {
+  claims_history: ['prior_claims_3y', 'prior_loss_log', 'years_since_last_claim'],
+  vehicle_use: ['vehicle_use_factor'],
+  home_type: ['home_type_factor'],
+  age: ['age_years'],
+  zip: ['zip_factor']
+};
+
+// Claim model features by explanation factor (features not listed keep their own name)
+const claimFeatureFactors = {
+  age_years: 'age',
+  prior_claims_3y: 'claims_history',
+  prior_loss_log: 'claims_history',
+  years_since_last_claim: 'claims_history',
+  policy_count: 'coverage',
+  line_auto: 'coverage',
+  line_home: 'coverage',
+  line_renters: 'coverage',
+  line_umbrella: 'coverage',
+  coverage_log: 'coverage',
+  deductible_log: 'coverage',
+  vehicle_use_factor: 'vehicle_use',
+  home_type_factor: 'home_type',
+  zip_factor: 'zip',
+  segment_elevated: 'risk_segment'
+};
+
+class ScoreExplanationService {
+  // claimModelService: supplies the portfolio loader and claim features
+  constructor(pool, claimModelService, { cacheTtlMs = 15 * 60 * 1000, ridge = 0.01, logger = console } = {}) {
+    this.pool = pool;
+    this.claimModelService = claimModelService;
+    this.logger = logger;
+    this.schemaReady = null;
+
+    // The surrogate that attributes base scores is refitted on the whole portfolio at most this often
+    this.cacheTtlMs = cacheTtlMs;
+    this.ridge = ridge;
+    this.surrogate = null;
+    this.surrogateFittedAt = 0;
+    this.surrogateRefresh = null;
+
+    this.minSurrogateRows = 10;
+    this.minReasonImpact = 0.1; // Smaller contributions are kept but not reported as reasons
+  }
+
+  async ensureSchema() {
+    if (!this.schemaReady) {
+      this.schemaReady = this.pool.query(`
+        CREATE TABLE IF NOT EXISTS score_explanations (
+          explanation_id SERIAL PRIMARY KEY,
+          customer_id INTEGER NOT NULL REFERENCES customers(customer_id),
+          calculation_id INTEGER,
+          mode TEXT NOT NULL DEFAULT 'commit',
+          model_version TEXT,
+          score NUMERIC NOT NULL,
+          baseline NUMERIC NOT NULL,
+          contributions JSONB NOT NULL,
+          reason_codes JSONB NOT NULL,
+          claim_explanation JSONB,
+          surrogate JSONB,
+          explained_at TIMESTAMPTZ NOT NULL,
+          created_at TIMESTAMP DEFAULT NOW()
+        );
+        CREATE INDEX IF NOT EXISTS idx_score_explanations_customer ON score_explanations (customer_id, explanation_id DESC);
+        CREATE INDEX IF NOT EXISTS idx_score_explanations_calculation ON score_explanations (calculation_id);
+      `).catch(error => {
+        this.schemaReady = null;
+        throw error;
+      });
+    }
+    return this.schemaReady;
+  }
+
+  // Surrogate for explanations. Once a fit exists a stale one is still returned while the refit
+  // runs in the background, so explanations only wait for the very first fit (warmed at startup).
+  async getSurrogate(at) {
+    if (this.surrogateFittedAt && Date.now() - this.surrogateFittedAt < this.cacheTtlMs) {
+      return this.surrogate;
+    }
+
+    const refresh = this.refreshSurrogate(at);
+    if (!this.surrogateFittedAt) return refresh;
+
+    refresh.catch(error => this.logger.warn('Explanation surrogate refit failed', { error: error.message }));
+    return this.surrogate;
+  }
+
+  // Refit the surrogate now; concurrent callers share one fit
+  refreshSurrogate(at = new Date()) {
+    if (!this.surrogateRefresh) {
+      this.surrogateRefresh = this.fitPortfolioSurrogate(at).finally(() => {
+        this.surrogateRefresh = null;
+      });
+    }
+    return this.surrogateRefresh;
+  }
+
+  // Ridge regression of the portfolio's base risk scores on state and customer attributes.
+  // Its intercept (the portfolio mean) is the explanation baseline.
+  async fitPortfolioSurrogate(at) {
+    const [portfolio, twins] = await Promise.all([
+      this.claimModelService.loadPortfolio(),
+      this.pool.query('SELECT customer_id, base_risk_score FROM risk_twins')
+    ]);
+    const scores = new Map(twins.rows.map(row => [row.customer_id, parseFloat(row.base_risk_score)]));
+    const entries = portfolio.filter(entry => !isNaN(scores.get(entry.customer.customer_id)));
+
+    this.surrogate = entries.length >= this.minSurrogateRows
+      ? this.fitSurrogate(entries, entries.map(entry => scores.get(entry.customer.customer_id)), at)
+      : null;
+    this.surrogateFittedAt = Date.now();
+    return this.surrogate;
+  }
+
+  fitSurrogate(entries, targets, at) {
+    const states = [...new Set(entries.map(entry => entry.customer.state).filter(Boolean))].sort();
+    const columns = [
+      ...states.map(state => ({ name: `state_${state}`, factor: 'state' })),
+      ...Object.keys(surrogateFeatures).flatMap(factor => surrogateFeatures[factor].map(name => ({ name, factor })))
+    ];
+
+    const rows = entries.map(entry => this.surrogateRow(entry, at, columns));
+    const n = rows.length;
+    const width = columns.length;
+
+    const means = columns.map((column, j) => rows.reduce((sum, row) => sum + row[j], 0) / n);
+    const stds = columns.map((column, j) => {
+      const variance = rows.reduce((sum, row) => sum + Math.pow(row[j] - means[j], 2), 0) / n;
+      return variance > 0 ? Math.sqrt(variance) : 1;
+    });
+    const scaled = rows.map(row => row.map((value, j) => (value - means[j]) / stds[j]));
+    const baseline = targets.reduce((sum, value) => sum + value, 0) / n;
+
+    // (ZᵀZ + nλI) β = Zᵀ(y - ȳ)
+    const matrix = Array.from({ length: width }, (_, a) => Array.from({ length: width }, (_, b) =>
+      scaled.reduce((sum, row) => sum + row[a] * row[b], 0) + (a === b ? n * this.ridge : 0)
+    ));
+    const vector = Array.from({ length: width }, (_, a) =>
+      scaled.reduce((sum, row, i) => sum + row[a] * (targets[i] - baseline), 0)
+    );
+    const coefficients = solveLinearSystem(matrix, vector);
+
+    const residualSquares = scaled.reduce((sum, row, i) => {
+      const fitted = baseline + row.reduce((total, value, j) => total + value * coefficients[j], 0);
+      return sum + Math.pow(targets[i] - fitted, 2);
+    }, 0);
+    const totalSquares = targets.reduce((sum, value) => sum + Math.pow(value - baseline, 2), 0);
+
+    return {
+      fitted_at: at.toISOString(),
+      rows: n,
+      baseline,
+      columns,
+      means,
+      stds,
+      coefficients,
+      r_squared: totalSquares > 0 ? parseFloat((1 - residualSquares / totalSquares).toFixed(4)) : null
+    };
+  }
+
+  surrogateRow(entry, at, columns) {
+    const features = buildFeatures(entry, at);
+    return columns.map(column => (column.factor === 'state'
+      ? (column.name === `state_${entry.customer.state}` ? 1 : 0)
+      : features[column.name]));
+  }
+
+  // Readable value of each customer attribute for reason codes
+  describeCustomer(entry, at) {
+    const features = buildFeatures(entry, at);
+    const { customer } = entry;
+    return {
+      state: customer.state,
+      claims_history: `${features.prior_claims_3y} claim${features.prior_claims_3y === 1 ? '' : 's'} in the last 3 years`,
+      vehicle_use: customer.vehicle_use || 'unknown',
+      home_type: customer.home_type || 'unknown',
+      age: customer.dob ? Math.floor(features.age_years) : 'unknown',
+      zip: customer.zip || 'unknown',
+      coverage: `${features.policy_count} active polic${features.policy_count === 1 ? 'y' : 'ies'}`,
+      risk_segment: customer.risk_segment || 'standard'
+    };
+  }
+
+  describeExternal(factor, externalFactors, temporalAdjustment) {
+    switch (factor) {
+      case 'weather':
+        return `${Math.round(externalFactors.weather.severe_weather_probability * 100)}% severe weather probability` +
+          (externalFactors.weather.hurricane_season ? ', hurricane season' : '');
+      case 'economic':
+        return `${(externalFactors.economic.unemployment_rate * 100).toFixed(1)}% unemployment`;
+      case 'traffic':
+        return `${(externalFactors.traffic.accident_rate_increase * 100).toFixed(1)}% accident rate change`;
+      case 'market':
+        return `${(externalFactors.market.claims_frequency_trend * 100).toFixed(1)}% claims frequency trend`;
+      case 'temporal':
+        return `+${temporalAdjustment} adjustment`;
+      default:
+        return null;
+    }
+  }
+
+  // Explanation of one recalculation: baseline + contributions = new score. The base score is
+  // attributed with the portfolio surrogate (its residual is 'other'); each external factor and
+  // customer feature adjustment contributes its smoothed points, the latter added to the
+  // customer factor of the same name.
+  async explainRecalculation(db, { customerId, riskCalculation, riskModel, externalFactors, temporalAdjustment, claimScore, calculatedAt }) {
+    const [entry] = await this.claimModelService.loadPortfolio(parseInt(customerId), db);
+    if (!entry) {
+      throw new ServiceError('Customer not found', 404, 'TWIN_NOT_FOUND');
+    }
+
+    const surrogate = await this.getSurrogate(calculatedAt);
+    const values = this.describeCustomer(entry, calculatedAt);
+    const baseScore = riskCalculation.pre_adjustment_score;
+    const contributions = [];
+
+    const baseline = surrogate ? surrogate.baseline : baseScore;
+    if (surrogate) {
+      const row = this.surrogateRow(entry, calculatedAt, surrogate.columns);
+      const byFactor = new Map();
+      surrogate.columns.forEach((column, j) => {
+        const contribution = surrogate.coefficients[j] * (row[j] - surrogate.means[j]) / surrogate.stds[j];
+        byFactor.set(column.factor, (byFactor.get(column.factor) || 0) + contribution);
+      });
+      byFactor.forEach((contribution, factor) => {
+        contributions.push({ factor, source: 'customer', value: values[factor], contribution });
+      });
+
+      const explained = [...byFactor.values()].reduce((sum, value) => sum + value, 0);
+      contributions.push({ factor: 'other', source: 'customer', value: null, contribution: baseScore - baseline - explained });
+    }
+
+    const smoothing = riskModel.parameters.smoothing_factor;
+    Object.entries(riskCalculation.customer_factors || {}).forEach(([factor, adjustment]) => {
+      const existing = contributions.find(item => item.factor === factor && item.source === 'customer');
+      if (existing) {
+        existing.contribution += adjustment * smoothing;
+      } else {
+        contributions.push({
+          factor,
+          source: 'customer',
+          value: factor === 'tenure' ? `${riskCalculation.features.tenure_years} years` : values[factor],
+          contribution: adjustment * smoothing
+        });
+      }
+    });
+
+    Object.keys(riskCalculation.factors).filter(factor => factor !== 'customer').forEach(factor => {
+      contributions.push({
+        factor,
+        source: 'external',
+        value: this.describeExternal(factor, externalFactors, temporalAdjustment),
+        contribution: riskCalculation.factors[factor] * smoothing
+      });
+    });
+
+    const attributed = baseScore + Object.values(riskCalculation.factors).reduce((sum, value) => sum + value, 0) * smoothing;
+    const bounds = riskCalculation.new_score - attributed;
+    if (Math.abs(bounds) >= 0.005) {
+      contributions.push({ factor: 'score_bounds', source: 'model', value: null, contribution: bounds });
+    }
+
+    return {
+      model_version: riskCalculation.model_version,
+      score: riskCalculation.new_score,
+      baseline: round(baseline, 2),
+      contributions: contributions.map(item => ({ ...item, contribution: round(item.contribution, 2) })),
+      reason_codes: this.rankReasons(contributions),
+      claim_explanation: claimScore ? await this.explainClaimScore(claimScore, values) : null,
+      surrogate: surrogate ? { fitted_at: surrogate.fitted_at, rows: surrogate.rows, r_squared: surrogate.r_squared } : null
+    };
+  }
+
+  // Claim probability in log-odds: intercept (claim odds at the training mean) + feature contributions
+  async explainClaimScore(claimScore, values) {
+    const artifact = await this.claimModelService.loadArtifact(claimScore.model_id);
+    const model = LogisticRegressionModel.fromJSON(artifact);
+    const byFactor = new Map();
+    model.contributions(claimScore.features).forEach((contribution, j) => {
+      const factor = claimFeatureFactors[claimScore.feature_names[j]] || claimScore.feature_names[j];
+      byFactor.set(factor, (byFactor.get(factor) || 0) + contribution);
+    });
+
+    const contributions = [...byFactor.entries()].map(([factor, contribution]) => ({
+      factor,
+      source: 'customer',
+      value: values[factor] !== undefined ? values[factor] : null,
+      contribution
+    }));
+
+    return {
+      model_id: claimScore.model_id,
+      claim_prob: round(claimScore.claim_prob, 4),
+      baseline_prob: round(model.sigmoid(model.intercept), 4),
+      baseline_log_odds: round(model.intercept, 4),
+      contributions: contributions.map(item => ({ ...item, contribution: round(item.contribution, 4) })),
+      reason_codes: this.rankReasons(contributions, 0.05)
+    };
+  }
+
+  // Reason codes for the contributions that move the score, largest impact first
+  rankReasons(contributions, minImpact = this.minReasonImpact) {
+    return contributions
+      .filter(item => Math.abs(item.contribution) >= minImpact)
+      .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+      .map((item, index) => {
+        const reason = reasonFor(item.factor);
+        const direction = item.contribution > 0 ? 'increases' : 'decreases';
+        return {
+          rank: index + 1,
+          code: reason.code,
+          factor: item.factor,
+          label: reason.label,
+          direction,
+          impact: round(item.contribution, 4),
+          description: reason.describe(item.value, direction)
+        };
+      });
+  }
+
+  async saveExplanation(db, customerId, calculationId, mode, explanation, explainedAt) {
+    await this.ensureSchema();
+
+    const result = await db.query(`
+      INSERT INTO score_explanations (customer_id, calculation_id, mode, model_version, score, baseline,
+                                      contributions, reason_codes, claim_explanation, surrogate, explained_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING explanation_id
+    `, [
+      parseInt(customerId),
+      calculationId,
+      mode,
+      explanation.model_version,
+      explanation.score,
+      explanation.baseline,
+      JSON.stringify(explanation.contributions),
+      JSON.stringify(explanation.reason_codes),
+      explanation.claim_explanation ? JSON.stringify(explanation.claim_explanation) : null,
+      explanation.surrogate ? JSON.stringify(explanation.surrogate) : null,
+      explainedAt.toISOString()
+    ]);
+    return result.rows[0].explanation_id;
+  }
+
+  // Stored explanations for a customer, newest first (committed scores only unless includePreviews)
+  async listExplanations(customerId, { limit = 20, includePreviews = false } = {}) {
+    await this.ensureSchema();
+
+    const result = await this.pool.query(`
+      SELECT * FROM score_explanations
+      WHERE customer_id = $1 AND ($2 OR mode = 'commit')
+      ORDER BY explanation_id DESC
+      LIMIT $3
+    `, [customerId, includePreviews, limit]);
+    return result.rows;
+  }
+
+  async getLatestExplanation(customerId) {
+    const [latest] = await this.listExplanations(customerId, { limit: 1 });
+    if (!latest) {
+      throw new ServiceError('No score explanation stored for this customer', 404, 'EXPLANATION_NOT_FOUND');
+    }
+    return latest;
+  }
+
+  async getExplanation(explanationId, customerId = null) {
+    await this.ensureSchema();
+
+    const result = await this.pool.query(`
+      SELECT * FROM score_explanations
+      WHERE explanation_id = $1 AND ($2::int IS NULL OR customer_id = $2)
+    `, [explanationId, customerId]);
+    if (!result.rows[0]) {
+      throw new ServiceError('Score explanation not found', 404, 'EXPLANATION_NOT_FOUND');
+    }
+    return result.rows[0];
+  }
+
+  async getCalculationExplanation(calculationId) {
+    await this.ensureSchema();
+
+    const result = await this.pool.query('SELECT * FROM score_explanations WHERE calculation_id = $1', [calculationId]);
+    if (!result.rows[0]) {
+      throw new ServiceError('No score explanation stored for this calculation', 404, 'EXPLANATION_NOT_FOUND');
+    }
+    return result.rows[0];
+  }
+
+  // "Why did my score change": per-factor contribution differences between two stored explanations
+  // (by default the customer's last two committed scores), largest change first
+  async explainChange(customerId, { fromId = null, toId = null } = {}) {
+    let from;
+    let to;
+    if (fromId || toId) {
+      to = toId ? await this.getExplanation(toId, customerId) : await this.getLatestExplanation(customerId);
+      from = fromId ? await this.getExplanation(fromId, customerId) : null;
+    } else {
+      [to, from] = await this.listExplanations(customerId, { limit: 2 });
+    }
+
+    if (!to || !from) {
+      throw new ServiceError('Two stored score explanations are needed to explain a change', 404, 'EXPLANATION_NOT_FOUND');
+    }
+
+    const before = new Map(from.contributions.map(item => [item.factor, item]));
+    const after = new Map(to.contributions.map(item => [item.factor, item]));
+    const factors = [...new Set([...before.keys(), ...after.keys()])];
+
+    const changes = factors.map(factor => {
+      const previous = before.get(factor);
+      const current = after.get(factor);
+      return {
+        factor,
+        value_before: previous ? previous.value : null,
+        value_after: current ? current.value : null,
+        contribution_before: previous ? previous.contribution : 0,
+        contribution_after: current ? current.contribution : 0,
+        contribution: round((current ? current.contribution : 0) - (previous ? previous.contribution : 0), 2)
+      };
+    });
+
+    const baselineShift = round(parseFloat(to.baseline) - parseFloat(from.baseline), 2);
+    if (baselineShift !== 0) {
+      changes.push({ factor: 'baseline', value_before: parseFloat(from.baseline), value_after: parseFloat(to.baseline), contribution: baselineShift });
+    }
+
+    return {
+      customer_id: parseInt(customerId),
+      from: { explanation_id: from.explanation_id, calculation_id: from.calculation_id, score: parseFloat(from.score), explained_at: from.explained_at },
+      to: { explanation_id: to.explanation_id, calculation_id: to.calculation_id, score: parseFloat(to.score), explained_at: to.explained_at },
+      score_change: round(parseFloat(to.score) - parseFloat(from.score), 2),
+      changes: changes.sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution)),
+      reason_codes: this.rankReasons(changes
+        .filter(change => change.factor !== 'baseline')
+        .map(change => ({ factor: change.factor, value: change.value_after, contribution: change.contribution })))
+    };
+  }
+}
+
+// Gaussian elimination with partial pivoting (small dense systems only)
+function solveLinearSystem(matrix, vector) {
+  const size = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    if (Math.abs(a[col][col]) < 1e-12) continue;
+
+    for (let row = col + 1; row < size; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= size; k++) a[row][k] -= factor * a[col][k];
+    }
+  }
+
+  const solution = new Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row--) {
+    if (Math.abs(a[row][row]) < 1e-12) continue;
+    let sum = a[row][size];
+    for (let k = row + 1; k < size; k++) sum -= a[row][k] * solution[k];
+    solution[row] = sum / a[row][row];
+  }
+  return solution;
+}
+
+function round(value, digits) {
+  return parseFloat(value.toFixed(digits));
+}
+
+module.exports = ScoreExplanationService;
@@ -0,0 +1,168 @@
+// Sensitivity Analysis Service
+// Perturbs each risk input up and down to show which ones move a twin the most (tornado chart)
+
+const { deductibleBounds } = require('./scenario-factors');
+
+class SensitivityService {
+  constructor(scenarioService, mlService) {
+    this.scenarioService = scenarioService;
+    this.mlService = mlService;
+
+    this.defaultPerturbation = 0.1;
+
+    // Every input the scenario engine and the ML score react to.
+    // scale: perturbation base used when the baseline value is zero
+    this.inputs = [
+      { factor: 'state_factor', label: 'State risk factor', source: 'scenario', scale: 1, min: 0 },
+      { factor: 'deductible', label: 'Deductible ($)', source: 'scenario', scale: 1000, min: 0 },
+      { factor: 'weather', label: 'Severe weather probability', source: 'ml', path: ['weather', 'severe_weather_probability'], scale: 0.3, min: 0, max: 1 },
+      { factor: 'economic', label: 'State unemployment rate', source: 'ml', path: ['economic', 'unemployment_rate'], scale: 0.04, min: 0, max: 1 },
+      { factor: 'traffic', label: 'Accident rate increase', source: 'ml', path: ['traffic', 'accident_rate_increase'], scale: 0.1, min: 0, max: 1 },
+      { factor: 'market', label: 'Claims frequency trend', source: 'ml', path: ['market', 'claims_frequency_trend'], scale: 0.1, min: -1, max: 1 },
+      { factor: 'temporal', label: 'Temporal adjustment (points)', source: 'ml', scale: 1, min: 0 }
+    ];
+  }
+
+  // Swing in risk score and expected loss when each input moves by ±perturbation
+  async analyzeTwin(customerId, { perturbation = this.defaultPerturbation } = {}) {
+    await this.scenarioService.ensureSchema();
+
+    const twin = await this.scenarioService.getTwin(customerId);
+    const policies = await this.scenarioService.getPolicies(customerId);
+    const factorTable = await this.scenarioService.getFactorTable();
+
+    const base = {
+      risk_score: parseFloat(twin.base_risk_score),
+      expected_loss: parseFloat(twin.next12m_expected_loss)
+    };
+
+    // ML inputs are measured around expected-value external factors and the current temporal adjustment
+    const referenceFactors = this.mlService.getReferenceFactors(twin.state, factorTable);
+    const referenceTemporal = this.mlService.getTemporalAdjustment();
+    const referenceMl = await this.mlService.calculateRiskScore(twin, referenceFactors, referenceTemporal);
+
+    // Deductible changes apply to the first held line and stay within its product limits;
+    // the input is skipped when that deductible is unknown
+    const primaryPolicy = policies[0];
+    const hasDeductible = primaryPolicy && primaryPolicy.deductible !== null;
+    const inputs = this.inputs
+      .filter(input => input.factor !== 'deductible' || hasDeductible)
+      .map(input => (input.factor === 'deductible' ? { ...input, ...deductibleBounds[primaryPolicy.line] } : input));
+
+    const baselines = {
+      state_factor: this.scenarioService.riskFactorService.getRelocationFactor(
+        factorTable, twin.state, policies.map(policy => policy.line)
+      ) || 1.0,
+      deductible: hasDeductible ? primaryPolicy.deductible : 0,
+      temporal: referenceTemporal
+    };
+
+    const factors = [];
+    for (const input of inputs) {
+      const baseline = input.path ? this.readPath(referenceFactors, input.path) : baselines[input.factor];
+      const step = perturbation * (baseline !== 0 ? Math.abs(baseline) : input.scale);
+      const lowValue = this.clamp(baseline - step, input);
+      const highValue = this.clamp(baseline + step, input);
+
+      const low = await this.evaluate(input, twin, policies, base, baseline, lowValue, referenceFactors, referenceTemporal, referenceMl);
+      const high = await this.evaluate(input, twin, policies, base, baseline, highValue, referenceFactors, referenceTemporal, referenceMl);
+
+      factors.push({
+        factor: input.factor,
+        label: input.label,
+        source: input.source,
+        baseline_value: this.round(baseline, 4),
+        low_value: this.round(lowValue, 4),
+        high_value: this.round(highValue, 4),
+        risk_score: {
+          low: low.risk_score,
+          high: high.risk_score,
+          swing: this.round(Math.abs(high.risk_score - low.risk_score), 1)
+        },
+        expected_loss: {
+          low: low.expected_loss,
+          high: high.expected_loss,
+          swing: this.round(Math.abs(high.expected_loss - low.expected_loss), 2)
+        }
+      });
+    }
+
+    factors.sort((a, b) =>
+      b.risk_score.swing - a.risk_score.swing ||
+      b.expected_loss.swing - a.expected_loss.swing
+    );
+
+    return {
+      customer_id: parseInt(customerId),
+      customer_name: twin.name,
+      state: twin.state,
+      perturbation,
+      base,
+      factors,
+      reference: {
+        external_factors: referenceFactors,
+        temporal_adjustment: referenceTemporal,
+        model_version: this.mlService.modelVersion,
+        factor_version_id: factorTable.version_id
+      },
+      generated_at: new Date().toISOString()
+    };
+  }
+
+  // Twin risk score and expected loss with one input set to value
+  async evaluate(input, twin, policies, base, baseline, value, referenceFactors, referenceTemporal, referenceMl) {
+    if (input.factor === 'state_factor') {
+      return this.scale(base, value / baseline);
+    }
+
+    if (input.factor === 'deductible') {
+      // Same deductible model the scenario engine applies
+      const change = value - baseline;
+      const changeJson = change >= 0 ? { increase_deductible: change } : { decrease_deductible: -change };
+      const impact = this.scenarioService.calculateScenarioImpact(twin, changeJson, policies);
+      return { risk_score: impact.after.risk_score, expected_loss: impact.after.expected_loss };
+    }
+
+    // ML inputs: score moves additively; expected loss follows the score proportionally
+    const factors = JSON.parse(JSON.stringify(referenceFactors));
+    let temporal = referenceTemporal;
+    if (input.path) {
+      factors[input.path[0]][input.path[1]] = value;
+    } else {
+      temporal = value;
+    }
+
+    const perturbed = await this.mlService.calculateRiskScore(twin, factors, temporal);
+    const scoreChange = (this.sumAdjustments(perturbed.factors) - this.sumAdjustments(referenceMl.factors)) * this.mlService.smoothingFactor;
+    const riskScore = Math.max(0, Math.min(100, base.risk_score + scoreChange));
+
+    return this.scale(base, base.risk_score > 0 ? riskScore / base.risk_score : 1);
+  }
+
+  scale(base, multiplier) {
+    return {
+      risk_score: this.round(Math.max(0, Math.min(100, base.risk_score * multiplier)), 1),
+      expected_loss: this.round(Math.max(0, base.expected_loss * multiplier), 2)
+    };
+  }
+
+  sumAdjustments(adjustments) {
+    return Object.values(adjustments).reduce((sum, value) => sum + value, 0);
+  }
+
+  readPath(object, path) {
+    return path.reduce((current, key) => current[key], object);
+  }
+
+  clamp(value, input) {
+    const min = input.min !== undefined ? input.min : -Infinity;
+    const max = input.max !== undefined ? input.max : Infinity;
+    return Math.max(min, Math.min(max, value));
+  }
+
+  round(value, digits) {
+    return parseFloat(value.toFixed(digits));
+  }
+}
+
+module.exports = SensitivityService;
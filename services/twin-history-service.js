@@ -0,0 +1,218 @@
+// Risk Twin History Service
+// Keeps a versioned record of every risk twin state and what changed it
+
+class TwinHistoryService {
+  // featureStore: refreshed with every new version (in the same transaction) so the
+  // stored customer features follow scenarios, reverts and ML updates
+  constructor(pool, { featureStore = null } = {}) {
+    this.pool = pool;
+    this.featureStore = featureStore;
+    this.schemaReady = null;
+
+    // Recognised sources of a twin change
+    this.changeSources = ['baseline', 'scenario', 'ml_update', 'revert'];
+  }
+
+  // Create the history table on first use
+  async ensureSchema() {
+    if (!this.schemaReady) {
+      this.schemaReady = this.pool.query(`
+        CREATE TABLE IF NOT EXISTS risk_twin_history (
+          version_id SERIAL PRIMARY KEY,
+          customer_id INTEGER NOT NULL REFERENCES customers(customer_id),
+          version_no INTEGER NOT NULL,
+          base_risk_score NUMERIC,
+          next12m_claim_prob NUMERIC,
+          next12m_expected_loss NUMERIC,
+          customer_snapshot JSONB NOT NULL DEFAULT '{}'::jsonb,
+          change_source TEXT NOT NULL,
+          changed_by TEXT,
+          scenario_id INTEGER,
+          notes TEXT,
+          recorded_at TIMESTAMP DEFAULT NOW(),
+          UNIQUE (customer_id, version_no)
+        );
+        CREATE INDEX IF NOT EXISTS idx_risk_twin_history_scenario ON risk_twin_history(scenario_id);
+        ALTER TABLE risk_twin_history ADD COLUMN IF NOT EXISTS factor_version_id INTEGER;
+        ALTER TABLE risk_twin_history ADD COLUMN IF NOT EXISTS ml_adjustment NUMERIC NOT NULL DEFAULT 0;
+      `).catch(error => {
+        this.schemaReady = null;
+        throw error;
+      });
+    }
+    return this.schemaReady;
+  }
+
+  // Read the twin values and customer attributes that make up a version
+  async getCurrentState(customerId, db = this.pool) {
+    const result = await db.query(`
+      SELECT
+        c.state, c.city, c.zip, c.vehicle_use, c.home_type,
+        rt.base_risk_score, rt.next12m_claim_prob, rt.next12m_expected_loss, rt.updated_at::text AS twin_updated_at
+      FROM customers c
+      JOIN risk_twins rt ON c.customer_id = rt.customer_id
+      WHERE c.customer_id = $1
+    `, [customerId]);
+
+    if (!result.rows[0]) return null;
+
+    // to_jsonb keeps this working whether or not optional policy columns exist yet
+    const policyResult = await db.query(
+      'SELECT to_jsonb(p) AS policy FROM policies p WHERE customer_id = $1 ORDER BY policy_id',
+      [customerId]
+    );
+
+    return {
+      ...result.rows[0],
+      policies: policyResult.rows.map(({ policy }) => ({
+        policy_id: policy.policy_id,
+        line: policy.line,
+        coverage_limit: policy.coverage_limit,
+        deductible: policy.deductible,
+        end_date: policy.end_date,
+        cancelled_at: policy.cancelled_at || null
+      }))
+    };
+  }
+
+  // Capture the pre-change state as version 1 if the twin has no history yet
+  async ensureBaseline(customerId, db = this.pool) {
+    await this.ensureSchema();
+
+    const existing = await db.query(
+      'SELECT 1 FROM risk_twin_history WHERE customer_id = $1 LIMIT 1',
+      [customerId]
+    );
+
+    if (existing.rows.length === 0) {
+      await this.recordVersion(customerId, { source: 'baseline', notes: 'State before first tracked change' }, db);
+    }
+  }
+
+  // Snapshot the current twin as the next version
+  // factorVersionId: state factor table version the new values were calculated with;
+  // mlAdjustment: ML points included in base_risk_score (kept from the previous version by default,
+  // since scenarios move the score on top of them)
+  async recordVersion(customerId, { source, changedBy = null, scenarioId = null, notes = null, factorVersionId = null, mlAdjustment = null }, db = this.pool) {
+    await this.ensureSchema();
+
+    if (!this.changeSources.includes(source)) {
+      throw new Error(`Unknown twin change source: ${source}`);
+    }
+
+    const state = await this.getCurrentState(customerId, db);
+    if (!state) {
+      throw new Error('Customer not found');
+    }
+
+    const adjustment = mlAdjustment !== null ? mlAdjustment : await this.getMlAdjustment(customerId, db);
+
+    const customerSnapshot = {
+      state: state.state,
+      city: state.city,
+      zip: state.zip,
+      vehicle_use: state.vehicle_use,
+      home_type: state.home_type,
+      policies: state.policies,
+      // When the twin values were last written: dates a baseline for backtests
+      twin_updated_at: state.twin_updated_at
+    };
+
+    const result = await db.query(`
+      INSERT INTO risk_twin_history (
+        customer_id, version_no, base_risk_score, next12m_claim_prob, next12m_expected_loss,
+        customer_snapshot, change_source, changed_by, scenario_id, notes, factor_version_id, ml_adjustment
+      )
+      SELECT $1, COALESCE(MAX(version_no), 0) + 1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11
+      FROM risk_twin_history
+      WHERE customer_id = $1
+      RETURNING *
+    `, [
+      customerId,
+      state.base_risk_score,
+      state.next12m_claim_prob,
+      state.next12m_expected_loss,
+      JSON.stringify(customerSnapshot),
+      source,
+      changedBy,
+      scenarioId,
+      notes,
+      factorVersionId,
+      adjustment
+    ]);
+
+    // The baseline repeats the current state, so there is nothing new to materialise
+    if (this.featureStore && source !== 'baseline') {
+      await this.featureStore.refreshCustomer(customerId, { source, db });
+    }
+
+    return this.formatVersion(result.rows[0]);
+  }
+
+  // Full version history for a customer, newest first
+  async getHistory(customerId, limit = 50) {
+    await this.ensureSchema();
+
+    const result = await this.pool.query(`
+      SELECT * FROM risk_twin_history
+      WHERE customer_id = $1
+      ORDER BY version_no DESC
+      LIMIT $2
+    `, [customerId, limit]);
+
+    return result.rows.map(row => this.formatVersion(row));
+  }
+
+  // Version written by a scenario application
+  async getScenarioVersion(scenarioId, db = this.pool) {
+    await this.ensureSchema();
+
+    const result = await db.query(`
+      SELECT * FROM risk_twin_history
+      WHERE scenario_id = $1 AND change_source = 'scenario'
+      ORDER BY version_no DESC
+      LIMIT 1
+    `, [scenarioId]);
+
+    return result.rows[0] ? this.formatVersion(result.rows[0]) : null;
+  }
+
+  async getVersion(customerId, versionNo, db = this.pool) {
+    const result = await db.query(
+      'SELECT * FROM risk_twin_history WHERE customer_id = $1 AND version_no = $2',
+      [customerId, versionNo]
+    );
+    return result.rows[0] ? this.formatVersion(result.rows[0]) : null;
+  }
+
+  async getLatestVersion(customerId, db = this.pool) {
+    const result = await db.query(`
+      SELECT * FROM risk_twin_history
+      WHERE customer_id = $1
+      ORDER BY version_no DESC
+      LIMIT 1
+    `, [customerId]);
+    return result.rows[0] ? this.formatVersion(result.rows[0]) : null;
+  }
+
+  // ML adjustment carried by the twin's current score (0 before any committed ML recalculation)
+  async getMlAdjustment(customerId, db = this.pool) {
+    await this.ensureSchema();
+
+    const latest = await this.getLatestVersion(customerId, db);
+    return latest ? latest.ml_adjustment : 0;
+  }
+
+  // Convert numeric columns for API consumers
+  formatVersion(row) {
+    return {
+      ...row,
+      base_risk_score: parseFloat(row.base_risk_score),
+      next12m_claim_prob: parseFloat(row.next12m_claim_prob),
+      next12m_expected_loss: parseFloat(row.next12m_expected_loss),
+      ml_adjustment: row.ml_adjustment === undefined || row.ml_adjustment === null ? 0 : parseFloat(row.ml_adjustment)
+    };
+  }
+}
+
+module.exports = TwinHistoryService;
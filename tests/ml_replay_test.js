@@ -0,0 +1,197 @@
+/**
+ * =============================================================================
+ * RISKTWIN PLATFORM - ML RECALCULATION REPLAY TESTS
+ * =============================================================================
+ *
+ * PURPOSE: A seeded recalculation is reproducible, replayCalculation reproduces a
+ *          stored snapshot exactly, and commit mode writes everything in one transaction
+ * USAGE: node --test tests/ml_replay_test.js (no database needed)
+ *
+ * =============================================================================
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MLRiskService = require('../services/ml-service');
+
+// In-memory stand-in for the tables a recalculation reads and writes. Stored rows go through
+// JSON like a JSONB column does; every statement is logged with the connection that ran it.
+function createPool() {
+  const calculations = [];
+  const log = [];
+  const runner = (connection) => async (sql, params = []) => {
+    log.push({ connection, sql: sql.replace(/\s+/g, ' ').trim(), params });
+    if (/FROM customers c\s+JOIN risk_twins/.test(sql)) {
+      return {
+        rows: [{
+          customer_id: 1,
+          state: 'TX',
+          zip: '75201',
+          dob: '1984-05-02',
+          vehicle_use: 'commute',
+          home_type: 'condo',
+          risk_segment: 'standard',
+          base_risk_score: '62.5',
+          next12m_claim_prob: '0.18',
+          next12m_expected_loss: '2400'
+        }]
+      };
+    }
+    if (/FROM policies/.test(sql)) {
+      return { rows: [{ customer_id: 1, line: 'auto', coverage_limit: '50000', deductible: '500', start_date: '2019-03-01', end_date: null, cancelled_at: null }] };
+    }
+    if (/FROM claims/.test(sql)) {
+      return { rows: [{ customer_id: 1, loss_date: '2024-11-20', amount_estimate: '3200' }] };
+    }
+    if (/INSERT INTO ml_risk_calculations/.test(sql)) {
+      const row = {
+        calculation_id: calculations.length + 1,
+        customer_id: params[0],
+        model_version: params[1],
+        factor_version_id: params[2],
+        seed: String(params[3]),
+        calculated_at: new Date(params[4]),
+        snapshot: JSON.parse(params[5]),
+        result: JSON.parse(params[6]),
+        mode: params[7]
+      };
+      calculations.push(row);
+      return { rows: [row] };
+    }
+    if (/FROM ml_risk_calculations/.test(sql)) {
+      return { rows: calculations.filter(row => row.calculation_id === params[0]) };
+    }
+    return { rows: [], rowCount: 0 };
+  };
+
+  const client = { query: runner('client'), release() {} };
+  return { calculations, log, client, query: runner('pool'), connect: async () => client };
+}
+
+// Twin history that records its calls; failVersion makes recordVersion throw
+function createHistory({ failVersion = false } = {}) {
+  const calls = [];
+  return {
+    calls,
+    ensureBaseline: async (customerId, db) => { calls.push({ method: 'ensureBaseline', customerId, db }); },
+    getMlAdjustment: async () => 0,
+    recordVersion: async (customerId, options, db) => {
+      calls.push({ method: 'recordVersion', customerId, options, db });
+      if (failVersion) throw new Error('history write failed');
+      return { version_no: 2 };
+    }
+  };
+}
+
+const clock = () => new Date('2026-08-14T18:30:00Z');
+
+test('a seeded recalculation gives the same result every run', async () => {
+  const service = new MLRiskService(createPool(), null, null, { seed: 42, clock });
+
+  const first = await service.recalculateRisk(1, { mode: 'preview' });
+  const second = await service.recalculateRisk(1, { mode: 'preview' });
+
+  assert.equal(first.seed, 42);
+  assert.deepEqual(second.risk_calculation, first.risk_calculation);
+});
+
+test('a recalculation reports seed 0 as 0', async () => {
+  const service = new MLRiskService(createPool(), null, null, { clock });
+
+  const run = await service.recalculateRisk(1, { seed: 0, mode: 'preview' });
+  const replay = await service.replayCalculation(run.calculation_id);
+
+  assert.equal(run.seed, 0);
+  assert.equal(replay.seed, 0);
+  assert.equal(replay.matches, true);
+});
+
+test('replayCalculation reproduces a stored snapshot exactly', async () => {
+  const pool = createPool();
+  const recorder = new MLRiskService(pool, null, null, { clock });
+  const run = await recorder.recalculateRisk(1, { seed: 7, mode: 'preview' });
+
+  // A separate instance with a different clock and seed: only the snapshot drives the replay
+  const replayer = new MLRiskService(pool, null, null, { seed: 99, clock: () => new Date('2030-01-01T00:00:00Z') });
+  const replay = await replayer.replayCalculation(run.calculation_id);
+
+  assert.equal(replay.seed, 7);
+  assert.equal(replay.matches, true);
+  assert.deepEqual(replay.mismatches, []);
+  assert.deepEqual(replay.replayed, replay.original);
+  assert.deepEqual(replay.original, pool.calculations[0].result);
+});
+
+test('replayCalculation reports the fields that differ from a stored result', async () => {
+  const pool = createPool();
+  const service = new MLRiskService(pool, null, null, { clock });
+  const run = await service.recalculateRisk(1, { seed: 7, mode: 'preview' });
+
+  pool.calculations[0].result.new_score += 1;
+  const replay = await service.replayCalculation(run.calculation_id);
+
+  assert.equal(replay.matches, false);
+  assert.deepEqual(replay.mismatches.map(mismatch => mismatch.field), ['new_score']);
+});
+
+test('replayCalculation rejects unknown calculations', async () => {
+  const service = new MLRiskService(createPool(), null, null, { clock });
+
+  await assert.rejects(service.replayCalculation(99), { status: 404, code: 'CALCULATION_NOT_FOUND' });
+});
+
+test('commit mode writes the twin, a history version and the timeline in one transaction', async () => {
+  const pool = createPool();
+  const history = createHistory();
+  const service = new MLRiskService(pool, null, history, { clock });
+
+  const run = await service.recalculateRisk(1, { seed: 7, mode: 'commit', changedBy: 'analyst-1' });
+  const statements = pool.log.map(entry => `${entry.connection}: ${entry.sql.split(' ').slice(0, 3).join(' ')}`);
+
+  assert.equal(run.committed, true);
+  assert.equal(run.history_version_no, 2);
+  assert.equal(statements.filter(statement => statement.startsWith('client: BEGIN')).length, 1);
+  assert.equal(statements[statements.length - 1], 'client: COMMIT');
+  assert.equal(pool.log.find(entry => /FOR UPDATE OF rt/.test(entry.sql)).connection, 'client');
+
+  const twinUpdate = pool.log.find(entry => entry.sql.startsWith('UPDATE risk_twins'));
+  assert.equal(twinUpdate.connection, 'client');
+  assert.deepEqual(twinUpdate.params, [run.twin.after.risk_score, run.twin.after.claim_prob, run.twin.after.expected_loss, 1]);
+  assert.equal(pool.log.find(entry => entry.sql.startsWith('INSERT INTO timeline_events')).connection, 'client');
+
+  const version = history.calls.find(call => call.method === 'recordVersion');
+  assert.equal(version.db, pool.client);
+  assert.equal(version.options.source, 'ml_update');
+  assert.equal(version.options.changedBy, 'analyst-1');
+  assert.equal(version.options.mlAdjustment, parseFloat((run.risk_calculation.new_score - run.risk_calculation.pre_adjustment_score).toFixed(2)));
+  assert.equal(pool.calculations[0].mode, 'commit');
+
+  const replay = await service.replayCalculation(run.calculation_id);
+  assert.equal(replay.matches, true);
+});
+
+test('commit mode rolls back when the history version cannot be written', async () => {
+  const pool = createPool();
+  const service = new MLRiskService(pool, null, createHistory({ failVersion: true }), { clock });
+
+  await assert.rejects(service.recalculateRisk(1, { seed: 7, mode: 'commit' }), /history write failed/);
+
+  const statements = pool.log.filter(entry => entry.connection === 'client').map(entry => entry.sql);
+  assert.ok(statements.includes('ROLLBACK'));
+  assert.ok(!statements.includes('COMMIT'));
+});
+
+test('preview mode writes nothing but the stored calculation', async () => {
+  const pool = createPool();
+  const history = createHistory();
+  const service = new MLRiskService(pool, null, history, { clock });
+
+  const run = await service.recalculateRisk(1, { seed: 7 });
+
+  assert.equal(run.mode, 'preview');
+  assert.equal(run.committed, false);
+  assert.ok(!pool.log.some(entry => /^(BEGIN|UPDATE risk_twins|INSERT INTO timeline_events)/.test(entry.sql)));
+  assert.deepEqual(history.calls.filter(call => call.method === 'recordVersion'), []);
+  assert.equal(pool.calculations[0].mode, 'preview');
+});
@@ -0,0 +1,119 @@
+/**
+ * =============================================================================
+ * RISKTWIN PLATFORM - SIMULATION DETERMINISM TESTS
+ * =============================================================================
+ *
+ * PURPOSE: Seeded draws, Monte Carlo loss percentiles and scenario impact factors
+ *          must not change for fixed inputs
+ * USAGE: node --test tests/simulation_determinism_test.js (no database needed)
+ *
+ * =============================================================================
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SeededRandom = require('../utils/random');
+const LossSimulationService = require('../services/simulation-service');
+const ScenarioService = require('../services/scenario-service');
+const RiskFactorService = require('../services/risk-factor-service');
+
+// mulberry32 reference values; a change here breaks the replay of every stored simulation
+const EXPECTED_DRAWS_SEED_42 = ['0.6011037519', '0.4482905590', '0.8524657935', '0.6697340414', '0.1748138987'];
+
+const EXPECTED_SIMULATION_SEED_2024 = {
+  frequency_lambda: 0.35,
+  deductible: 1000,
+  mean: 4755.66,
+  p50: 0,
+  p90: 15028.52,
+  p99: 59667.69,
+  prob_any_claim: 0.2932,
+  prob_exceed_deductible: 0.2904
+};
+
+test('SeededRandom yields the same sequence for a seed', () => {
+  const draws = (seed) => {
+    const random = new SeededRandom(seed);
+    return Array.from({ length: 5 }, () => random.next());
+  };
+
+  assert.deepEqual(draws(42), draws(42));
+  assert.deepEqual(draws(42).map(value => value.toFixed(10)), EXPECTED_DRAWS_SEED_42);
+  assert.notDeepEqual(draws(42), draws(43));
+});
+
+test('SeededRandom normalizes seeds to unsigned 32-bit integers', () => {
+  assert.equal(SeededRandom.normalizeSeed('42'), 42);
+  assert.equal(SeededRandom.normalizeSeed(-1), 0xffffffff);
+  assert.equal(SeededRandom.normalizeSeed(0), 0);
+  assert.equal(new SeededRandom(0).seed, 0);
+  assert.equal(new SeededRandom(0).next(), new SeededRandom(0x9e3779b9).next());
+  assert.equal(new SeededRandom(2 ** 32 + 42).next(), new SeededRandom(42).next());
+});
+
+test('simulateLosses returns fixed percentiles for a fixed seed', () => {
+  const service = new LossSimulationService(null, null);
+  const run = () => service.simulateLosses({
+    lambda: 0.35,
+    mu: 9.0,
+    sigma: 1.0,
+    deductible: 1000,
+    iterations: 5000,
+    random: new SeededRandom(2024)
+  });
+
+  const result = run();
+  assert.deepEqual(result, run());
+  assert.deepEqual(result, EXPECTED_SIMULATION_SEED_2024);
+});
+
+test('calculateScenarioImpact produces the expected factors', () => {
+  const service = new ScenarioService(null, null, new RiskFactorService(null));
+  const twin = {
+    state: 'CA',
+    zip: '94110',
+    vehicle_use: 'commute',
+    home_type: 'single_family',
+    base_risk_score: '60',
+    next12m_claim_prob: '0.2',
+    next12m_expected_loss: '1000'
+  };
+  const policies = [{ policy_id: 7, line: 'auto', coverage_limit: 50000, deductible: 500 }];
+  const factorTable = {
+    version_id: 3,
+    states: {
+      CA: { lines: { auto: 1.25, home: 1.1 } },
+      TX: { lines: { auto: 1.0, home: 1.3 } }
+    }
+  };
+
+  const impact = service.calculateScenarioImpact(twin, {
+    move_state: 'TX',
+    change_vehicle_use: 'pleasure',
+    increase_deductible: 500,
+    deductible_line: 'auto'
+  }, policies, factorTable);
+
+  assert.deepEqual(impact.factors.map(({ change, risk_score, claim_prob, expected_loss }) => ({ change, risk_score, claim_prob, expected_loss })), [
+    { change: 'move_state', risk_score: 0.8, claim_prob: 0.8, expected_loss: 0.8 },
+    { change: 'change_vehicle_use', risk_score: 0.9, claim_prob: 0.9, expected_loss: 0.9 },
+    { change: 'increase_deductible', risk_score: 0.95, claim_prob: 0.95, expected_loss: 0.95 }
+  ]);
+  assert.deepEqual(impact.after, { risk_score: 41, claim_prob: 0.1368, expected_loss: 684, state: 'TX' });
+  assert.deepEqual(impact.delta, { risk_score: -19, claim_prob: -0.0632, expected_loss: -316 });
+  assert.equal(impact.premium_impact, -855);
+  assert.deepEqual(impact.deductible, { line: 'auto', policy_id: 7, before: 500, after: 1000 });
+  assert.equal(impact.factor_version_id, 3);
+});
+
+test('calculateScenarioImpact leaves the twin unchanged for no_change', () => {
+  const service = new ScenarioService(null, null, new RiskFactorService(null));
+  const impact = service.calculateScenarioImpact(
+    { state: 'TX', base_risk_score: '55.5', next12m_claim_prob: '0.12', next12m_expected_loss: '900' },
+    { no_change: true }
+  );
+
+  assert.deepEqual(impact.factors, []);
+  assert.deepEqual(impact.delta, { risk_score: 0, claim_prob: 0, expected_loss: 0 });
+});
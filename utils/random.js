@@ -0,0 +1,70 @@
+/**
+ * =============================================================================
+ * SEEDABLE RANDOM NUMBER GENERATOR
+ * =============================================================================
+ *
+ * Deterministic PRNG (mulberry32) for simulations that must be reproducible:
+ * the same seed always yields the same sequence of draws.
+ */
+
+class SeededRandom {
+  constructor(seed) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed || 0x9e3779b9; // Seed 0 stays 0 when reported; only the generator state is remapped
+    this.spareNormal = null;
+  }
+
+  // Coerce any integer-like seed into an unsigned 32-bit integer
+  static normalizeSeed(seed) {
+    return Number(seed) >>> 0;
+  }
+
+  // Fresh seed for callers that did not supply one (returned so the run can be replayed)
+  static generateSeed() {
+    return Math.floor(Math.random() * 0xffffffff) >>> 0;
+  }
+
+  // Uniform draw in [0, 1)
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Standard normal draw (Box-Muller, caching the second value)
+  normal() {
+    if (this.spareNormal !== null) {
+      const spare = this.spareNormal;
+      this.spareNormal = null;
+      return spare;
+    }
+
+    let u = 0;
+    while (u === 0) u = this.next();
+    const v = this.next();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    this.spareNormal = radius * Math.sin(2 * Math.PI * v);
+    return radius * Math.cos(2 * Math.PI * v);
+  }
+
+  lognormal(mu, sigma) {
+    return Math.exp(mu + sigma * this.normal());
+  }
+
+  // Poisson draw (Knuth); suited to the small annual claim rates used here
+  poisson(lambda) {
+    if (lambda <= 0) return 0;
+    const limit = Math.exp(-lambda);
+    let count = 0;
+    let product = this.next();
+    while (product > limit) {
+      count++;
+      product *= this.next();
+    }
+    return count;
+  }
+}
+
+module.exports = SeededRandom;
@@ -0,0 +1,20 @@
+/**
+ * =============================================================================
+ * SERVICE ERROR
+ * =============================================================================
+ *
+ * Error type thrown by the service layer when a request cannot be fulfilled
+ * for a known business reason (missing customer, invalid state transition...).
+ * Carries the HTTP status and machine-readable code the API should return.
+ */
+
+class ServiceError extends Error {
+  constructor(message, status = 500, code = 'SERVICE_ERROR') {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+module.exports = ServiceError;
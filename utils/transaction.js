@@ -0,0 +1,29 @@
+/**
+ * =============================================================================
+ * DATABASE TRANSACTION HELPER
+ * =============================================================================
+ *
+ * Runs a unit of work on a single checked-out pool client inside
+ * BEGIN / COMMIT, rolling back if anything throws.
+ */
+
+async function withTransaction(pool, work) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      console.error('Transaction rollback failed:', rollbackError);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { withTransaction };